@@ -21,8 +21,12 @@ import * as Promise from 'bluebird';
 
 import * as dockerUtils from '../utils/docker';
 import * as compose from '../utils/compose';
-import { registrySecretsHelp } from '../utils/messages';
-import { getBalenaSdk } from '../utils/lazy';
+import {
+	composeFilesHelp,
+	projectConfigHelp,
+	registrySecretsHelp,
+} from '../utils/messages';
+import { getBalenaSdk, getVisuals } from '../utils/lazy';
 
 /*
 Opts must be an object with the following keys:
@@ -32,39 +36,508 @@ Opts must be an object with the following keys:
 	deviceType: the device type to build for
 	buildEmulated
 	buildOpts: arguments to forward to docker build command
+	compareRelease: commit of a release to compare the images with, or 'latest'; optional
+	exportDir: directory to export the built images to; optional
+	gitCommit: SHA of the git commit the project was exported from (the
+		`--git-ref` option), recorded in an image label; optional
+
+The 'pre-build' and 'post-build' hooks of the project configuration
+(composeOpts.projectConfig) are run before and after each build if
+composeOpts.runHooks is set (the `--hooks` option), and logged otherwise.
 */
+const warnIfNotMulticontainer = function(logger, app, project) {
+	const appType = app?.application_type?.[0];
+	if (
+		appType != null &&
+		project.descriptors.length > 1 &&
+		!appType.supports_multicontainer
+	) {
+		logger.logWarn(
+			'Target application does not support multiple containers.\n' +
+				'Continuing with build, but you will not be able to deploy.',
+		);
+	}
+};
+
+/**
+ * Run a 'pre-build' or 'post-build' hook of the project configuration, if
+ * defined, for a build of the services of the given composition
+ * @param target Object with the app, arch and deviceType of the build
+ * @param [images] The built images, for 'post-build' hooks
+ */
+const runBuildHook = function(
+	logger,
+	composeOpts,
+	hook,
+	project,
+	composition,
+	target,
+	images,
+) {
+	const { runProjectHook } = require('../utils/project-config');
+	return Promise.resolve(
+		runProjectHook(
+			logger,
+			composeOpts.projectConfig,
+			hook,
+			{
+				projectName: project.name,
+				projectPath: project.path,
+				arch: target.arch,
+				deviceType: target.deviceType,
+				app: target.app,
+				services: Object.keys(composition.services),
+				images,
+			},
+			{
+				stdout: composeOpts.outputFormat === 'json' ? 'stderr' : 'inherit',
+				run: composeOpts.runHooks,
+			},
+		),
+	);
+};
+
 const buildProject = function(docker, logger, composeOpts, opts) {
-	const { loadProject } = require('../utils/compose_ts');
+	const { loadProject, selectServices } = require('../utils/compose_ts');
+	const { exportImages } = require('../utils/image-archive');
 	return Promise.resolve(loadProject(logger, composeOpts))
 		.then(function(project) {
-			const appType = opts.app?.application_type?.[0];
-			if (
-				appType != null &&
-				project.descriptors.length > 1 &&
-				!appType.supports_multicontainer
-			) {
-				logger.logWarn(
-					'Target application does not support multiple containers.\n' +
-						'Continuing with build, but you will not be able to deploy.',
-				);
-			}
+			warnIfNotMulticontainer(logger, opts.app, project);
+			const composition = selectServices(
+				project.composition,
+				composeOpts.services,
+			);
 
-			return compose.buildProject(
-				docker,
+			return runBuildHook(
 				logger,
-				project.path,
-				project.name,
+				composeOpts,
+				'pre-build',
+				project,
+				composition,
+				opts,
+			)
+				.then(() =>
+					compose.buildProject(
+						docker,
+						logger,
+						project.path,
+						project.name,
+						composition,
+						opts.arch,
+						opts.deviceType,
+						opts.buildEmulated,
+						opts.buildOpts,
+						composeOpts.inlineLogs,
+						opts.convertEol,
+						composeOpts.dockerfilePath,
+						compose.buildProjectOpts(composeOpts, {
+							gitCommit: opts.gitCommit,
+						}),
+					),
+				)
+				.tap(images =>
+					compose.checkImageSizeLimits(
+						docker,
+						logger,
+						project.composition,
+						images,
+						composeOpts.sizeLimits,
+						opts.app?.id,
+					),
+				)
+				.tap(images =>
+					runBuildHook(
+						logger,
+						composeOpts,
+						'post-build',
+						project,
+						composition,
+						opts,
+						images,
+					),
+				)
+				.tap(function(images) {
+					if (opts.exportDir) {
+						return exportImages(docker, logger, opts.exportDir, images, {
+							projectName: project.name,
+							arch: opts.arch,
+							deviceType: opts.deviceType,
+							composition,
+						});
+					}
+				})
+				.then(function(images) {
+					if (opts.compareRelease) {
+						return compose.compareWithRelease(
+							docker,
+							logger,
+							opts.app.id,
+							opts.compareRelease,
+							images,
+						);
+					}
+				});
+		})
+		.then(function() {
+			logger.outputDeferredMessages();
+			logger.logSuccess('Build succeeded!');
+		})
+		.tapCatch(() => {
+			logger.logError('Build failed');
+		});
+};
+
+/**
+ * Build the project, then watch the project directory and rebuild the
+ * services whose build context contains changed files (not counting files
+ * excluded by .dockerignore or .gitignore files), or whose definition changed
+ * in the compose files, and the services that depend on them (the `--watch`
+ * option). Changes are debounced, and the build progress display stays on
+ * screen between rebuilds. A failed build does not stop the watch, which runs
+ * until interrupted with Ctrl+C.
+ */
+const watchProject = function(docker, logger, composeOpts, opts) {
+	const _ = require('lodash');
+	const { loadProject, selectServices } = require('../utils/compose_ts');
+	const {
+		addDependentServices,
+		getAffectedServices,
+		getChangedServices,
+		makeFileIgnorer,
+		ProjectWatcher,
+	} = require('../utils/build-watch');
+
+	const useProgressUI =
+		process.stdout.isTTY &&
+		composeOpts.outputFormat !== 'json' &&
+		!composeOpts.inlineLogs;
+	let progressUI = null;
+	let project;
+	let composition;
+
+	const loadComposition = () =>
+		Promise.resolve(loadProject(logger, composeOpts)).then(function(loaded) {
+			project = loaded;
+			return selectServices(project.composition, composeOpts.services);
+		});
+
+	// Ctrl+C stops the watch while no build is running. During a build, it is
+	// handled by the cancellation of compose.buildProject() instead, which
+	// cancels the build and exits.
+	let stopWatching = null;
+	let stopped = false;
+	const setBuilding = function(building) {
+		if (stopWatching == null || stopped) {
+			return;
+		}
+		if (building) {
+			process.removeListener('SIGINT', stopWatching);
+		} else {
+			process.once('SIGINT', stopWatching);
+		}
+	};
+
+	const buildServices = function(serviceNames) {
+		setBuilding(true);
+		if (
+			useProgressUI &&
+			(progressUI == null ||
+				_.difference(serviceNames, _.keys(progressUI.streams)).length)
+		) {
+			progressUI = compose.createBuildProgressUI(_.keys(composition.services));
+		}
+		const selected = selectServices(composition, serviceNames);
+		return runBuildHook(
+			logger,
+			composeOpts,
+			'pre-build',
+			project,
+			selected,
+			opts,
+		)
+			.then(() =>
+				compose.buildProject(
+					docker,
+					logger,
+					project.path,
+					project.name,
+					selected,
+					opts.arch,
+					opts.deviceType,
+					opts.buildEmulated,
+					opts.buildOpts,
+					composeOpts.inlineLogs,
+					opts.convertEol,
+					composeOpts.dockerfilePath,
+					compose.buildProjectOpts(composeOpts, {
+						gitCommit: opts.gitCommit,
+						progressUI,
+					}),
+				),
+			)
+			.then(images =>
+				runBuildHook(
+					logger,
+					composeOpts,
+					'post-build',
+					project,
+					selected,
+					opts,
+					images,
+				),
+			)
+			.then(function() {
+				logger.outputDeferredMessages();
+				logger.logSuccess('Build succeeded! Watching for changes...');
+			})
+			.catch(function(err) {
+				logger.logError(
+					`Build failed: ${err.message}\nWatching for changes...`,
+				);
+			})
+			.finally(() => setBuilding(false));
+	};
+
+	const rebuild = (changedPaths, files) =>
+		Promise.join(
+			loadComposition(),
+			makeFileIgnorer(project.path, files),
+			function(newComposition, ignorer) {
+				const serviceNames = _.union(
+					getChangedServices(composition, newComposition),
+					getAffectedServices(
+						project.path,
+						newComposition,
+						changedPaths,
+						ignorer,
+					),
+				);
+				composition = newComposition;
+				return addDependentServices(
+					project.path,
+					project.name,
+					newComposition,
+					serviceNames,
+					composeOpts.dependencyOrder,
+				);
+			},
+		).then(
+			function(serviceNames) {
+				if (!serviceNames.length) {
+					return;
+				}
+				logger.logInfo(
+					`Changes detected, rebuilding: ${serviceNames.join(', ')}`,
+				);
+				return buildServices(serviceNames);
+			},
+			function(err) {
+				logger.logError(
+					`Could not load the project: ${err.message}\nWatching for changes...`,
+				);
+			},
+		);
+
+	let current = Promise.resolve();
+	return loadComposition()
+		.then(function(selected) {
+			composition = selected;
+			warnIfNotMulticontainer(logger, opts.app, project);
+			current = buildServices(_.keys(composition.services));
+			return current;
+		})
+		.then(
+			() =>
+				new Promise(function(resolve) {
+					const watcher = new ProjectWatcher(project.path, function(
+						changedPaths,
+						files,
+					) {
+						current = rebuild(changedPaths, files);
+						return current;
+					});
+					watcher.start();
+					stopWatching = function() {
+						stopped = true;
+						watcher.stop();
+						current.then(resolve);
+					};
+					setBuilding(false);
+				}),
+		);
+};
+
+/**
+ * Build the project for several targets (device types) one after the other,
+ * sharing a single packed build context. Images are tagged with the device
+ * type (e.g. 'myproject_api:raspberrypi3'), and emulation is enabled for the
+ * targets whose architecture differs from that of the Docker daemon. A build
+ * failure does not prevent the builds for the other targets; the results are
+ * printed as a single summary table.
+ * @param targets Array of { app, arch, deviceType } objects
+ */
+const buildTargets = function(docker, logger, composeOpts, targets, opts) {
+	const _ = require('lodash');
+	const fs = require('mz/fs');
+	const humanize = require('humanize');
+	const path = require('path');
+	const { ExpectedError } = require('../errors');
+	const { loadProject, selectServices } = require('../utils/compose_ts');
+	const { exportImages } = require('../utils/image-archive');
+	const { archNeedsEmulation } = require('../utils/qemu');
+
+	const packedContext = projectPath =>
+		compose
+			.packProjectContext(logger, projectPath, {
+				convertEol: opts.convertEol,
+				reproducible: composeOpts.reproducible,
+				preserveSymlinks: composeOpts.preserveSymlinks,
+				emptyDirs: composeOpts.emptyDirs,
+			})
+			.disposer(tarPath => fs.unlink(tarPath).catch(_.noop));
+
+	const buildTarget = (project, composition, tarPath, target) =>
+		Promise.resolve(archNeedsEmulation(docker, target.arch))
+			.tap(() =>
+				runBuildHook(
+					logger,
+					composeOpts,
+					'pre-build',
+					project,
+					composition,
+					target,
+				),
+			)
+			.then(function(needsEmulation) {
+				warnIfNotMulticontainer(logger, target.app, project);
+				return compose.buildProject(
+					docker,
+					logger,
+					project.path,
+					project.name,
+					composition,
+					target.arch,
+					target.deviceType,
+					opts.buildEmulated || needsEmulation,
+					opts.buildOpts,
+					composeOpts.inlineLogs,
+					opts.convertEol,
+					composeOpts.dockerfilePath,
+					compose.buildProjectOpts(composeOpts, {
+						gitCommit: opts.gitCommit,
+						logDir:
+							composeOpts.logDir &&
+							path.join(composeOpts.logDir, target.deviceType),
+						// e.g. 'report.xml' -> 'report.raspberrypi3.xml'
+						reportFiles: composeOpts.reportFiles?.map(function(file) {
+							const ext = path.extname(file);
+							return `${file.slice(0, -ext.length)}.${target.deviceType}${ext}`;
+						}),
+						imageTag: target.deviceType,
+						packedContext: tarPath,
+					}),
+				);
+			})
+			.tap(images =>
+				compose.checkImageSizeLimits(
+					docker,
+					logger,
+					composition,
+					images,
+					composeOpts.sizeLimits,
+					target.app?.id,
+				),
+			)
+			.tap(images =>
+				runBuildHook(
+					logger,
+					composeOpts,
+					'post-build',
+					project,
+					composition,
+					target,
+					images,
+				),
+			)
+			.tap(function(images) {
+				if (opts.exportDir) {
+					return exportImages(
+						docker,
+						logger,
+						path.join(opts.exportDir, target.deviceType),
+						images,
+						{
+							projectName: project.name,
+							arch: target.arch,
+							deviceType: target.deviceType,
+							composition,
+						},
+					);
+				}
+			})
+			.then(
+				images => ({ target, images, error: null }),
+				error => ({ target, images: [], error }),
+			);
+
+	const printSummary = function(results) {
+		const rows = _.flatMap(results, ({ target, images, error }) =>
+			error != null
+				? [
+						{
+							device_type: target.deviceType,
+							status: `failed: ${error.message}`,
+						},
+				  ]
+				: images.map(image => ({
+						device_type: target.deviceType,
+						service: image.serviceName,
+						image: image.name,
+						size: humanize.filesize(image.props.size),
+						status: 'success',
+				  })),
+		);
+		logger.logInfo(
+			'Build summary:\n' +
+				getVisuals().table.horizontal(rows, [
+					'device_type',
+					'service',
+					'image',
+					'size',
+					'status',
+				]),
+		);
+	};
+
+	const uniqueTargets = _.uniqBy(targets, 'deviceType');
+	if (uniqueTargets.length < targets.length) {
+		logger.logInfo(
+			'Building once for applications that share the same device type',
+		);
+	}
+
+	return Promise.resolve(loadProject(logger, composeOpts))
+		.then(function(project) {
+			const composition = selectServices(
 				project.composition,
-				opts.arch,
-				opts.deviceType,
-				opts.buildEmulated,
-				opts.buildOpts,
-				composeOpts.inlineLogs,
-				opts.convertEol,
-				composeOpts.dockerfilePath,
+				composeOpts.services,
+			);
+			return Promise.using(packedContext(project.path), tarPath =>
+				Promise.mapSeries(uniqueTargets, target =>
+					buildTarget(project, composition, tarPath, target),
+				),
 			);
 		})
-		.then(function() {
+		.then(function(results) {
+			printSummary(results);
+			const failed = results.filter(({ error }) => error != null);
+			if (failed.length) {
+				throw new ExpectedError(
+					`Build failed for device type(s): ${failed
+						.map(({ target }) => target.deviceType)
+						.join(', ')}`,
+				);
+			}
 			logger.outputDeferredMessages();
 			logger.logSuccess('Build succeeded!');
 		})
@@ -73,6 +546,132 @@ const buildProject = function(docker, logger, composeOpts, opts) {
 		});
 };
 
+/**
+ * Split the value of an option that accepts a comma-separated list, and may
+ * be repeated, into an array
+ */
+const parseListOption = value =>
+	[]
+		.concat(value ?? [])
+		.join(',')
+		.split(',')
+		.map(item => item.trim())
+		.filter(item => item);
+
+/**
+ * Print the project's composition, after merging compose files and
+ * substituting variables, in YAML format (the `--print-config` option)
+ */
+const printComposeConfig = function(logger, composeOpts) {
+	const yml = require('js-yaml');
+	const { loadProject } = require('../utils/compose_ts');
+	return Promise.resolve(loadProject(logger, composeOpts)).then(project => {
+		process.stdout.write(
+			yml.safeDump(project.composition, { skipInvalid: true }),
+		);
+	});
+};
+
+/**
+ * Print the files of each service's build context with their sizes, and the
+ * ignore file lines that exclude files from it, without building anything
+ * (the `--dry-run` option)
+ */
+const printContextReport = function(logger, composeOpts) {
+	const { loadProject, selectServices } = require('../utils/compose_ts');
+	const { makeContextReport } = require('../utils/context-report');
+	return Promise.resolve(loadProject(logger, composeOpts))
+		.then(project =>
+			makeContextReport(
+				project,
+				Object.keys(
+					selectServices(project.composition, composeOpts.services).services,
+				),
+				{
+					preserveSymlinks: composeOpts.preserveSymlinks,
+					emptyDirs: composeOpts.emptyDirs,
+				},
+			),
+		)
+		.then(report => {
+			process.stdout.write(report + '\n');
+		});
+};
+
+/**
+ * Check the project's compose files for features that balena devices ignore
+ * or reject, and print the issues found with their line numbers (the `--lint`
+ * option). Fails if errors are found.
+ */
+const printLintReport = function(logger, composeOpts) {
+	const { ExpectedError } = require('../errors');
+	const { loadProject, resolveProject } = require('../utils/compose_ts');
+	const {
+		formatLintReport,
+		lintComposeFiles,
+	} = require('../utils/compose-lint');
+	return Promise.resolve(
+		resolveProject(logger, composeOpts.projectPath, composeOpts.composeFiles),
+	)
+		.then(function([composeNames, composeStrs]) {
+			const issues = lintComposeFiles(
+				composeNames.map((name, i) => ({ name, contents: composeStrs[i] })),
+			);
+			if (issues.some(issue => issue.severity === 'error')) {
+				return issues;
+			}
+			// report the errors of the merged composition too, such as those
+			// of variable substitution
+			return Promise.resolve(loadProject(logger, composeOpts))
+				.return(issues)
+				.catch(err =>
+					issues.concat({
+						file: composeNames.join(', '),
+						severity: 'error',
+						message: err.message,
+					}),
+				);
+		})
+		.then(function(issues) {
+			process.stdout.write(formatLintReport(issues) + '\n');
+			if (issues.some(issue => issue.severity === 'error')) {
+				throw new ExpectedError(
+					'The composition uses features that balena devices reject',
+				);
+			}
+		});
+};
+
+/**
+ * Print the Dockerfile of each service as resolved for each target device
+ * type, with its base images and build args, without building anything
+ * (the `--render-dockerfile` option)
+ */
+const printRenderedDockerfiles = function(logger, composeOpts, targets) {
+	const _ = require('lodash');
+	const { loadProject, selectServices } = require('../utils/compose_ts');
+	const {
+		formatRenderedDockerfile,
+		renderDockerfiles,
+	} = require('../utils/render-dockerfile');
+	return Promise.resolve(loadProject(logger, composeOpts)).then(project => {
+		const composition = selectServices(
+			project.composition,
+			composeOpts.services,
+		);
+		return Promise.mapSeries(targets, target =>
+			Promise.resolve(
+				renderDockerfiles(logger, project, composition, target, {
+					buildArgs: composeOpts.buildArgs,
+					preserveSymlinks: composeOpts.preserveSymlinks,
+				}),
+			).map(rendered => formatRenderedDockerfile(rendered, target)),
+		).then(outputs => {
+			process.stdout.write(_.flatten(outputs).join('\n'));
+		});
+	});
+};
+
 export const build = {
 	signature: 'build [source]',
 	description: 'Build a single image or a multicontainer project locally',
@@ -86,6 +685,13 @@ balenaCloud build servers.)
 You must provide either an application or a device-type/architecture pair to use
 the balena Dockerfile pre-processor (e.g. Dockerfile.template -> Dockerfile).
 
+To build for several device types at once, provide a comma-separated list of
+applications, or of device types together with their architectures (in the same
+order). The build context is then packed only once, the images are tagged with
+the device type (e.g. 'myproject_myservice:raspberrypi3'), emulation is enabled
+for the device types whose architecture differs from that of the docker daemon,
+and the results of all builds are shown in a single summary table.
+
 This command will look into the given source directory (or the current working
 directory if one isn't specified) for a docker-compose.yml file, and if found,
 each service defined in the compose file will be built. If a compose file isn't
@@ -93,6 +699,20 @@ found, it will look for a Dockerfile[.template] file (or alternative Dockerfile
 specified with the \`--dockerfile\` option), and if no dockerfile is found, it
 will try to generate one.
 
+A hash of each service's build inputs (build context files, Dockerfile, build
+arguments, base images and target architecture/device type) is stored as a
+label of the built image. If an image with a matching hash already exists, the
+service is not built again. Use the \`--nocache\` option to force all services to
+be rebuilt.
+
+When the output is not a terminal (e.g. in CI jobs), the build progress is
+printed as plain lines instead of a live display, with a heartbeat line every
+30 seconds showing the elapsed time and the step of each service.
+
+${composeFilesHelp}
+
+${projectConfigHelp}
+
 ${registrySecretsHelp}
 
 Examples:
@@ -101,8 +721,21 @@ Examples:
 	$ balena build ./source/
 	$ balena build --deviceType raspberrypi3 --arch armv7hf --emulated
 	$ balena build --application MyApp ./source/
+	$ balena build --deviceType raspberrypi3,intel-nuc --arch armv7hf,amd64
+	$ balena build --application MyApp --service api,worker
+	$ balena build --application MyApp --compare-release latest
+	$ balena build --application MyApp --export ./images
+	$ balena build --build-arg-file args.env -B api:VERSION=3
+	$ balena build -c docker-compose.yml -c docker-compose.prod.yml --print-config
+	$ balena build --dry-run --service api
+	$ balena build --lint
+	$ balena build --deviceType raspberrypi3 --arch armv7hf --render-dockerfile
+	$ balena build --application MyApp --watch --service api
+	$ balena build --application MyApp --git-ref HEAD
+	$ balena build --application MyApp --output json > events.ndjson
 	$ balena build --docker /var/run/docker.sock   # Linux, Mac
 	$ balena build --docker //./pipe/docker_engine # Windows
+	$ balena build --dockerHost ssh://user@build-box
 	$ balena build --dockerHost my.docker.host --dockerPort 2376 --ca ca.pem --key key.pem --cert cert.pem\
 `,
 	options: dockerUtils.appendOptions(
@@ -110,21 +743,90 @@ Examples:
 			{
 				signature: 'arch',
 				parameter: 'arch',
-				description: 'The architecture to build for',
+				description:
+					'The architecture to build for (comma-separated list for several device types)',
 				alias: 'A',
 			},
 			{
 				signature: 'deviceType',
 				parameter: 'deviceType',
-				description: 'The type of device this build is for',
+				description:
+					'The type of device this build is for (comma-separated list for several device types)',
 				alias: 'd',
 			},
 			{
 				signature: 'application',
 				parameter: 'application',
-				description: 'The target balena application this build is for',
+				description:
+					'The target balena application this build is for (comma-separated list for several applications)',
 				alias: 'a',
 			},
+			{
+				signature: 'print-config',
+				description: `\
+Print the project's composition, after merging compose files and \
+substituting variables, and exit without building`,
+				boolean: true,
+			},
+			{
+				signature: 'dry-run',
+				description: `\
+List the files of each service's build context with their sizes, the files \
+excluded by .dockerignore or .gitignore files (and the line that excludes \
+them), and the total build context size, and exit without building. Does \
+not require a connection to Docker`,
+				boolean: true,
+			},
+			{
+				signature: 'lint',
+				description: `\
+Check the compose files for features that balena devices ignore or reject \
+(unsupported keys, bind mounts and volumes that are not named volumes), \
+privileged services, network_mode settings and conflicting service names, \
+print the issues found with their line numbers, and exit without building. \
+Fails if errors are found`,
+				boolean: true,
+			},
+			{
+				signature: 'render-dockerfile',
+				description: `\
+Print the Dockerfile of each service as resolved for the given application or \
+device type (e.g. Dockerfile.template -> Dockerfile), with its base images and \
+the build args in effect, and exit without building. Does not require a \
+connection to Docker`,
+				boolean: true,
+			},
+			{
+				signature: 'export',
+				parameter: 'dir',
+				description: `\
+After building, save the image of each service to '<dir>/<service>.tar' (in \
+'docker save' format), with a 'manifest.json' file listing the image IDs and \
+digests and the composition, for offline transfer. The images can then be \
+deployed with 'balena deploy --from-archive <dir>'. When building for several \
+device types, the images are saved to a subdirectory for each device type. \
+Cannot be combined with --service`,
+			},
+			{
+				signature: 'compare-release',
+				parameter: 'commit|latest',
+				description: `\
+After building, list the layers of each service's image with their sizes and \
+the instructions that created them, side by side with the image of the same \
+service in the given release of the application (or its latest successful \
+release), and the instructions that added weight. Requires --application`,
+			},
+			{
+				signature: 'watch',
+				description: `\
+After building, watch the project directory for changes and rebuild the \
+services whose build context contains the changed files (respecting \
+.dockerignore and .gitignore files), or whose definition changed in the \
+compose files, and the services that depend on them (that build FROM their \
+image, or list them in 'depends_on' with --dependency-order), until \
+interrupted with Ctrl+C. Requires a single application or device type`,
+				boolean: true,
+			},
 		]),
 	),
 	action(params, options) {
@@ -132,16 +834,30 @@ Examples:
 		// @ts-ignore editing property that isn't typed but does exist
 		require('events').defaultMaxListeners = 1000;
 
+		const path = require('path');
 		const sdk = getBalenaSdk();
 		const { ExpectedError } = require('../errors');
 		const { checkLoggedIn } = require('../utils/patterns');
 		const { validateProjectDirectory } = require('../utils/compose_ts');
+		const { checkoutGitRefOption } = require('../utils/git-revision');
 		const helpers = require('../utils/helpers');
 		const Logger = require('../utils/logger');
 
 		const logger = Logger.getLogger();
 		logger.logDebug('Parsing input...');
 
+		if (
+			options.output === 'json' ||
+			options['print-config'] ||
+			options['dry-run'] ||
+			options.lint ||
+			options['render-dockerfile']
+		) {
+			// keep stdout free for JSON progress events or the printed config,
+			// reports or Dockerfiles
+			logger.redirectOutput(process.stderr);
+		}
+
 		// `build` accepts `[source]` as a parameter, but compose expects it
 		// as an option. swap them here
 		if (options.source == null) {
@@ -152,57 +868,159 @@ Examples:
 		options.convertEol = options['convert-eol'] || false;
 		delete options['convert-eol'];
 
-		const { application, arch, deviceType } = options;
+		let gitCheckout;
+		return Promise.resolve(checkoutGitRefOption(logger, options))
+			.then(function(checkout) {
+				gitCheckout = checkout;
+				if (options['print-config']) {
+					return compose
+						.generateOpts(options)
+						.then(composeOpts => printComposeConfig(logger, composeOpts));
+				}
 
-		return Promise.try(function() {
-			if (
-				(application == null && (arch == null || deviceType == null)) ||
-				(application != null && (arch != null || deviceType != null))
-			) {
-				throw new ExpectedError(
-					'You must specify either an application or an arch/deviceType pair to build for',
-				);
-			}
-			if (application) {
-				return checkLoggedIn();
-			}
-		})
-			.then(() =>
-				validateProjectDirectory(sdk, {
-					dockerfilePath: options.dockerfile,
-					noParentCheck: options['noparent-check'] || false,
-					projectPath: options.source || '.',
-					registrySecretsPath: options['registry-secrets'],
-				}),
-			)
-			.then(function({ dockerfilePath, registrySecrets }) {
-				options.dockerfile = dockerfilePath;
-				options['registry-secrets'] = registrySecrets;
-
-				if (arch != null && deviceType != null) {
-					return [undefined, arch, deviceType];
-				} else {
-					return helpers
-						.getAppWithArch(application)
-						.then(app => [app, app.arch, app.device_type]);
+				if (options['dry-run']) {
+					return compose
+						.generateOpts(options)
+						.then(composeOpts => printContextReport(logger, composeOpts));
 				}
-			})
 
-			.then(function([app, resolvedArch, resolvedDeviceType]) {
-				return Promise.join(
-					dockerUtils.getDocker(options),
-					dockerUtils.generateBuildOpts(options),
-					compose.generateOpts(options),
-					(docker, buildOpts, composeOpts) =>
-						buildProject(docker, logger, composeOpts, {
-							app,
-							arch: resolvedArch,
-							deviceType: resolvedDeviceType,
-							buildEmulated: !!options.emulated,
-							buildOpts,
-							convertEol: options.convertEol,
-						}),
-				);
-			});
+				if (options.lint) {
+					return compose
+						.generateOpts(options)
+						.then(composeOpts => printLintReport(logger, composeOpts));
+				}
+
+				const applications = parseListOption(options.application);
+				let archs = parseListOption(options.arch);
+				let deviceTypes = parseListOption(options.deviceType);
+				let projectConfig;
+
+				return Promise.resolve(
+					validateProjectDirectory(sdk, {
+						composeFiles: options['compose-file'],
+						dockerfilePath: options.dockerfile,
+						noParentCheck: options['noparent-check'] || false,
+						projectPath: options.source || '.',
+						registrySecretsPath: options['registry-secrets'],
+					}),
+				)
+					.then(function(result) {
+						options.dockerfile = result.dockerfilePath;
+						options['registry-secrets'] = result.registrySecrets;
+						projectConfig = result.projectConfig;
+
+						// the project configuration may provide the device type and
+						// architecture, unless an application is specified
+						if (!applications.length) {
+							archs = archs.length
+								? archs
+								: parseListOption(projectConfig.arch);
+							deviceTypes = deviceTypes.length
+								? deviceTypes
+								: parseListOption(projectConfig.deviceType);
+						}
+						if (
+							(!applications.length &&
+								(!archs.length || !deviceTypes.length)) ||
+							(applications.length && (archs.length || deviceTypes.length))
+						) {
+							throw new ExpectedError(
+								'You must specify either an application or an arch/deviceType pair to build for',
+							);
+						}
+						if (options['compare-release'] && applications.length !== 1) {
+							throw new ExpectedError(
+								'The --compare-release option requires a single application (--application)',
+							);
+						}
+						if (
+							options.watch &&
+							(applications.length > 1 ||
+								deviceTypes.length > 1 ||
+								options.export ||
+								options['compare-release'] ||
+								gitCheckout)
+						) {
+							throw new ExpectedError(
+								'The --watch option requires a single application or device type, and cannot be combined with --export, --compare-release or --git-ref',
+							);
+						}
+						if (options.export && options.service) {
+							// `deploy --from-archive` requires the images of all services
+							throw new ExpectedError(
+								'The --export option cannot be combined with --service, as an image archive must include every service',
+							);
+						}
+						if (archs.length !== deviceTypes.length) {
+							throw new ExpectedError(
+								'The --arch and --deviceType options must list the same number of values',
+							);
+						}
+						if (applications.length) {
+							return checkLoggedIn();
+						}
+					})
+					.then(function() {
+						if (archs.length) {
+							return archs.map((arch, i) => ({
+								app: undefined,
+								arch,
+								deviceType: deviceTypes[i],
+							}));
+						}
+						return Promise.map(applications, application =>
+							helpers.getAppWithArch(application).then(app => ({
+								app,
+								arch: app.arch,
+								deviceType: app.device_type,
+							})),
+						);
+					})
+
+					.then(function(targets) {
+						if (options['render-dockerfile']) {
+							return compose
+								.generateOpts(options, projectConfig)
+								.then(composeOpts =>
+									printRenderedDockerfiles(logger, composeOpts, targets),
+								);
+						}
+						return Promise.join(
+							dockerUtils.getDocker(options),
+							dockerUtils.generateBuildOpts(options),
+							compose.generateOpts(options, projectConfig),
+							function(docker, buildOpts, composeOpts) {
+								const opts = {
+									buildEmulated: !!options.emulated,
+									buildOpts,
+									convertEol: options.convertEol,
+									compareRelease: options['compare-release'],
+									exportDir: options.export && path.resolve(options.export),
+									gitCommit: gitCheckout?.commit,
+								};
+								if (options.watch) {
+									return watchProject(docker, logger, composeOpts, {
+										...targets[0],
+										...opts,
+									});
+								}
+								if (targets.length > 1) {
+									return buildTargets(
+										docker,
+										logger,
+										composeOpts,
+										targets,
+										opts,
+									);
+								}
+								return buildProject(docker, logger, composeOpts, {
+									...targets[0],
+									...opts,
+								});
+							},
+						);
+					});
+			})
+			.finally(() => gitCheckout?.remove());
 	},
 };
@@ -21,10 +21,133 @@ import * as Promise from 'bluebird';
 
 import * as dockerUtils from '../utils/docker';
 import * as compose from '../utils/compose';
-import { registrySecretsHelp } from '../utils/messages';
+import {
+	composeFilesHelp,
+	projectConfigHelp,
+	registrySecretsHelp,
+} from '../utils/messages';
 import { ExpectedError } from '../errors';
 import { getBalenaSdk, getChalk } from '../utils/lazy';
 
+/**
+ * Run a hook of the project configuration (composeOpts.projectConfig), if
+ * defined, with the target application and the given metadata
+ * @param metadata Object with the services, images, release and projectName
+ */
+const runDeployHook = function(logger, composeOpts, opts, hook, metadata) {
+	const { runProjectHook } = require('../utils/project-config');
+	return Promise.resolve(
+		runProjectHook(
+			logger,
+			composeOpts.projectConfig,
+			hook,
+			{
+				projectPath: composeOpts.projectPath,
+				arch: opts.app.arch,
+				deviceType: opts.app.device_type,
+				app: opts.app,
+				...metadata,
+			},
+			{
+				stdout: composeOpts.outputFormat === 'json' ? 'stderr' : 'inherit',
+				run: composeOpts.runHooks,
+			},
+		),
+	);
+};
+
+/**
+ * Create a release of the application with the given images (pushing them
+ * to the balena registry), or deploy the single image of a legacy
+ * application.
+ * @returns Promise<object> The release, with at least a `commit` property
+ */
+const releaseImages = function(
+	docker,
+	logger,
+	composeOpts,
+	opts,
+	composition,
+	images,
+) {
+	const sdk = getBalenaSdk();
+	if (opts.app.application_type?.[0]?.is_legacy) {
+		const { deployLegacy } = require('../utils/deploy-legacy');
+
+		const msg = getChalk().yellow(
+			'Target application requires legacy deploy method.',
+		);
+		logger.logWarn(msg);
+
+		return runDeployHook(logger, composeOpts, opts, 'pre-deploy', {
+			services: Object.keys(composition.services),
+			images,
+		})
+			.then(() =>
+				Promise.join(
+					docker,
+					logger,
+					sdk.auth.getToken(),
+					sdk.auth.whoami(),
+					sdk.settings.get('balenaUrl'),
+					{
+						// opts.appName may be prefixed by 'owner/', unlike opts.app.app_name
+						appName: opts.appName,
+						imageName: images[0].name,
+						buildLogs: images[0].logs,
+						shouldUploadLogs: opts.shouldUploadLogs,
+					},
+					deployLegacy,
+				),
+			)
+			.then(releaseId =>
+				// @ts-ignore releaseId should be inferred as a number because that's what deployLegacy is
+				// typed as returning but the .js type-checking doesn't manage to infer it correctly due to
+				// Promise.join typings
+				sdk.models.release.get(releaseId, { $select: ['commit'] }),
+			);
+	}
+	return Promise.join(
+		sdk.auth.getUserId(),
+		sdk.auth.getToken(),
+		sdk.settings.get('apiUrl'),
+		(userId, auth, apiEndpoint) =>
+			compose.deployProject(
+				docker,
+				logger,
+				composition,
+				images,
+				opts.app.id,
+				userId,
+				`Bearer ${auth}`,
+				apiEndpoint,
+				!opts.shouldUploadLogs,
+				{
+					outputFormat: composeOpts.outputFormat,
+					releaseCommit: opts.gitCommit,
+					preDeploy: release =>
+						runDeployHook(logger, composeOpts, opts, 'pre-deploy', {
+							services: Object.keys(composition.services),
+							images,
+							release,
+						}),
+				},
+			),
+	);
+};
+
+const logDeploySuccess = function(logger, composeOpts, release) {
+	const doodles = require('resin-doodles');
+	logger.outputDeferredMessages();
+	logger.logSuccess('Deploy succeeded!');
+	logger.logSuccess(`Release: ${release.commit}`);
+	if (composeOpts.outputFormat !== 'json') {
+		console.log();
+		console.log(doodles.getDoodle()); // Show charlie
+		console.log();
+	}
+};
+
 /*
 Opts must be an object with the following keys:
 
@@ -35,12 +158,18 @@ Opts must be an object with the following keys:
 	shouldUploadLogs
 	buildEmulated
 	buildOpts: arguments to forward to docker build command
+	fromArchive: directory of images exported with `balena build --export`; optional
+	gitCommit: SHA of the git commit the project was exported from (the
+		`--git-ref` option), used as the release commit; optional
+
+The 'pre-build', 'post-build' and 'pre-deploy' hooks of the project
+configuration (composeOpts.projectConfig) are run around the build and
+before the images are pushed if composeOpts.runHooks is set (the `--hooks`
+option), and logged otherwise.
 */
 const deployProject = function(docker, logger, composeOpts, opts) {
 	const _ = require('lodash');
-	const doodles = require('resin-doodles');
-	const sdk = getBalenaSdk();
-	const { loadProject } = require('../utils/compose_ts');
+	const { loadProject, selectServices } = require('../utils/compose_ts');
 
 	return Promise.resolve(loadProject(logger, composeOpts, opts.image))
 		.then(function(project) {
@@ -53,18 +182,47 @@ const deployProject = function(docker, logger, composeOpts, opts) {
 				);
 			}
 
-			// find which services use images that already exist locally
-			return Promise.map(project.descriptors, function(d) {
-				// unconditionally build (or pull) if explicitly requested
-				if (opts.shouldPerformBuild) {
-					return d;
-				}
-				return docker
-					.getImage(typeof d.image === 'string' ? d.image : d.image.tag)
-					.inspect()
-					.return(d.serviceName)
-					.catchReturn();
-			})
+			// services not selected with the --service option reuse their
+			// images from the application's latest successful release
+			const selectedComposition = selectServices(
+				project.composition,
+				composeOpts.services,
+			);
+			const servicesToReuse = _.difference(
+				_.keys(project.composition.services),
+				_.keys(selectedComposition.services),
+			);
+			let reusedImages = [];
+
+			return Promise.resolve(
+				servicesToReuse.length > 0
+					? compose.pullPreviousReleaseImages(
+							docker,
+							logger,
+							opts.app.id,
+							servicesToReuse,
+					  )
+					: [],
+			)
+				.then(images => {
+					reusedImages = images;
+				})
+				.return(project.descriptors)
+				.map(function(d) {
+					if (servicesToReuse.includes(d.serviceName)) {
+						return d.serviceName;
+					}
+					// find which services use images that already exist locally,
+					// unless a build (or pull) is explicitly requested
+					if (opts.shouldPerformBuild) {
+						return d;
+					}
+					return docker
+						.getImage(typeof d.image === 'string' ? d.image : d.image.tag)
+						.inspect()
+						.return(d.serviceName)
+						.catchReturn();
+				})
 				.filter(d => !!d)
 				.then(function(servicesToSkip) {
 					// multibuild takes in a composition and always attempts to
@@ -81,27 +239,49 @@ const deployProject = function(docker, logger, composeOpts, opts) {
 						);
 						return {};
 					}
-					return compose
-						.buildProject(
-							docker,
-							logger,
-							project.path,
-							project.name,
-							compositionToBuild,
-							opts.app.arch,
-							opts.app.device_type,
-							opts.buildEmulated,
-							opts.buildOpts,
-							composeOpts.inlineLogs,
-							opts.convertEol,
-							composeOpts.dockerfilePath,
+					const buildMetadata = {
+						projectName: project.name,
+						services: Object.keys(compositionToBuild.services),
+					};
+					return runDeployHook(
+						logger,
+						composeOpts,
+						opts,
+						'pre-build',
+						buildMetadata,
+					)
+						.then(() =>
+							compose.buildProject(
+								docker,
+								logger,
+								project.path,
+								project.name,
+								compositionToBuild,
+								opts.app.arch,
+								opts.app.device_type,
+								opts.buildEmulated,
+								opts.buildOpts,
+								composeOpts.inlineLogs,
+								opts.convertEol,
+								composeOpts.dockerfilePath,
+								compose.buildProjectOpts(composeOpts, {
+									gitCommit: opts.gitCommit,
+								}),
+							),
+						)
+						.tap(builtImages =>
+							runDeployHook(logger, composeOpts, opts, 'post-build', {
+								...buildMetadata,
+								images: builtImages,
+							}),
 						)
 						.then(builtImages => _.keyBy(builtImages, 'serviceName'));
 				})
 				.then(builtImages =>
 					project.descriptors.map(
 						d =>
-							builtImages[d.serviceName] ?? {
+							builtImages[d.serviceName] ??
+							_.find(reusedImages, { serviceName: d.serviceName }) ?? {
 								serviceName: d.serviceName,
 								name: typeof d.image === 'string' ? d.image : d.image.tag,
 								logs: 'Build skipped; image for service already exists.',
@@ -109,63 +289,79 @@ const deployProject = function(docker, logger, composeOpts, opts) {
 							},
 					),
 				)
-				.then(function(images) {
-					if (opts.app.application_type?.[0]?.is_legacy) {
-						const { deployLegacy } = require('../utils/deploy-legacy');
+				.tap(images =>
+					compose.checkImageSizeLimits(
+						docker,
+						logger,
+						project.composition,
+						images,
+						composeOpts.sizeLimits,
+						opts.app.id,
+					),
+				)
+				.then(images =>
+					releaseImages(
+						docker,
+						logger,
+						composeOpts,
+						opts,
+						project.composition,
+						images,
+					),
+				);
+		})
+		.then(release => logDeploySuccess(logger, composeOpts, release))
+		.tapCatch(() => {
+			logger.logError('Deploy failed');
+		});
+};
 
-						const msg = getChalk().yellow(
-							'Target application requires legacy deploy method.',
-						);
-						logger.logWarn(msg);
+/**
+ * Deploy the images of an archive created with `balena build --export`
+ * (the `--from-archive` option), loading them into the Docker daemon
+ * instead of building or finding them locally.
+ */
+const deployArchive = function(docker, logger, composeOpts, opts) {
+	const _ = require('lodash');
+	const { loadImageArchive } = require('../utils/image-archive');
 
-						return Promise.join(
-							docker,
-							logger,
-							sdk.auth.getToken(),
-							sdk.auth.whoami(),
-							sdk.settings.get('balenaUrl'),
-							{
-								// opts.appName may be prefixed by 'owner/', unlike opts.app.app_name
-								appName: opts.appName,
-								imageName: images[0].name,
-								buildLogs: images[0].logs,
-								shouldUploadLogs: opts.shouldUploadLogs,
-							},
-							deployLegacy,
-						).then(releaseId =>
-							// @ts-ignore releaseId should be inferred as a number because that's what deployLegacy is
-							// typed as returning but the .js type-checking doesn't manage to infer it correctly due to
-							// Promise.join typings
-							sdk.models.release.get(releaseId, { $select: ['commit'] }),
-						);
-					}
-					return Promise.join(
-						sdk.auth.getUserId(),
-						sdk.auth.getToken(),
-						sdk.settings.get('apiUrl'),
-						(userId, auth, apiEndpoint) =>
-							compose.deployProject(
-								docker,
-								logger,
-								project.composition,
-								images,
-								opts.app.id,
-								userId,
-								`Bearer ${auth}`,
-								apiEndpoint,
-								!opts.shouldUploadLogs,
-							),
-					);
-				});
-		})
-		.then(function(release) {
-			logger.outputDeferredMessages();
-			logger.logSuccess('Deploy succeeded!');
-			logger.logSuccess(`Release: ${release.commit}`);
-			console.log();
-			console.log(doodles.getDoodle()); // Show charlie
-			console.log();
+	return Promise.resolve(loadImageArchive(docker, logger, opts.fromArchive))
+		.then(function({ manifest, images }) {
+			if (manifest.arch !== opts.app.arch) {
+				throw new ExpectedError(
+					`The images in '${opts.fromArchive}' were built for ${manifest.deviceType} (${manifest.arch}), ` +
+						`but the target application is for ${opts.app.device_type} (${opts.app.arch})`,
+				);
+			}
+			if (
+				_.size(manifest.composition.services) > 1 &&
+				!opts.app.application_type?.[0]?.supports_multicontainer
+			) {
+				throw new Error(
+					'Target application does not support multiple containers. Aborting!',
+				);
+			}
+			return compose
+				.checkImageSizeLimits(
+					docker,
+					logger,
+					manifest.composition,
+					images,
+					composeOpts.sizeLimits,
+					opts.app.id,
+				)
+				.then(() =>
+					releaseImages(
+						docker,
+						logger,
+						composeOpts,
+						opts,
+						manifest.composition,
+						images,
+					),
+				);
 		})
+		.then(release => logDeploySuccess(logger, composeOpts, release))
 		.tapCatch(() => {
 			logger.logError('Deploy failed');
 		});
@@ -176,7 +372,7 @@ export const deploy = {
 	description:
 		'Deploy a single image or a multicontainer project to a balena application',
 	help: `\
-Usage: \`deploy <appName> ([image] | --build [--source build-dir])\`
+Usage: \`deploy <appName> ([image] | --build [--source build-dir] | --from-archive dir)\`
 
 Use this command to deploy an image or a complete multicontainer project to an
 application, optionally building it first. The source images are searched for
@@ -198,12 +394,19 @@ To deploy to an app on which you're a collaborator, use
 When --build is used, all options supported by \`balena build\` are also supported
 by this command.
 
+${composeFilesHelp}
+
+${projectConfigHelp}
+
 ${registrySecretsHelp}
 
 Examples:
 
 	$ balena deploy myApp
 	$ balena deploy myApp --build --source myBuildDir/
+	$ balena deploy myApp --build --service api
+	$ balena deploy myApp --git-ref v1.2.0
+	$ balena deploy myApp --from-archive ./images
 	$ balena deploy myApp myApp/myImage\
 `,
 	permission: 'user',
@@ -229,6 +432,21 @@ Examples:
 					"Don't upload build logs to the dashboard with image (if building)",
 				boolean: true,
 			},
+			{
+				signature: 'from-archive',
+				parameter: 'dir',
+				description: `\
+Deploy the images of an archive directory created with \
+'balena build --export <dir>', loading them into the docker daemon, \
+instead of building the project or using existing images`,
+			},
+			{
+				signature: 'noreproducible',
+				description: `\
+Don't sort and normalize the files of the build context (see --reproducible), \
+but add them with their actual modification times, ownership and permissions`,
+				boolean: true,
+			},
 		]),
 	),
 	action(params, options) {
@@ -240,12 +458,18 @@ Examples:
 			getRegistrySecrets,
 			validateProjectDirectory,
 		} = require('../utils/compose_ts');
+		const { checkoutGitRefOption } = require('../utils/git-revision');
 		const helpers = require('../utils/helpers');
 		const Logger = require('../utils/logger');
 
 		const logger = Logger.getLogger();
 		logger.logDebug('Parsing input...');
 
+		if (options.output === 'json') {
+			// keep stdout free for JSON progress events
+			logger.redirectOutput(process.stderr);
+		}
+
 		// when Capitano converts a positional parameter (but not an option)
 		// to a number, the original value is preserved with the _raw suffix
 		let { appName, appName_raw, image } = params;
@@ -264,6 +488,13 @@ Examples:
 			);
 		}
 
+		// deploy creates reproducible build contexts by default
+		options.reproducible = !options.noreproducible;
+		delete options.noreproducible;
+
+		let projectConfig;
+		let gitCheckout;
+
 		return Promise.try(function() {
 			if (appName == null) {
 				throw new ExpectedError(
@@ -276,8 +507,25 @@ Examples:
 					'Build option is not applicable when specifying an image',
 				);
 			}
+
+			if (options['from-archive'] && (image != null || options.build)) {
+				throw new ExpectedError(
+					'The --from-archive option is not applicable when specifying an image or the --build option',
+				);
+			}
+
+			if (options['git-ref'] && (image != null || options['from-archive'])) {
+				throw new ExpectedError(
+					'The --git-ref option is not applicable when specifying an image or the --from-archive option',
+				);
+			}
 		})
-			.then(function() {
+			.then(() => checkoutGitRefOption(logger, options))
+			.then(function(checkout) {
+				gitCheckout = checkout;
+				if (options['from-archive']) {
+					return;
+				}
 				if (image) {
 					return getRegistrySecrets(sdk, options['registry-secrets']).then(
 						registrySecrets => {
@@ -286,13 +534,15 @@ Examples:
 					);
 				} else {
 					return validateProjectDirectory(sdk, {
+						composeFiles: options['compose-file'],
 						dockerfilePath: options.dockerfile,
 						noParentCheck: options['noparent-check'] || false,
 						projectPath: options.source || '.',
 						registrySecretsPath: options['registry-secrets'],
-					}).then(function({ dockerfilePath, registrySecrets }) {
-						options.dockerfile = dockerfilePath;
-						options['registry-secrets'] = registrySecrets;
+					}).then(function(result) {
+						options.dockerfile = result.dockerfilePath;
+						options['registry-secrets'] = result.registrySecrets;
+						projectConfig = result.projectConfig;
 					});
 				}
 			})
@@ -301,19 +551,29 @@ Examples:
 				return Promise.join(
 					dockerUtils.getDocker(options),
 					dockerUtils.generateBuildOpts(options),
-					compose.generateOpts(options),
+					compose.generateOpts(options, projectConfig),
 					(docker, buildOpts, composeOpts) =>
-						deployProject(docker, logger, composeOpts, {
-							app,
-							appName, // may be prefixed by 'owner/', unlike app.app_name
-							image,
-							shouldPerformBuild: !!options.build,
-							shouldUploadLogs: !options.nologupload,
-							buildEmulated: !!options.emulated,
-							buildOpts,
-							convertEol: options.convertEol,
-						}),
+						(options['from-archive'] ? deployArchive : deployProject)(
+							docker,
+							logger,
+							composeOpts,
+							{
+								app,
+								appName, // may be prefixed by 'owner/', unlike app.app_name
+								image,
+								// images built from the working tree may not match the
+								// git revision
+								shouldPerformBuild: !!options.build || !!gitCheckout,
+								shouldUploadLogs: !options.nologupload,
+								buildEmulated: !!options.emulated,
+								buildOpts,
+								convertEol: options.convertEol,
+								fromArchive: options['from-archive'],
+								gitCommit: gitCheckout?.commit,
+							},
+						),
 				);
-			});
+			})
+			.finally(() => gitCheckout?.remove());
 	},
 };
@@ -0,0 +1,134 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+import { fs } from 'mz';
+
+import { ExpectedError } from '../errors';
+
+/** Build arguments for all services, and for individual services */
+export interface BuildArgs {
+	all: Dictionary<string>;
+	services: Dictionary<Dictionary<string>>;
+}
+
+/**
+ * Build arguments set with the `--build-arg-file` and `-B` options, and the
+ * defaults of the project configuration ('.balena/balena.yml' file)
+ */
+export interface BuildArgOptions {
+	project?: BuildArgs;
+	files: BuildArgs;
+	cli: BuildArgs;
+}
+
+// '[service:]KEY=value' (note: [^] matches any character, including line
+// breaks, and the value may contain ':' characters)
+const BUILD_ARG_REGEX = /^(?:([\w.-]+):)?([^\s:=]+)=([^]*)$/;
+
+function addBuildArg(buildArgs: BuildArgs, arg: string) {
+	const match = BUILD_ARG_REGEX.exec(arg);
+	if (match == null) {
+		throw new ExpectedError(
+			`Could not parse build argument: '${arg}' (expected 'KEY=value' or 'service:KEY=value')`,
+		);
+	}
+	const [, serviceName, key, value] = match;
+	if (serviceName) {
+		buildArgs.services[serviceName] = {
+			...buildArgs.services[serviceName],
+			[key]: value,
+		};
+	} else {
+		buildArgs.all[key] = value;
+	}
+}
+
+/**
+ * Parse the values of the `-B` (`--buildArg`) option: 'KEY=value' for all
+ * services, or 'service:KEY=value' for a single service.
+ */
+export function parseBuildArgs(args: string | string[] | undefined): BuildArgs {
+	const buildArgs: BuildArgs = { all: {}, services: {} };
+	for (const arg of _.castArray(args ?? [])) {
+		addBuildArg(buildArgs, `${arg}`);
+	}
+	return buildArgs;
+}
+
+/**
+ * Read the files of the `--build-arg-file` option, in the format of Docker
+ * Compose '.env' files, where keys may be prefixed with a service name like
+ * with the `-B` option. Values of later files override those of earlier files.
+ */
+export async function readBuildArgFiles(
+	files: string | string[] | undefined,
+): Promise<BuildArgs> {
+	const { parseDotEnv } = await import('./compose-config');
+	const buildArgs: BuildArgs = { all: {}, services: {} };
+	for (const file of _.castArray(files ?? [])) {
+		try {
+			const env = parseDotEnv(await fs.readFile(file, 'utf8'));
+			_.forEach(env, (value, key) => addBuildArg(buildArgs, `${key}=${value}`));
+		} catch (err) {
+			throw new ExpectedError(
+				`Error reading build argument file '${file}': ${err.message}`,
+			);
+		}
+	}
+	return buildArgs;
+}
+
+/**
+ * Return the names of the services that build arguments are set for, but
+ * that are not among the given service names (e.g. misspelled names).
+ */
+export function getUnknownServices(
+	options: BuildArgOptions,
+	serviceNames: string[],
+): string[] {
+	return _.difference(
+		_.union(_.keys(options.files.services), _.keys(options.cli.services)),
+		serviceNames,
+	);
+}
+
+/**
+ * Determine the build arguments of a service, in increasing order of
+ * precedence:
+ *   1. the `build.args` of the service in the compose file
+ *   2. the `defaults.buildArgs` of the project configuration, where
+ *      'service:KEY' entries override 'KEY' entries
+ *   3. the `--build-arg-file` files, likewise
+ *   4. `-B KEY=value` options
+ *   5. `-B service:KEY=value` options
+ */
+export function resolveServiceBuildArgs(
+	serviceName: string,
+	composeArgs: Dictionary<string> | undefined,
+	options: BuildArgOptions | undefined,
+): Dictionary<string> {
+	return {
+		...composeArgs,
+		...options?.project?.all,
+		...options?.project?.services[serviceName],
+		...options?.files.all,
+		...options?.files.services[serviceName],
+		...options?.cli.all,
+		...options?.cli.services[serviceName],
+	};
+}
@@ -0,0 +1,207 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as crypto from 'crypto';
+import Dockerode = require('dockerode');
+import * as _ from 'lodash';
+import { BuildTask } from 'resin-multibuild';
+import { Readable } from 'stream';
+import * as tar from 'tar-stream';
+
+/**
+ * Image label used to record the hash of the build inputs (build context,
+ * Dockerfile, build args, base images and target device) that produced an
+ * image.
+ */
+export const BUILD_HASH_LABEL = 'io.balena.cli.build-hash';
+
+export interface BuildHashInputs {
+	arch: string;
+	deviceType: string;
+	emulated: boolean;
+	// IDs of the images built from (see getBaseImageIds())
+	baseImageIds: Array<[string, string | null]>;
+	// SHA of the git commit the context was exported from (--git-ref option)
+	gitCommit?: string;
+}
+
+/**
+ * Compute a SHA-256 hash of a tar stream's contents, i.e. the entry names,
+ * types, modes, link targets and file contents. Modification times and file
+ * ownership are deliberately left out, and entries are sorted by name, so
+ * that the hash does not depend on when or in which order files were
+ * written to disk.
+ * The stream is consumed, and file contents are hashed as they are read
+ * rather than buffered in memory.
+ */
+export async function hashTarStream(tarStream: Readable): Promise<string> {
+	const entryDigests: Array<[string, string]> = [];
+	const extract = tar.extract();
+	await new Promise((resolve, reject) => {
+		extract.on('entry', (header, stream, next) => {
+			const entryHash = crypto
+				.createHash('sha256')
+				.update(
+					JSON.stringify([
+						header.name,
+						header.type,
+						header.mode,
+						header.linkname,
+					]),
+				);
+			stream.on('data', (chunk: Buffer) => entryHash.update(chunk));
+			stream.on('end', () => {
+				entryDigests.push([header.name, entryHash.digest('hex')]);
+				next();
+			});
+		});
+		extract.on('finish', resolve);
+		extract.on('error', reject);
+		tarStream.on('error', reject);
+		tarStream.pipe(extract);
+	});
+
+	const hash = crypto.createHash('sha256');
+	for (const [name, digest] of _.sortBy(entryDigests, ([n]) => n)) {
+		hash.update(`${name}\0${digest}\n`);
+	}
+	return hash.digest('hex');
+}
+
+/**
+ * Find the IDs of the images that a build task's (resolved) Dockerfile builds
+ * from. As the IDs are part of the build hash, a service is rebuilt when its
+ * base image changes, e.g. when a base image service of the project was built
+ * in an earlier stage of the build plan (`FROM project_base`).
+ * Base images that are not present on the Docker daemon are pulled first, as
+ * the build would pull them anyway, so that the hash covers the same IDs as
+ * that of the next build of the service and an unchanged service is found in
+ * the cache. The ID is null for images that cannot be pulled, e.g. the image
+ * of a project service that has not been built yet.
+ */
+export async function getBaseImageIds(
+	docker: Dockerode,
+	task: BuildTask,
+): Promise<Array<[string, string | null]>> {
+	const { getBaseImages } = await import('./render-dockerfile');
+	const images = task.dockerfile
+		? getBaseImages(task.dockerfile, { ...task.args })
+		: [];
+	const getImageId = async (image: string) =>
+		(await docker.getImage(image).inspect()).Id;
+	return Promise.all(
+		images.map(
+			async (image): Promise<[string, string | null]> => {
+				try {
+					return [image, await getImageId(image)];
+				} catch (err) {
+					// not present (yet)
+				}
+				try {
+					await pullImage(docker, image, task.dockerOpts?.registryconfig);
+					return [image, await getImageId(image)];
+				} catch (err) {
+					return [image, null];
+				}
+			},
+		),
+	);
+}
+
+/**
+ * Pull an image, with the credentials of the given registry secrets (the
+ * `registryconfig` option of docker build), if any
+ */
+async function pullImage(
+	docker: Dockerode,
+	image: string,
+	registryconfig?: import('resin-multibuild').RegistrySecrets,
+): Promise<void> {
+	const { getAuthConfigObj } = await import('resin-multibuild');
+	const authconfig = registryconfig
+		? await getAuthConfigObj(image, registryconfig)
+		: {};
+	const stream: NodeJS.ReadableStream = await docker.pull(
+		image,
+		_.isEmpty(authconfig) ? {} : { authconfig },
+	);
+	await new Promise((resolve, reject) =>
+		docker.modem.followProgress(stream, (err: Error | null) =>
+			err ? reject(err) : resolve(),
+		),
+	);
+}
+
+/**
+ * Compute the build hash of a (resolved) build task from the hash of its
+ * build context as sent to the Docker daemon (see hashTarStream()), i.e.
+ * after .dockerignore and .gitignore filtering and Dockerfile.template
+ * resolution, the Dockerfile path, build args, the IDs of the base images
+ * (see getBaseImageIds()), the target architecture and device type, and the
+ * git commit of the build context, if any (so that the commit label is
+ * accurate).
+ */
+export function computeBuildHash(
+	task: BuildTask,
+	contextHash: string,
+	inputs: BuildHashInputs,
+): string {
+	return crypto
+		.createHash('sha256')
+		.update(
+			JSON.stringify({
+				context: contextHash,
+				dockerfilePath: task.dockerfilePath ?? null,
+				buildArgs: sortKeys({
+					...task.args,
+					...task.dockerOpts?.buildargs,
+				}),
+				baseImages: inputs.baseImageIds,
+				arch: inputs.arch,
+				deviceType: inputs.deviceType,
+				emulated: inputs.emulated,
+				gitCommit: inputs.gitCommit,
+			}),
+		)
+		.digest('hex');
+}
+
+/**
+ * Check whether an image with the given name exists and was labelled with
+ * the given build hash by a previous build.
+ * @returns The inspected image, or undefined if there is no matching image
+ */
+export async function findCachedImage(
+	docker: Dockerode,
+	imageName: string,
+	buildHash: string,
+): Promise<Dockerode.ImageInspectInfo | undefined> {
+	let info: Dockerode.ImageInspectInfo;
+	try {
+		info = await docker.getImage(imageName).inspect();
+	} catch (err) {
+		// image not found (or daemon error): not cached
+		return;
+	}
+	if (info?.Config?.Labels?.[BUILD_HASH_LABEL] === buildHash) {
+		return info;
+	}
+}
+
+function sortKeys(obj: Dictionary<string>): Array<[string, string]> {
+	return _.sortBy(Object.entries(obj), ([key]) => key);
+}
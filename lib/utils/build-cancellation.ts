@@ -0,0 +1,244 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Dockerode = require('dockerode');
+import * as _ from 'lodash';
+import { fs } from 'mz';
+import * as path from 'path';
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+
+import Logger = require('./logger');
+
+export interface CleanupSummary {
+	cancelledBuilds: number;
+	removedContainers: string[];
+	removedImages: string[];
+	removedFiles: string[];
+	errors: string[];
+}
+
+const plural = (count: number, noun: string) =>
+	`${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/** Format a cleanup summary as a one-line (or multi-line, on errors) message */
+export function formatCleanupSummary(summary: CleanupSummary): string {
+	const lines = [
+		`Cancelled ${plural(summary.cancelledBuilds, 'build')}; removed ${plural(
+			summary.removedContainers.length,
+			'build container',
+		)}, ${plural(summary.removedImages.length, 'dangling image')} and ${plural(
+			summary.removedFiles.length,
+			'qemu file',
+		)}`,
+	];
+	if (summary.errors.length > 0) {
+		lines.push('Some items could not be removed:');
+		lines.push(...summary.errors.map(e => `  ${e}`));
+	}
+	return lines.join('\n');
+}
+
+// Build output lines of the Docker daemon that report the ID of the container
+// of a Dockerfile instruction, and the ID of the image of a build step
+const CONTAINER_ID_REGEX = /^ ---> Running in ([0-9a-f]{12,64})\s*$/;
+const IMAGE_ID_REGEX = /^ ---> ([0-9a-f]{12,64})\s*$/;
+
+/**
+ * Cancel in-flight builds when the user presses Ctrl+C (SIGINT), and clean up
+ * their partial state before exiting: the containers of the Dockerfile
+ * instructions being run, the dangling images of intermediate build steps,
+ * and the qemu binaries copied into build contexts for emulated builds.
+ * A second Ctrl+C exits immediately.
+ *
+ * Only the containers and images reported in the output of the tracked builds
+ * are removed, so that other containers and images of the Docker daemon
+ * (e.g. those of concurrent builds) are left alone.
+ */
+export class BuildCancellation {
+	private buildStreams = new Map<
+		NodeJS.ReadableStream,
+		NodeJS.ReadableStream
+	>();
+	private containerIds = new Set<string>();
+	private imageIds = new Set<string>();
+	private qemuFiles: string[] = [];
+	private interrupted = false;
+
+	/**
+	 * @param onInterrupt Called on the first Ctrl+C, before cleaning up, e.g.
+	 * to stop a progress display
+	 */
+	public constructor(
+		public docker: Dockerode,
+		public logger: Logger,
+		public onInterrupt: () => void = _.noop,
+	) {
+		this.handleInterrupt = this.handleInterrupt.bind(this);
+	}
+
+	public start() {
+		process.on('SIGINT', this.handleInterrupt);
+	}
+
+	public stop() {
+		process.removeListener('SIGINT', this.handleInterrupt);
+	}
+
+	/**
+	 * Return an object that behaves like the given Docker client, except that
+	 * it keeps track of the response streams of builds, so that they can be
+	 * closed (which cancels the builds) on interrupt, and of the containers and
+	 * images that the builds report creating.
+	 */
+	public trackBuilds(docker: Dockerode): Dockerode {
+		const tracked: Dockerode = Object.create(docker);
+		tracked.buildImage = async (...args: any[]) => {
+			const stream: NodeJS.ReadableStream = await (docker.buildImage as any)(
+				...args,
+			);
+			const trackedStream = this.parseBuildOutput(stream);
+			this.buildStreams.set(trackedStream, stream);
+			trackedStream.on('end', () => this.buildStreams.delete(trackedStream));
+			return trackedStream;
+		};
+		return tracked;
+	}
+
+	/** Record the path of a qemu binary copied into a build context */
+	public addQemuFile(filePath: string) {
+		this.qemuFiles.push(filePath);
+	}
+
+	public async cleanup(): Promise<CleanupSummary> {
+		const summary: CleanupSummary = {
+			cancelledBuilds: this.buildStreams.size,
+			removedContainers: [],
+			removedImages: [],
+			removedFiles: [],
+			errors: [],
+		};
+		// Closing the connection makes the Docker daemon cancel the build
+		for (const [trackedStream, stream] of this.buildStreams) {
+			(stream as any).destroy?.();
+			(trackedStream as any).destroy?.();
+		}
+		this.buildStreams.clear();
+
+		// The daemon removes the containers of completed instructions itself
+		for (const id of this.containerIds) {
+			try {
+				await this.docker.getContainer(id).remove({ force: true });
+				summary.removedContainers.push(id);
+			} catch (err) {
+				if (err.statusCode !== 404) {
+					summary.errors.push(`container ${id}: ${err.message}`);
+				}
+			}
+		}
+		this.containerIds.clear();
+		// Images of build steps that are still used, e.g. by a tagged image of
+		// a completed build, are not dangling
+		const images = await this.docker.listImages({
+			filters: JSON.stringify({ dangling: ['true'] }),
+		});
+		for (const image of images) {
+			const id = image.Id.replace(/^sha256:/, '');
+			if ([...this.imageIds].some(shortId => id.startsWith(shortId))) {
+				try {
+					await this.docker.getImage(image.Id).remove();
+					summary.removedImages.push(image.Id);
+				} catch (err) {
+					summary.errors.push(`image ${image.Id}: ${err.message}`);
+				}
+			}
+		}
+		for (const filePath of this.qemuFiles) {
+			try {
+				await fs.unlink(filePath);
+				summary.removedFiles.push(filePath);
+				// remove the '.balena' directory created by copyQemu(), if empty
+				await fs.rmdir(path.dirname(filePath)).catch(_.noop);
+			} catch (err) {
+				if (err.code !== 'ENOENT') {
+					summary.errors.push(`${filePath}: ${err.message}`);
+				}
+			}
+		}
+		this.imageIds.clear();
+		this.qemuFiles = [];
+		return summary;
+	}
+
+	/**
+	 * Return a stream with the contents of a build response stream (lines of
+	 * JSON objects), recording the IDs of the containers and images that the
+	 * build output reports.
+	 */
+	private parseBuildOutput(stream: NodeJS.ReadableStream): Transform {
+		const decoder = new StringDecoder('utf8');
+		let partialLine = '';
+		const recordIds = (line: string) => {
+			let output: string | undefined;
+			try {
+				output = JSON.parse(line).stream;
+			} catch {
+				return;
+			}
+			for (const outputLine of (output ?? '').split('\n')) {
+				const containerMatch = CONTAINER_ID_REGEX.exec(outputLine);
+				const imageMatch = IMAGE_ID_REGEX.exec(outputLine);
+				if (containerMatch != null) {
+					this.containerIds.add(containerMatch[1]);
+				} else if (imageMatch != null) {
+					this.imageIds.add(imageMatch[1]);
+				}
+			}
+		};
+		const trackedStream = new Transform({
+			transform(chunk, _encoding, callback) {
+				const lines = (partialLine + decoder.write(chunk)).split('\n');
+				partialLine = lines.pop() ?? '';
+				lines.forEach(recordIds);
+				callback(undefined, chunk);
+			},
+			flush(callback) {
+				recordIds(partialLine + decoder.end());
+				callback();
+			},
+		});
+		stream.on('error', err => trackedStream.emit('error', err));
+		return stream.pipe(trackedStream);
+	}
+
+	private handleInterrupt() {
+		if (this.interrupted) {
+			process.exit(130); // 128 + SIGINT
+		}
+		this.interrupted = true;
+		this.onInterrupt();
+		this.logger.logWarn(
+			'Cancelling build and cleaning up; press Ctrl+C again to exit immediately',
+		);
+		this.cleanup()
+			.then(
+				summary => this.logger.logInfo(formatCleanupSummary(summary)),
+				err => this.logger.logWarn(`Cleanup failed: ${err.message}`),
+			)
+			.then(() => process.exit(130));
+	}
+}
@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as Bluebird from 'bluebird';
+import * as _ from 'lodash';
+import { fs } from 'mz';
+import * as path from 'path';
+
+export const BUILD_LOG_INDEX_FILE = 'index.json';
+
+export interface BuildLogResult {
+	status: 'success' | 'failed' | 'skipped';
+	error?: string;
+	imageSize?: number;
+	startTime?: Date;
+	endTime?: Date;
+}
+
+interface BuildLogIndexEntry {
+	logFile: string;
+	status: BuildLogResult['status'] | 'incomplete';
+	error?: string;
+	imageSize?: number;
+	startTime?: string;
+	endTime?: string;
+}
+
+/**
+ * Write the complete build output of each service of a project to
+ * '<logDir>/<service>.log', one timestamped line per log line, and a
+ * summary of the build results to '<logDir>/index.json'. Unlike the logs
+ * uploaded with a release, these files are never truncated.
+ */
+export class BuildLogWriter {
+	private streams: Dictionary<fs.WriteStream> = {};
+	private results: Dictionary<BuildLogResult> = {};
+	private startTime = new Date();
+
+	public constructor(public logDir: string) {}
+
+	public async open(services: string[]): Promise<void> {
+		const mkdirp: typeof import('mkdirp') = require('mkdirp');
+		await Bluebird.promisify<string, string>(mkdirp)(this.logDir);
+		for (const service of services) {
+			this.streams[service] = fs.createWriteStream(
+				path.join(this.logDir, BuildLogWriter.logFileName(service)),
+			);
+		}
+	}
+
+	/** Write a log line for the given service, prefixed with a timestamp */
+	public writeLine(service: string, line: string) {
+		this.streams[service]?.write(`${new Date().toISOString()} ${line}\n`);
+	}
+
+	public setResult(service: string, result: BuildLogResult) {
+		this.results[service] = result;
+	}
+
+	/** Close the log files and write the summary index file */
+	public async close(): Promise<void> {
+		await Promise.all(
+			_.map(
+				this.streams,
+				stream => new Promise(resolve => stream.end(resolve)),
+			),
+		);
+		const index = {
+			startTime: this.startTime.toISOString(),
+			endTime: new Date().toISOString(),
+			services: _.mapValues(
+				this.streams,
+				(_stream, service): BuildLogIndexEntry => {
+					const result = this.results[service];
+					// undefined properties are left out by JSON.stringify()
+					return {
+						logFile: BuildLogWriter.logFileName(service),
+						status: result?.status ?? 'incomplete',
+						error: result?.error,
+						imageSize: result?.imageSize,
+						startTime: result?.startTime?.toISOString(),
+						endTime: result?.endTime?.toISOString(),
+					};
+				},
+			),
+		};
+		await fs.writeFile(
+			path.join(this.logDir, BUILD_LOG_INDEX_FILE),
+			JSON.stringify(index, null, 2) + '\n',
+		);
+	}
+
+	private static logFileName(service: string): string {
+		return `${service}.log`;
+	}
+}
@@ -0,0 +1,123 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as Bluebird from 'bluebird';
+import * as _ from 'lodash';
+
+import { ExpectedError } from '../errors';
+
+/**
+ * A build plan is a list of stages, each stage being a list of service names.
+ * Stages are built one after the other, while the services of a stage may be
+ * built in parallel.
+ */
+export type BuildPlan = string[][];
+
+/**
+ * Split the given services into build stages. If `dependencyOrder` is true,
+ * each service is placed in a later stage than the services it lists in
+ * its compose file `depends_on` setting, so that e.g. a base image is built
+ * before the services that use it (`FROM project_base`). Otherwise, all
+ * services are placed in a single stage.
+ * @param services The `services` object of a (normalized) composition
+ * @param serviceNames The names of the services to be built
+ */
+export function makeBuildPlan(
+	services: Dictionary<{ depends_on?: string[] }>,
+	serviceNames: string[],
+	dependencyOrder = false,
+): BuildPlan {
+	if (!dependencyOrder) {
+		return serviceNames.length ? [[...serviceNames]] : [];
+	}
+	const plan: BuildPlan = [];
+	const planned = new Set<string>();
+	let remaining = [...serviceNames];
+	while (remaining.length) {
+		const stage = remaining.filter(name =>
+			(services[name]?.depends_on ?? []).every(
+				dep => planned.has(dep) || !serviceNames.includes(dep),
+			),
+		);
+		if (!stage.length) {
+			throw new ExpectedError(
+				`Cannot order builds by 'depends_on': circular dependency between services: ${remaining.join(
+					', ',
+				)}`,
+			);
+		}
+		stage.forEach(name => planned.add(name));
+		remaining = _.difference(remaining, stage);
+		plan.push(stage);
+	}
+	return plan;
+}
+
+/**
+ * Format a build plan for display, e.g.:
+ *   Build plan (up to 2 services in parallel):
+ *     Stage 1: base
+ *     Stage 2: api, worker
+ */
+export function formatBuildPlan(plan: BuildPlan, maxParallel?: number): string {
+	const parallelism = maxParallel
+		? `up to ${maxParallel} service${maxParallel === 1 ? '' : 's'} in parallel`
+		: 'no limit of services built in parallel';
+	return [
+		`Build plan (${parallelism}):`,
+		...plan.map((stage, i) => `  Stage ${i + 1}: ${stage.join(', ')}`),
+	].join('\n');
+}
+
+/**
+ * Run the builds of the given tasks following a build plan. Tasks whose
+ * service is not part of the plan are ignored. If any build of a stage is
+ * unsuccessful, later stages are not started.
+ * @param build Function that builds a list of tasks, e.g. a wrapper around
+ * multibuild's `performBuilds()`
+ * @param maxParallel Maximum number of services built at the same time
+ * (no limit if undefined)
+ */
+export async function runBuildPlan<
+	T extends { serviceName: string },
+	R extends { successful: boolean }
+>(
+	plan: BuildPlan,
+	tasks: T[],
+	build: (tasks: T[]) => Promise<R[]>,
+	maxParallel?: number,
+): Promise<R[]> {
+	const results: R[] = [];
+	for (const stage of plan) {
+		const stageTasks = tasks.filter(t => stage.includes(t.serviceName));
+		if (!stageTasks.length) {
+			continue;
+		}
+		const stageResults = maxParallel
+			? _.flatten(
+					await Bluebird.map(stageTasks, task => build([task]), {
+						concurrency: maxParallel,
+					}),
+			  )
+			: await build(stageTasks);
+		results.push(...stageResults);
+		if (!_.every(stageResults, 'successful')) {
+			break;
+		}
+	}
+	return results;
+}
@@ -0,0 +1,257 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+import { fs } from 'mz';
+import * as path from 'path';
+
+import { ExpectedError } from '../errors';
+import { BuildLogResult } from './build-logs';
+
+export type BuildReportFormat = 'junit' | 'html';
+
+export interface BuildReportResult extends BuildLogResult {
+	// name of the built (or pulled) image
+	image?: string;
+	// captured build log, included for failed builds
+	log?: string[];
+}
+
+export interface BuildReportEntry extends BuildReportResult {
+	serviceName: string;
+}
+
+// Number of build log lines included in the report of a failed build
+const FAILURE_LOG_LINES = 100;
+
+/**
+ * Determine the format of a build report from the file extension:
+ * '.xml' for JUnit XML, '.html' or '.htm' for HTML.
+ */
+export function getReportFormat(file: string): BuildReportFormat {
+	switch (path.extname(file).toLowerCase()) {
+		case '.xml':
+			return 'junit';
+		case '.html':
+		case '.htm':
+			return 'html';
+		default:
+			throw new ExpectedError(
+				`Unsupported build report file '${file}': the file extension must be '.xml' (JUnit) or '.html'`,
+			);
+	}
+}
+
+/** Remove ANSI escape sequences and characters not allowed in XML */
+function cleanLogLine(line: string): string {
+	return line
+		.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+		.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+}
+
+function duration(entry: BuildReportEntry): number {
+	if (entry.startTime == null || entry.endTime == null) {
+		return 0;
+	}
+	return (entry.endTime.getTime() - entry.startTime.getTime()) / 1000;
+}
+
+function failureLog(entry: BuildReportEntry): string {
+	return (entry.log ?? [])
+		.slice(-FAILURE_LOG_LINES)
+		.map(cleanLogLine)
+		.join('\n');
+}
+
+/**
+ * Format build results as JUnit XML, with one test case per service. Failed
+ * builds are reported as failures, with the end of the build log; services
+ * not built because their image was up to date are reported as skipped.
+ */
+export function formatJUnitReport(
+	projectName: string,
+	entries: BuildReportEntry[],
+	timestamp: Date,
+): string {
+	const attrs = (obj: Dictionary<string | number>) =>
+		_.map(obj, (value, key) => ` ${key}="${_.escape(String(value))}"`).join('');
+	const suiteAttrs = attrs({
+		name: projectName,
+		tests: entries.length,
+		failures: entries.filter(e => e.status === 'failed').length,
+		skipped: entries.filter(e => e.status === 'skipped').length,
+		time: _.sumBy(entries, duration).toFixed(3),
+		timestamp: timestamp.toISOString(),
+	});
+	const testCases = entries.map(entry => {
+		const lines = [
+			`    <testcase${attrs({
+				classname: projectName,
+				name: entry.serviceName,
+				time: duration(entry).toFixed(3),
+			})}>`,
+		];
+		const properties: Dictionary<string | number> = {};
+		if (entry.image != null) {
+			properties.image = entry.image;
+		}
+		if (entry.imageSize != null) {
+			properties.imageSize = entry.imageSize;
+		}
+		if (!_.isEmpty(properties)) {
+			lines.push(
+				'      <properties>',
+				..._.map(
+					properties,
+					(value, name) => `        <property${attrs({ name, value })}/>`,
+				),
+				'      </properties>',
+			);
+		}
+		if (entry.status === 'failed') {
+			lines.push(
+				`      <failure${attrs({
+					message: entry.error ?? 'Build failed',
+				})}>${_.escape(failureLog(entry))}</failure>`,
+			);
+		} else if (entry.status === 'skipped') {
+			lines.push(
+				`      <skipped${attrs({
+					message:
+						'Build skipped; image with matching build hash already exists',
+				})}/>`,
+			);
+		}
+		lines.push('    </testcase>');
+		return lines.join('\n');
+	});
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<testsuites>',
+		`  <testsuite${suiteAttrs}>`,
+		...testCases,
+		'  </testsuite>',
+		'</testsuites>',
+		'',
+	].join('\n');
+}
+
+/**
+ * Format build results as a standalone HTML page with a table of the
+ * services, and the end of the build log of failed builds.
+ */
+export function formatHtmlReport(
+	projectName: string,
+	entries: BuildReportEntry[],
+	timestamp: Date,
+): string {
+	const humanize = require('humanize');
+	const title = _.escape(`Build report: ${projectName}`);
+	const rows = entries.map(entry =>
+		[
+			`<tr class="${entry.status}">`,
+			`<td>${_.escape(entry.serviceName)}</td>`,
+			`<td>${_.escape(entry.status)}</td>`,
+			`<td>${duration(entry).toFixed(1)} s</td>`,
+			`<td>${
+				entry.imageSize != null ? humanize.filesize(entry.imageSize) : ''
+			}</td>`,
+			`<td>${_.escape(entry.image ?? '')}</td>`,
+			'</tr>',
+		].join(''),
+	);
+	const failures = entries
+		.filter(entry => entry.status === 'failed')
+		.map(entry =>
+			[
+				`<h2>${_.escape(entry.serviceName)}: ${_.escape(
+					entry.error ?? 'Build failed',
+				)}</h2>`,
+				`<pre>${_.escape(failureLog(entry))}</pre>`,
+			].join('\n'),
+		);
+	return [
+		'<!DOCTYPE html>',
+		'<html>',
+		'<head>',
+		'<meta charset="utf-8">',
+		`<title>${title}</title>`,
+		'<style>',
+		'body { font-family: sans-serif; }',
+		'table { border-collapse: collapse; }',
+		'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }',
+		'tr.failed { background: #fdd; }',
+		'tr.skipped { color: #888; }',
+		'pre { background: #eee; padding: 8px; overflow: auto; }',
+		'</style>',
+		'</head>',
+		'<body>',
+		`<h1>${title}</h1>`,
+		`<p>${_.escape(timestamp.toISOString())}</p>`,
+		'<table>',
+		'<tr><th>Service</th><th>Status</th><th>Duration</th><th>Image size</th><th>Image</th></tr>',
+		...rows,
+		'</table>',
+		...failures,
+		'</body>',
+		'</html>',
+		'',
+	].join('\n');
+}
+
+/**
+ * Collect the build results of the services of a project, and write them to
+ * JUnit XML or HTML report files (the `--report` option).
+ */
+export class BuildReport {
+	private results: Dictionary<BuildReportResult> = {};
+	private startTime = new Date();
+
+	public constructor(
+		public projectName: string,
+		public services: string[],
+		public reportFiles: string[],
+	) {}
+
+	public setResult(service: string, result: BuildReportResult) {
+		this.results[service] = result;
+	}
+
+	public getEntries(): BuildReportEntry[] {
+		return this.services.map(serviceName => ({
+			...(this.results[serviceName] ?? {
+				status: 'failed',
+				error: 'Build not completed',
+			}),
+			serviceName,
+		}));
+	}
+
+	public async write(): Promise<void> {
+		const entries = this.getEntries();
+		for (const file of this.reportFiles) {
+			const format =
+				getReportFormat(file) === 'junit'
+					? formatJUnitReport
+					: formatHtmlReport;
+			await fs.writeFile(
+				file,
+				format(this.projectName, entries, this.startTime),
+			);
+		}
+	}
+}
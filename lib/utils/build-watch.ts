@@ -0,0 +1,237 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as chokidar from 'chokidar';
+import * as _ from 'lodash';
+import { fs } from 'mz';
+import * as path from 'path';
+import { Composition } from 'resin-compose-parse';
+import * as MultiBuild from 'resin-multibuild';
+
+import { FileIgnorer } from './ignore';
+
+// Time to wait for further changes before rebuilding (delay in ms), so that
+// rapid saves of several files trigger a single rebuild
+const WATCH_DEBOUNCE_TIMEOUT = 1000;
+
+/**
+ * Create a FileIgnorer for the project directory, with the .dockerignore and
+ * .gitignore files among the given files, as tarDirectory() does when
+ * packing the build context.
+ * @param files Absolute paths of the project files
+ */
+export async function makeFileIgnorer(
+	projectPath: string,
+	files: string[],
+): Promise<FileIgnorer> {
+	const ignorer = new FileIgnorer(projectPath);
+	for (const file of files) {
+		const type = ignorer.getIgnoreFileType(path.relative(projectPath, file));
+		if (type != null) {
+			await ignorer.addIgnoreFile(file, type);
+		}
+	}
+	return ignorer;
+}
+
+/**
+ * Return the names of the services whose build context contains any of the
+ * given changed files, not counting the files excluded from build contexts
+ * by .dockerignore and .gitignore files. Services that use an image rather
+ * than a build are never affected.
+ * @param changedPaths Absolute paths of the changed files
+ */
+export function getAffectedServices(
+	projectPath: string,
+	composition: Composition,
+	changedPaths: string[],
+	ignorer: FileIgnorer,
+): string[] {
+	const included = changedPaths.filter(changedPath =>
+		ignorer.filter(changedPath),
+	);
+	return _.keys(composition.services).filter(serviceName => {
+		const build: any = composition.services[serviceName].build;
+		const context = typeof build === 'string' ? build : build?.context;
+		if (context == null) {
+			return false;
+		}
+		const contextPath = path.resolve(projectPath, context);
+		return included.some(changedPath =>
+			MultiBuild.PathUtils.contains(contextPath, changedPath),
+		);
+	});
+}
+
+/**
+ * Return the names of the services whose definition differs between two
+ * compositions, including services that were added
+ */
+export function getChangedServices(
+	oldComposition: Composition,
+	newComposition: Composition,
+): string[] {
+	return _.keys(newComposition.services).filter(
+		serviceName =>
+			!_.isEqual(
+				oldComposition.services[serviceName],
+				newComposition.services[serviceName],
+			),
+	);
+}
+
+/**
+ * Add the services that depend on the given services to the list, as they
+ * must be rebuilt too: services whose Dockerfile builds FROM the image of one
+ * of the services (e.g. `FROM project_base`), and, with the `dependencyOrder`
+ * option (--dependency-order), services that list one of the services in
+ * their `depends_on` setting. Dependents of dependents are added as well.
+ */
+export async function addDependentServices(
+	projectPath: string,
+	projectName: string,
+	composition: Composition,
+	serviceNames: string[],
+	dependencyOrder = false,
+): Promise<string[]> {
+	const { getBaseImages } = await import('./render-dockerfile');
+	const imageNames: Dictionary<string> = {};
+	const baseImages: Dictionary<string[]> = {};
+	for (const [name, service] of Object.entries(composition.services)) {
+		imageNames[name] = withTag(
+			service.image ?? `${projectName}_${name}`.toLowerCase(),
+		);
+		const dockerfile = await readServiceDockerfile(projectPath, service.build);
+		baseImages[name] =
+			dockerfile != null ? getBaseImages(dockerfile).map(withTag) : [];
+	}
+	const dependsOn = (name: string, dependency: string) =>
+		baseImages[name].includes(imageNames[dependency]) ||
+		(dependencyOrder &&
+			(composition.services[name].depends_on ?? []).includes(dependency));
+
+	const result = [...serviceNames];
+	// also iterates over the services added by the loop
+	for (const dependency of result) {
+		for (const name of _.keys(composition.services)) {
+			if (!result.includes(name) && dependsOn(name, dependency)) {
+				result.push(name);
+			}
+		}
+	}
+	return result;
+}
+
+/** Add the default ':latest' tag to an image name without a tag or digest */
+function withTag(image: string): string {
+	return /(@|:[^/]*$)/.test(image) ? image : `${image}:latest`;
+}
+
+/**
+ * Read the Dockerfile (or Dockerfile.template) of a service's build, or
+ * return undefined if the service has no build or the file cannot be read.
+ */
+async function readServiceDockerfile(
+	projectPath: string,
+	build: any,
+): Promise<string | undefined> {
+	const context = typeof build === 'string' ? build : build?.context;
+	if (context == null) {
+		return;
+	}
+	const candidates = build.dockerfile
+		? [build.dockerfile]
+		: ['Dockerfile', 'Dockerfile.template'];
+	for (const candidate of candidates) {
+		try {
+			return await fs.readFile(
+				path.resolve(projectPath, context, candidate),
+				'utf8',
+			);
+		} catch {
+			// try the next candidate
+		}
+	}
+}
+
+/**
+ * Watch a project directory for changes (the `--watch` option of the build
+ * command), and call a handler with the changed files once no further
+ * changes occur for a while. Changes that occur while the handler is running
+ * are handled once it completes.
+ */
+export class ProjectWatcher {
+	private watcher: chokidar.FSWatcher | null = null;
+	private changedPaths = new Set<string>();
+	private running = false;
+	private flush = _.debounce(() => this.handleChanges(), this.debounceTime);
+
+	/**
+	 * @param onChange Called with the absolute paths of the changed files, and
+	 * of all the files watched in the project
+	 */
+	public constructor(
+		public projectPath: string,
+		public onChange: (changedPaths: string[], files: string[]) => Promise<void>,
+		public debounceTime = WATCH_DEBOUNCE_TIMEOUT,
+	) {}
+
+	public start() {
+		this.watcher = chokidar.watch('.', {
+			cwd: this.projectPath,
+			ignoreInitial: true,
+			ignored: /(^|[\/\\])\.git([\/\\]|$)/,
+		});
+		this.watcher.on('all', (_event: string, changedPath: string) =>
+			this.addChange(path.resolve(this.projectPath, changedPath)),
+		);
+	}
+
+	public stop() {
+		this.flush.cancel();
+		this.watcher?.close();
+		this.watcher = null;
+	}
+
+	public addChange(changedPath: string) {
+		this.changedPaths.add(changedPath);
+		if (!this.running) {
+			this.flush();
+		}
+	}
+
+	/** Return the absolute paths of the files watched in the project */
+	public getWatchedFiles(): string[] {
+		return _.flatMap(this.watcher?.getWatched() ?? {}, (names, dir) =>
+			names.map(name => path.resolve(this.projectPath, dir, name)),
+		);
+	}
+
+	private async handleChanges() {
+		const changedPaths = [...this.changedPaths];
+		this.changedPaths.clear();
+		this.running = true;
+		try {
+			await this.onChange(changedPaths, this.getWatchedFiles());
+		} finally {
+			this.running = false;
+			if (this.changedPaths.size > 0) {
+				this.flush();
+			}
+		}
+	}
+}
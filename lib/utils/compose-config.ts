@@ -0,0 +1,234 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+
+import { ExpectedError } from '../errors';
+
+/**
+ * Parse the contents of a Docker Compose '.env' file: one 'KEY=value' pair
+ * per line, ignoring blank lines and lines starting with '#'. Values may be
+ * enclosed in single or double quotes.
+ */
+export function parseDotEnv(contents: string): Dictionary<string> {
+	const env: Dictionary<string> = {};
+	for (const rawLine of contents.split(/\r?\n/)) {
+		const line = rawLine.trim();
+		if (!line || line.startsWith('#')) {
+			continue;
+		}
+		const match = /^([^=\s]+)\s*=\s*(.*)$/.exec(line);
+		if (match == null) {
+			throw new ExpectedError(`Invalid line in .env file: '${line}'`);
+		}
+		const [, key, value] = match;
+		const quoted = /^(['"])(.*)\1$/.exec(value);
+		env[key] = quoted ? quoted[2] : value;
+	}
+	return env;
+}
+
+/**
+ * Substitute variables in a string following the Docker Compose syntax:
+ *   $VAR or ${VAR}  value of VAR, or empty string if unset
+ *   ${VAR:-default} default if VAR is unset or empty
+ *   ${VAR-default}  default if VAR is unset
+ *   ${VAR:?error}   fail with the error message if VAR is unset or empty
+ *   ${VAR?error}    fail with the error message if VAR is unset
+ *   $$              a literal '$'
+ */
+export function interpolateString(
+	str: string,
+	env: Dictionary<string | undefined>,
+): string {
+	return str.replace(
+		/\$(?:(\$)|([A-Za-z_][A-Za-z0-9_]*)|\{([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?])([^}]*))?\}|(\{[^}]*\}?))/g,
+		(
+			_match: string,
+			escaped?: string,
+			bareName?: string,
+			name?: string,
+			operator?: string,
+			arg?: string,
+			invalid?: string,
+		) => {
+			if (escaped) {
+				return '$';
+			}
+			if (invalid) {
+				throw new ExpectedError(
+					`Invalid interpolation format in compose file: '${str}'`,
+				);
+			}
+			if (bareName) {
+				return env[bareName] ?? '';
+			}
+			const value = env[name!];
+			const isUnset =
+				operator?.startsWith(':') === true ? !value : value == null;
+			switch (operator) {
+				case ':-':
+				case '-':
+					return isUnset ? arg! : value!;
+				case ':?':
+				case '?':
+					if (isUnset) {
+						throw new ExpectedError(
+							`Required variable '${name}' is missing a value: ${arg}`,
+						);
+					}
+					return value!;
+				default:
+					return value ?? '';
+			}
+		},
+	);
+}
+
+/**
+ * Recursively substitute variables in all string values (not keys) of a
+ * parsed compose file.
+ */
+export function interpolateComposition(
+	obj: any,
+	env: Dictionary<string | undefined>,
+): any {
+	if (typeof obj === 'string') {
+		return interpolateString(obj, env);
+	}
+	if (Array.isArray(obj)) {
+		return obj.map(item => interpolateComposition(item, env));
+	}
+	if (_.isPlainObject(obj)) {
+		return _.mapValues(obj, value => interpolateComposition(value, env));
+	}
+	return obj;
+}
+
+// Service options whose values are concatenated when merging compose files
+const CONCATENATED_OPTIONS = [
+	'dns',
+	'dns_search',
+	'expose',
+	'external_links',
+	'ports',
+	'tmpfs',
+];
+// Service options that are merged by key (or by mount path for volumes and
+// devices), with the values of later files taking precedence
+const MAPPING_OPTIONS = [
+	'environment',
+	'extra_hosts',
+	'labels',
+	'sysctls',
+	'ulimits',
+];
+const MOUNT_OPTIONS = ['devices', 'volumes'];
+
+/**
+ * Convert a list of 'KEY=value' (or 'KEY:value' for extra_hosts) strings
+ * into an object; objects are returned unchanged.
+ */
+function toMapping(value: any, separator = '='): Dictionary<any> {
+	if (!Array.isArray(value)) {
+		return value ?? {};
+	}
+	return _.fromPairs(
+		value.map((item: string) => {
+			const i = item.indexOf(separator);
+			return i < 0 ? [item, null] : [item.slice(0, i), item.slice(i + 1)];
+		}),
+	);
+}
+
+/** Return the container side path of a 'host:container[:mode]' mount */
+function mountTarget(mount: any): string {
+	if (typeof mount !== 'string') {
+		return mount?.target ?? JSON.stringify(mount);
+	}
+	const parts = mount.split(':');
+	return parts.length > 1 ? parts[1] : parts[0];
+}
+
+function mergeServices(base: any, override: any): any {
+	const merged = { ...base, ...override };
+	for (const key of CONCATENATED_OPTIONS) {
+		if (base[key] != null && override[key] != null) {
+			merged[key] = _.concat(base[key], override[key]);
+		}
+	}
+	for (const key of MAPPING_OPTIONS) {
+		if (base[key] != null && override[key] != null) {
+			const separator = key === 'extra_hosts' ? ':' : '=';
+			merged[key] = {
+				...toMapping(base[key], separator),
+				...toMapping(override[key], separator),
+			};
+		}
+	}
+	for (const key of MOUNT_OPTIONS) {
+		if (base[key] != null && override[key] != null) {
+			merged[key] = _.values({
+				..._.keyBy(base[key], mountTarget),
+				..._.keyBy(override[key], mountTarget),
+			});
+		}
+	}
+	if (base.build != null && override.build != null) {
+		const toBuildObject = (build: any) =>
+			typeof build === 'string' ? { context: build } : build;
+		const baseBuild = toBuildObject(base.build);
+		const overrideBuild = toBuildObject(override.build);
+		merged.build = { ...baseBuild, ...overrideBuild };
+		if (baseBuild.args != null && overrideBuild.args != null) {
+			merged.build.args = {
+				...toMapping(baseBuild.args),
+				...toMapping(overrideBuild.args),
+			};
+		}
+	}
+	return merged;
+}
+
+/**
+ * Merge parsed compose files following the Docker Compose rules for
+ * multiple compose files: services, networks and volumes are merged by name;
+ * for a service defined in several files, single-value options are
+ * overridden by later files, 'ports', 'expose', 'dns' and similar options are
+ * concatenated, 'environment', 'labels' and build 'args' are merged by key,
+ * and 'volumes' and 'devices' are merged by mount path in the container.
+ */
+export function mergeCompositions(compositions: any[]): any {
+	return compositions.reduce((base, override = {}) => {
+		const merged = { ...base, ...override };
+		for (const key of ['networks', 'volumes']) {
+			if (base[key] != null || override[key] != null) {
+				merged[key] = _.merge({}, base[key], override[key]);
+			}
+		}
+		if (base.services != null || override.services != null) {
+			merged.services = { ...base.services };
+			_.forEach(override.services, (service, name) => {
+				merged.services[name] =
+					merged.services[name] != null
+						? mergeServices(merged.services[name], service ?? {})
+						: service;
+			});
+		}
+		return merged;
+	}, {});
+}
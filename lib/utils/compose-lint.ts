@@ -0,0 +1,491 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+
+export type LintSeverity = 'error' | 'warning';
+
+export interface LintIssue {
+	file: string;
+	// 1-based line number in the compose file, if known
+	line?: number;
+	severity: LintSeverity;
+	message: string;
+}
+
+export interface ComposeFile {
+	name: string;
+	contents: string;
+}
+
+type YamlPath = Array<string | number>;
+
+// Service keys supported by balena devices; other keys are ignored
+const SUPPORTED_SERVICE_KEYS = [
+	'build',
+	'cap_add',
+	'cap_drop',
+	'cgroup_parent',
+	'command',
+	'cpu_quota',
+	'cpu_shares',
+	'cpus',
+	'cpuset',
+	'depends_on',
+	'devices',
+	'dns',
+	'dns_opt',
+	'dns_search',
+	'domainname',
+	'entrypoint',
+	'env_file',
+	'environment',
+	'expose',
+	'extra_hosts',
+	'group_add',
+	'healthcheck',
+	'hostname',
+	'image',
+	'init',
+	'ipc',
+	'labels',
+	'links',
+	'mac_address',
+	'mem_limit',
+	'mem_reservation',
+	'memswap_limit',
+	'network_mode',
+	'networks',
+	'oom_kill_disable',
+	'oom_score_adj',
+	'pid',
+	'ports',
+	'privileged',
+	'read_only',
+	'restart',
+	'runtime',
+	'security_opt',
+	'shm_size',
+	'stdin_open',
+	'stop_grace_period',
+	'stop_signal',
+	'sysctls',
+	'tmpfs',
+	'tty',
+	'ulimits',
+	'user',
+	'volumes',
+	'working_dir',
+];
+// Service keys rejected by balena
+const REJECTED_SERVICE_KEYS = ['scale'];
+const SUPPORTED_BUILD_KEYS = [
+	'args',
+	'cache_from',
+	'context',
+	'dockerfile',
+	'extra_hosts',
+	'labels',
+	'network',
+	'shm_size',
+	'target',
+];
+const REJECTED_BUILD_KEYS = ['isolation'];
+const SUPPORTED_VOLUME_KEYS = ['driver', 'driver_opts', 'labels'];
+const SUPPORTED_NETWORK_KEYS = [
+	'driver',
+	'driver_opts',
+	'enable_ipv6',
+	'internal',
+	'ipam',
+	'labels',
+];
+const TOP_LEVEL_KEYS = ['networks', 'services', 'version', 'volumes'];
+
+// Host paths that balena makes available to services with labels, rather
+// than bind mounts
+const FEATURE_LABELS: Array<[string, string[]]> = [
+	[
+		'io.balena.features.balena-socket',
+		[
+			'/var/run/balena-engine.sock',
+			'/var/run/balena.sock',
+			'/var/run/docker.sock',
+		],
+	],
+	['io.balena.features.dbus', ['/run/dbus']],
+	['io.balena.features.firmware', ['/lib/firmware']],
+	[
+		'io.balena.features.journal-logs',
+		['/etc/machine-id', '/run/log/journal', '/var/log/journal'],
+	],
+	['io.balena.features.kernel-modules', ['/lib/modules']],
+	['io.balena.features.procfs', ['/proc']],
+	['io.balena.features.sysfs', ['/sys']],
+];
+
+const SERVICE_NAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+
+/**
+ * Parse a YAML document, recording the line numbers of mapping keys and
+ * sequence items through the js-yaml `listener` option, which reports the
+ * start ('open') and end ('close') of every node.
+ * @returns The document, and a function that returns the line number (1-based)
+ * of a path in the document, or of its closest ancestor with a known line
+ */
+export function loadYamlWithLines(
+	contents: string,
+): { doc: any; lineOf: (path: YamlPath) => number | undefined } {
+	const yml = require('js-yaml');
+	const lines = new Map<object, Dictionary<number> | number[]>();
+	const stack: Array<{
+		line: number;
+		children: Array<{ result: any; line: number }>;
+	}> = [];
+	const listener = (event: string, state: any) => {
+		if (event === 'open') {
+			stack.push({ line: state.line + 1, children: [] });
+			return;
+		}
+		const frame = stack.pop()!;
+		const result = state.result;
+		if (_.isObject(result) && !lines.has(result)) {
+			if (Array.isArray(result)) {
+				lines.set(
+					result,
+					frame.children.map(child => child.line),
+				);
+			} else {
+				// the children of a mapping are its keys and values, alternately
+				const keyLines: Dictionary<number> = {};
+				for (let i = 0; i + 1 < frame.children.length; i += 2) {
+					const key = String(frame.children[i].result);
+					keyLines[key] = keyLines[key] ?? frame.children[i].line;
+				}
+				lines.set(result, keyLines);
+			}
+		}
+		_.last(stack)?.children.push({ result, line: frame.line });
+	};
+	const doc = yml.safeLoad(contents, { listener });
+	const lineOf = (path: YamlPath) => {
+		let node = doc;
+		let line: number | undefined;
+		for (const key of path) {
+			line = (node != null && (lines.get(node) as any)?.[key]) ?? line;
+			node = node?.[key];
+		}
+		return line;
+	};
+	return { doc, lineOf };
+}
+
+/** Return the labels of a compose service or build as a dictionary */
+function getLabels(labels: any): Dictionary<string> {
+	if (Array.isArray(labels)) {
+		return _.fromPairs(
+			labels.map(label => {
+				const [key, ...value] = `${label}`.split('=');
+				return [key, value.join('=')];
+			}),
+		);
+	}
+	return _.isPlainObject(labels) ? labels : {};
+}
+
+/**
+ * Check a service volume, in short ('source:target[:mode]') or long syntax:
+ * only named volumes declared in the top-level 'volumes' section and tmpfs
+ * mounts are supported. Bind mounts of host paths that balena provides
+ * through feature labels get a suggestion to use the label instead.
+ */
+function lintServiceVolume(
+	volume: any,
+	serviceLabels: Dictionary<string>,
+	volumeNames: string[],
+): string | undefined {
+	let type: string;
+	let source: string | undefined;
+	if (typeof volume === 'string') {
+		const parts = volume.split(':');
+		if (parts.length < 2) {
+			return `Anonymous volume '${volume}' is not supported: use a named volume, e.g. 'myvolume:${volume}'`;
+		}
+		source = parts[0];
+		type = /[\/\\]|^[.~]/.test(source) ? 'bind' : 'volume';
+	} else if (_.isPlainObject(volume)) {
+		type = volume.type ?? 'volume';
+		source = volume.source;
+	} else {
+		return `Invalid volume: '${volume}'`;
+	}
+	if (type === 'bind') {
+		const feature = FEATURE_LABELS.find(([, paths]) =>
+			paths.some(p => source === p || source?.startsWith(`${p}/`)),
+		);
+		if (feature == null) {
+			return `Bind mount of '${source}' is not supported: use a named volume`;
+		}
+		const [label] = feature;
+		return serviceLabels[label] != null
+			? `Bind mount of '${source}' is not supported: remove it, as the '${label}' label already provides it`
+			: `Bind mount of '${source}' is not supported: use the '${label}' label instead`;
+	}
+	if (type === 'volume') {
+		if (!source) {
+			return 'Anonymous volumes are not supported: use a named volume';
+		}
+		if (!volumeNames.includes(source)) {
+			return `Volume '${source}' is not defined in the top-level 'volumes' section`;
+		}
+	}
+}
+
+/**
+ * Check the composition files of a project for features that balena
+ * devices ignore or reject, which would otherwise only fail at runtime:
+ * unsupported keys, volumes that are not named volumes, bind mounts (some of
+ * which can be replaced with feature labels), privileged services and
+ * network_mode settings, and conflicting service names. Since compose files
+ * may override each other, volume definitions and service names are checked
+ * across all files.
+ */
+export function lintComposeFiles(files: ComposeFile[]): LintIssue[] {
+	const issues: LintIssue[] = [];
+	const parsed: Array<{
+		file: string;
+		doc: any;
+		lineOf: (path: YamlPath) => number | undefined;
+		servicesPath: YamlPath;
+	}> = [];
+	for (const { name, contents } of files) {
+		try {
+			const { doc, lineOf } = loadYamlWithLines(contents);
+			if (!_.isPlainObject(doc)) {
+				issues.push({
+					file: name,
+					severity: 'error',
+					message: 'Invalid composition format',
+				});
+				continue;
+			}
+			// version 1 compose files list the services at the top level
+			const servicesPath =
+				doc.version == null && doc.services == null ? [] : ['services'];
+			parsed.push({ file: name, doc, lineOf, servicesPath });
+		} catch (err) {
+			issues.push({
+				file: name,
+				line: err.mark != null ? err.mark.line + 1 : undefined,
+				severity: 'error',
+				message: err.reason ?? err.message,
+			});
+		}
+	}
+	const volumeNames = _.union(...parsed.map(({ doc }) => _.keys(doc.volumes)));
+	const serviceNames: Dictionary<string> = {};
+
+	for (const { file, doc, lineOf, servicesPath } of parsed) {
+		const report = (severity: LintSeverity, path: YamlPath, message: string) =>
+			issues.push({ file, line: lineOf(path), severity, message });
+		const services = servicesPath.length ? doc.services : doc;
+
+		if (servicesPath.length) {
+			if (doc.version != null && !/^2(\.\d+)?$/.test(`${doc.version}`)) {
+				report(
+					'error',
+					['version'],
+					`Compose file version '${doc.version}' is not supported: use version 2.x`,
+				);
+			}
+			for (const key of _.keys(doc)) {
+				if (!TOP_LEVEL_KEYS.includes(key) && !key.startsWith('x-')) {
+					report(
+						'warning',
+						[key],
+						`Top-level key '${key}' is not supported and will be ignored`,
+					);
+				}
+			}
+			for (const [section, supportedKeys] of [
+				['volumes', SUPPORTED_VOLUME_KEYS],
+				['networks', SUPPORTED_NETWORK_KEYS],
+			] as Array<[string, string[]]>) {
+				_.forEach(doc[section], (config, name) => {
+					for (const key of _.keys(config)) {
+						if (!supportedKeys.includes(key)) {
+							report(
+								'warning',
+								[section, name, key],
+								`Key '${key}' of ${section.slice(
+									0,
+									-1,
+								)} '${name}' is not supported and will be ignored`,
+							);
+						}
+					}
+				});
+			}
+		}
+
+		_.forEach(services, (service, serviceName) => {
+			const path = [...servicesPath, serviceName];
+			if (!SERVICE_NAME_REGEX.test(serviceName)) {
+				report(
+					'error',
+					path,
+					`Invalid service name '${serviceName}': only letters, digits, '_', '.' and '-' are allowed`,
+				);
+			}
+			const conflicting = serviceNames[serviceName.toLowerCase()];
+			if (conflicting != null && conflicting !== serviceName) {
+				report(
+					'error',
+					path,
+					`Service name '${serviceName}' conflicts with service '${conflicting}' (image names are lowercase)`,
+				);
+			}
+			serviceNames[serviceName.toLowerCase()] = conflicting ?? serviceName;
+			if (!_.isPlainObject(service)) {
+				return;
+			}
+			for (const key of _.keys(service)) {
+				if (REJECTED_SERVICE_KEYS.includes(key)) {
+					report(
+						'error',
+						[...path, key],
+						`Service '${serviceName}': '${key}' is not allowed`,
+					);
+				} else if (!SUPPORTED_SERVICE_KEYS.includes(key)) {
+					report(
+						'warning',
+						[...path, key],
+						`Service '${serviceName}': '${key}' is not supported and will be ignored`,
+					);
+				}
+			}
+			for (const key of _.keys(
+				_.isPlainObject(service.build) ? service.build : {},
+			)) {
+				if (REJECTED_BUILD_KEYS.includes(key)) {
+					report(
+						'error',
+						[...path, 'build', key],
+						`Service '${serviceName}': 'build.${key}' is not allowed`,
+					);
+				} else if (!SUPPORTED_BUILD_KEYS.includes(key)) {
+					report(
+						'warning',
+						[...path, 'build', key],
+						`Service '${serviceName}': 'build.${key}' is not supported and will be ignored`,
+					);
+				}
+			}
+			const labels = getLabels(service.labels);
+			_.castArray(service.volumes ?? []).forEach((volume, i) => {
+				const message = lintServiceVolume(volume, labels, volumeNames);
+				if (message != null) {
+					report(
+						'error',
+						[...path, 'volumes', i],
+						`Service '${serviceName}': ${message}`,
+					);
+				}
+			});
+			if (service.privileged === true || service.privileged === 'true') {
+				report(
+					'warning',
+					[...path, 'privileged'],
+					`Service '${serviceName}' is privileged, with full access to the host device: consider using 'cap_add' and 'devices' instead`,
+				);
+			}
+			const networkMode =
+				service.network_mode != null ? `${service.network_mode}` : undefined;
+			if (networkMode == null) {
+				return;
+			}
+			const networkModePath = [...path, 'network_mode'];
+			if (service.networks != null) {
+				report(
+					'error',
+					networkModePath,
+					`Service '${serviceName}': 'network_mode' cannot be combined with 'networks'`,
+				);
+			}
+			if (networkMode === 'host') {
+				report(
+					'warning',
+					networkModePath,
+					`Service '${serviceName}' uses the host network${
+						service.ports != null ? ", so its 'ports' are ignored" : ''
+					}`,
+				);
+			} else if (networkMode.startsWith('container:')) {
+				report(
+					'error',
+					networkModePath,
+					`Service '${serviceName}': network_mode '${networkMode}' is not supported`,
+				);
+			} else if (networkMode.startsWith('service:')) {
+				const target = networkMode.slice('service:'.length);
+				if (!_.some(parsed, p => _.has(p.doc, [...p.servicesPath, target]))) {
+					report(
+						'error',
+						networkModePath,
+						`Service '${serviceName}': network_mode refers to unknown service '${target}'`,
+					);
+				}
+			} else if (!['bridge', 'none'].includes(networkMode)) {
+				report(
+					'warning',
+					networkModePath,
+					`Service '${serviceName}': unknown network_mode '${networkMode}'`,
+				);
+			}
+		});
+	}
+	return issues;
+}
+
+/**
+ * Format lint issues as 'file:line: severity: message' lines, followed by
+ * the number of errors and warnings.
+ */
+export function formatLintReport(issues: LintIssue[]): string {
+	const plural = (count: number, noun: string) =>
+		`${count} ${noun}${count === 1 ? '' : 's'}`;
+	// keep the order of the files, and sort the issues of each file by line
+	const sorted = _.flatMap(_.groupBy(issues, 'file'), fileIssues =>
+		_.sortBy(fileIssues, i => i.line ?? 0),
+	);
+	const errorCount = issues.filter(i => i.severity === 'error').length;
+	const lines = sorted.map(
+		i =>
+			`${i.file}${i.line != null ? `:${i.line}` : ''}: ${i.severity}: ${
+				i.message
+			}`,
+	);
+	lines.push(
+		issues.length === 0
+			? 'No issues found'
+			: `${plural(errorCount, 'error')} and ${plural(
+					issues.length - errorCount,
+					'warning',
+			  )}`,
+	);
+	return lines.join('\n');
+}
@@ -18,19 +18,107 @@
 import { Composition, ImageDescriptor } from 'resin-compose-parse';
 import { Pack } from 'tar-stream';
 
+import { BuildArgOptions } from './build-args';
 import Logger = require('./logger');
+import { ProjectConfig } from './project-config';
+import { SizeLimitOptions } from './size-limits';
 
 interface Image {
 	context: string;
 	tag: string;
 }
 
+/**
+ * 'text': human-readable progress output (default)
+ * 'json': newline-delimited JSON events (see `JsonEvent`)
+ */
+export type OutputFormat = 'text' | 'json';
+
 export interface ComposeOpts {
+	buildArgs?: BuildArgOptions;
+	composeFiles?: string[];
 	dockerfilePath?: string;
+	dependencyOrder?: boolean;
+	emptyDirs?: boolean;
 	inlineLogs?: boolean;
+	logDir?: string;
+	maxParallel?: number;
 	noParentCheck: boolean;
+	outputFormat?: OutputFormat;
+	preserveSymlinks?: boolean;
+	projectConfig?: ProjectConfig;
 	projectName: string;
 	projectPath: string;
+	reportFiles?: string[];
+	reproducible?: boolean;
+	// run the project configuration hooks, instead of logging them (--hooks)
+	runHooks?: boolean;
+	services?: string[];
+	sizeLimits?: SizeLimitOptions;
+}
+
+/** Additional options of `compose.buildProject()` */
+export interface BuildProjectOpts {
+	buildArgs?: BuildArgOptions;
+	dependencyOrder?: boolean;
+	emptyDirs?: boolean;
+	// SHA of the git commit the project was exported from (--git-ref option),
+	// recorded in an image label
+	gitCommit?: string;
+	// tag of the built images, e.g. 'myproject_myservice:<imageTag>'
+	imageTag?: string;
+	logDir?: string;
+	maxParallel?: number;
+	outputFormat?: OutputFormat;
+	// build context packed by `compose.packProjectContext()`
+	packedContext?: string;
+	preserveSymlinks?: boolean;
+	// progress display shared with other builds, instead of a new one
+	progressUI?: BuildProgressUI;
+	reportFiles?: string[];
+	reproducible?: boolean;
+}
+
+/** Progress display created by `compose.createBuildProgressUI()` */
+export interface BuildProgressUI {
+	streams: Dictionary<NodeJS.WritableStream>;
+	start(serviceNames?: string[]): void;
+	end(summary?: Dictionary<string> | null): void;
+	cancel(): void;
+}
+
+/** Additional options of `compose.deployProject()` */
+export interface DeployProjectOpts {
+	outputFormat?: OutputFormat;
+	// called once the release is created, before the images are pushed; the
+	// release fails if the returned promise rejects
+	preDeploy?: (release: { id: number; commit: string }) => Promise<void>;
+	// commit of the release, instead of a random value
+	releaseCommit?: string;
+}
+
+/**
+ * Progress event printed to stdout (one JSON object per line) when the
+ * build and deploy commands are used with the `--output json` option.
+ */
+export interface JsonEvent {
+	timestamp: string; // ISO 8601
+	type: 'build' | 'push' | 'release';
+	event: 'start' | 'status' | 'progress' | 'success' | 'error' | 'end';
+	service?: string;
+	status?: string;
+	step?: number;
+	totalSteps?: number;
+	progress?: number; // percentage
+	error?: string;
+	imageSize?: number; // bytes
+	digest?: string;
+	startTime?: string; // ISO 8601
+	endTime?: string; // ISO 8601
+	durationMs?: number;
+	releaseId?: number;
+	commit?: string;
+	services?: string[];
 }
 
 export interface ComposeProject {
@@ -40,7 +128,29 @@ export interface ComposeProject {
 	descriptors: ImageDescriptor[];
 }
 
+interface ContextItemsOptions {
+	preserveSymlinks?: boolean;
+	emptyDirs?: boolean;
+	withIgnored?: boolean;
+}
+
+/** A file, symbolic link or empty directory of a build context */
+export interface ContextItem {
+	path: string;
+	stats: import('fs').Stats;
+	// link target, with the `preserveSymlinks` option
+	linkname?: string;
+	// the ignore file line that excludes the item, with the `withIgnored` option
+	ignoredBy?: import('./ignore').IgnoreRule | null;
+}
+
 interface TarDirectoryOptions {
 	preFinalizeCallback?: (pack: Pack) => void;
 	convertEol?: boolean;
+	reproducible?: boolean;
+	preserveSymlinks?: boolean;
+	emptyDirs?: boolean;
+	// only add the files whose path (posix, relative to the directory) passes
+	// the filter, e.g. the files of a service's build context
+	filter?: (name: string) => boolean;
 }
@@ -31,6 +31,7 @@ export const appendProjectOptions = opts =>
 	]);
 
 export function appendOptions(opts) {
+	const { SIZE_LIMIT_LABEL } = require('./size-limits');
 	return appendProjectOptions(opts).concat([
 		{
 			signature: 'emulated',
@@ -55,6 +56,13 @@ export function appendOptions(opts) {
 				"Disable project validation check of 'docker-compose.yml' file in parent folder",
 			boolean: true,
 		},
+		{
+			signature: 'hooks',
+			description: `\
+Run the shell commands of the 'hooks' section of the .balena/balena.yml file \
+(they are only logged by default). Only use with projects you trust`,
+			boolean: true,
+		},
 		{
 			signature: 'registry-secrets',
 			alias: 'R',
@@ -70,40 +78,220 @@ Source files are not modified.`,
 			boolean: true,
 			alias: 'l',
 		},
+		{
+			signature: 'compose-file',
+			parameter: 'file',
+			description: `\
+Compose file to use, relative to the source folder. Can be specified multiple \
+times, in which case the files are merged in the given order. Default: \
+'docker-compose.yml', merged with 'docker-compose.override.yml' if it exists`,
+			alias: 'c',
+		},
+		{
+			signature: 'reproducible',
+			description: `\
+Create a reproducible build context: sort files and normalize their \
+modification times, ownership and permissions, so that the same source files \
+produce identical build contexts (and Docker layer cache hits) on any machine. \
+Default for the deploy command (see --noreproducible)`,
+			boolean: true,
+		},
+		{
+			signature: 'preserve-symlinks',
+			description: `\
+Add symbolic links to the build context as links, instead of the files they \
+point to. Links must point inside the source folder`,
+			boolean: true,
+		},
+		{
+			signature: 'empty-dirs',
+			description: 'Include empty directories in the build context',
+			boolean: true,
+		},
+		{
+			signature: 'git-ref',
+			parameter: 'commit|tag',
+			description: `\
+Build from the files of the given commit, tag or branch of the git repository \
+of the source folder (like 'git archive'), instead of the working tree, so that \
+uncommitted changes are not included. The commit SHA is recorded in the \
+'io.balena.cli.git-commit' label of the images and, when deploying, used as \
+the release commit. Requires git`,
+		},
+		{
+			signature: 'service',
+			parameter: 'services',
+			description: `\
+Comma-separated list of services to build (e.g. 'api,worker'); other services \
+are not built. When deploying, the other services reuse their images from the \
+application's latest successful release`,
+		},
+		{
+			signature: 'max-parallel',
+			parameter: 'count',
+			description: 'Maximum number of services to build at the same time',
+		},
+		{
+			signature: 'dependency-order',
+			description: `\
+Build services in stages that follow the 'depends_on' settings of the \
+compose file, so that e.g. a base image service is built before the \
+services that use it`,
+			boolean: true,
+		},
+		{
+			signature: 'log-dir',
+			parameter: 'dir',
+			description: `\
+Write the complete build log of each service to '<dir>/<service>.log', with \
+timestamps, and a summary of the build results to '<dir>/index.json'`,
+		},
+		{
+			signature: 'report',
+			parameter: 'file',
+			description: `\
+Write a report of the build results, with the duration and image size of \
+each service and the build log of failed services, to a JUnit XML ('.xml') \
+or HTML ('.html') file. Can be specified multiple times`,
+		},
+		{
+			signature: 'size-limit',
+			parameter: '[service=]size',
+			description: `\
+Fail if an image is larger than the given size (e.g. '300MB' or '1.5GB'), \
+before a release is created when deploying. Prefix the size with a service \
+name (e.g. 'api=300MB') to limit a single service. Can be specified multiple \
+times. A service's limit can also be set with the '${SIZE_LIMIT_LABEL}' \
+label in the compose file, which takes precedence over a limit for all services`,
+		},
+		{
+			signature: 'output',
+			parameter: 'format',
+			description: `\
+Progress output format: 'text' (default) or 'json'. With 'json', build, push \
+and release progress events are printed to stdout as newline-delimited JSON \
+objects, and other messages are printed to stderr.`,
+		},
 	]);
 }
 
 /**
+ * @param {any} options Command-line options
+ * @param {import('./project-config').ProjectConfig} [projectConfig] Project
+ * configuration returned by validateProjectDirectory(), if any
  * @returns Promise<{import('./compose-types').ComposeOpts}>
  */
-export function generateOpts(options) {
+export function generateOpts(options, projectConfig) {
 	const fs = require('mz/fs');
-	return fs.realpath(options.source || '.').then(projectPath => ({
-		projectName: options.projectName,
-		projectPath,
-		inlineLogs: !!options.logs,
-		dockerfilePath: options.dockerfile,
-		noParentCheck: options['noparent-check'],
-	}));
+	const { ExpectedError } = require('../errors');
+	const { parseBuildArgs, readBuildArgFiles } = require('./build-args');
+	const { getReportFormat } = require('./build-report');
+	const { parseSizeLimitOptions } = require('./size-limits');
+	const outputFormat = options.output || 'text';
+	if (!['text', 'json'].includes(outputFormat)) {
+		return Promise.reject(
+			new ExpectedError(
+				`Invalid output format '${outputFormat}': must be 'text' or 'json'`,
+			),
+		);
+	}
+	let maxParallel;
+	if (options['max-parallel'] != null) {
+		maxParallel = Number(options['max-parallel']);
+		if (!Number.isInteger(maxParallel) || maxParallel < 1) {
+			return Promise.reject(
+				new ExpectedError(
+					`Invalid --max-parallel value '${options['max-parallel']}': must be a positive integer`,
+				),
+			);
+		}
+	}
+	const reportFiles = []
+		.concat(options.report ?? [])
+		.map(file => path.resolve(file));
+	let sizeLimits;
+	let cliBuildArgs;
+	try {
+		reportFiles.forEach(getReportFormat);
+		sizeLimits = parseSizeLimitOptions(options['size-limit']);
+		cliBuildArgs = parseBuildArgs(options.buildArg);
+	} catch (err) {
+		return Promise.reject(err);
+	}
+	return Promise.join(
+		fs.realpath(options.source || '.'),
+		readBuildArgFiles(options['build-arg-file']),
+		(projectPath, fileBuildArgs) => ({
+			projectName: options.projectName,
+			projectPath,
+			inlineLogs: !!options.logs,
+			dockerfilePath: options.dockerfile,
+			noParentCheck: options['noparent-check'],
+			runHooks: !!options.hooks,
+			outputFormat,
+			logDir: options['log-dir'] && path.resolve(options['log-dir']),
+			reportFiles,
+			sizeLimits,
+			buildArgs: {
+				project: projectConfig?.buildArgs,
+				files: fileBuildArgs,
+				cli: cliBuildArgs,
+			},
+			maxParallel,
+			dependencyOrder: !!options['dependency-order'],
+			reproducible: !!options.reproducible,
+			preserveSymlinks: !!options['preserve-symlinks'],
+			emptyDirs: !!options['empty-dirs'],
+			projectConfig,
+			composeFiles:
+				options['compose-file'] != null
+					? [].concat(options['compose-file'])
+					: undefined,
+			services: options.service
+				? `${options.service}`
+						.split(',')
+						.map(s => s.trim())
+						.filter(s => s)
+				: undefined,
+		}),
+	);
 }
 
 // Parse the given composition and return a structure with info. Input is:
 //  - composePath: the *absolute* path to the directory containing the compose file
-//  - composeStr: the contents of the compose file, as a string
+//  - composeStr: the contents of the compose file, as a string, or the contents
+//    of several compose files to be merged (in order), as an array of strings
+//  - env: variables for `${VAR}` interpolation in the compose file(s)
 /**
  * @param {string} composePath
- * @param {string} composeStr
+ * @param {string | string[]} composeStr
  * @param {string | null} projectName
+ * @param {Dictionary<string | undefined>} [env]
  * @returns {import('./compose-types').ComposeProject}
  */
-export function createProject(composePath, composeStr, projectName = null) {
+export function createProject(
+	composePath,
+	composeStr,
+	projectName = null,
+	env = {},
+) {
+	const _ = require('lodash');
 	const yml = require('js-yaml');
 	const compose = require('resin-compose-parse');
-
-	// both methods below may throw.
-	const rawComposition = yml.safeLoad(composeStr, {
-		schema: yml.FAILSAFE_SCHEMA,
-	});
+	const {
+		interpolateComposition,
+		mergeCompositions,
+	} = require('./compose-config');
+
+	// the methods below may throw.
+	const rawComposition = mergeCompositions(
+		_.castArray(composeStr).map(str =>
+			interpolateComposition(
+				yml.safeLoad(str, { schema: yml.FAILSAFE_SCHEMA }),
+				env,
+			),
+		),
+	);
 	const composition = compose.normalize(rawComposition);
 
 	if (projectName == null) {
@@ -131,7 +319,122 @@ export function createProject(composePath, composeStr, projectName = null) {
 	};
 }
 
+// Maximum number of files concurrently read (or symbolic links resolved) by
+// tarDirectory()
+const TAR_DIRECTORY_CONCURRENCY = 16;
+
 /**
+ * List the contents of a build context directory as klaw items ({ path,
+ * stats }), excluding the files listed in .dockerignore and .gitignore files.
+ * See tarDirectory() for the `preserveSymlinks` and `emptyDirs` options; with
+ * the `preserveSymlinks` option, symbolic links have a `linkname` property.
+ * With the `withIgnored` option, the excluded files are also listed, with an
+ * `ignoredBy` property (see FileIgnorer.getIgnoreRule()).
+ * @param {string} dir
+ * @param {import('./compose-types').ContextItemsOptions} [param]
+ * @returns {Promise<import('./compose-types').ContextItem[]>}
+ */
+export const getContextItems = function(dir, param) {
+	const { preserveSymlinks = false, emptyDirs = false, withIgnored = false } =
+		param ?? {};
+
+	const _ = require('lodash');
+	const klaw = require('klaw');
+	const fs = require('mz/fs');
+	const streamToPromise = require('stream-to-promise');
+	const { ExpectedError } = require('../errors');
+	const { FileIgnorer } = require('./ignore');
+	const { toPosixPath } = require('resin-multibuild').PathUtils;
+	const root = path.resolve(dir);
+
+	// klaw items ({ path, stats }) of the files, and of the directories if
+	// empty directories are to be included
+	const getItems = () =>
+		// @ts-ignore `klaw` returns a `Walker` which is close enough to a stream to work but ts complains
+		streamToPromise(klaw(dir, { preserveSymlinks })).filter(
+			item => item.path !== root && (emptyDirs || !item.stats.isDirectory()),
+		);
+
+	const removeNonEmptyDirs = function(items) {
+		const parents = new Set(items.map(item => path.dirname(item.path)));
+		return items.filter(
+			item => !item.stats.isDirectory() || !parents.has(item.path),
+		);
+	};
+
+	// Check that a symbolic link points to a path inside the project, as
+	// the target would otherwise be missing (or different) in the image
+	const readSymlink = item =>
+		fs.readlink(item.path).then(function(target) {
+			const relTarget = path.relative(
+				root,
+				path.resolve(path.dirname(item.path), target),
+			);
+			if (
+				path.isAbsolute(target) ||
+				relTarget === '..' ||
+				relTarget.startsWith(`..${path.sep}`)
+			) {
+				throw new ExpectedError(
+					`Symbolic link '${path.relative(
+						root,
+						item.path,
+					)}' points outside the project directory: '${target}'`,
+				);
+			}
+			return { ...item, linkname: toPosixPath(target) };
+		});
+
+	const ignore = new FileIgnorer(dir);
+	return getItems()
+		.each(function(item) {
+			if (item.stats.isDirectory()) {
+				return;
+			}
+			const type = ignore.getIgnoreFileType(path.relative(dir, item.path));
+			if (type != null) {
+				return ignore.addIgnoreFile(item.path, type);
+			}
+		})
+		.then(function(items) {
+			const [included, ignored] = _.partition(items, item =>
+				ignore.filter(item.path),
+			);
+			return Promise.map(
+				emptyDirs ? removeNonEmptyDirs(included) : included,
+				item => (item.stats.isSymbolicLink() ? readSymlink(item) : item),
+				{ concurrency: TAR_DIRECTORY_CONCURRENCY },
+			).then(function(listed) {
+				if (!withIgnored) {
+					return listed;
+				}
+				return listed.concat(
+					ignored
+						.filter(item => !item.stats.isDirectory())
+						.map(item => ({
+							...item,
+							ignoredBy: ignore.getIgnoreRule(item.path),
+						})),
+				);
+			});
+		});
+};
+
+/**
+ * Create a tar stream of the given directory, excluding files listed in
+ * .dockerignore and .gitignore files. With the `reproducible` option, entries
+ * are sorted by name and their modification time, ownership and permissions
+ * are normalized, so that the same source tree always produces the same tar
+ * stream; the returned stream then emits a 'context-hash' event with the
+ * SHA-256 hash of the tar stream, once it has been fully read.
+ * Symbolic links are followed, unless the `preserveSymlinks` option is set, in
+ * which case they are added as links and must point inside the directory.
+ * Directories are implied by the files they contain; the `emptyDirs` option
+ * also adds entries for directories that would otherwise be left out. The
+ * `filter` option restricts the stream to some of the files, e.g. those of a
+ * service's build context, without reading the other files.
+ * File contents are streamed: the returned stream must be consumed for the
+ * packing to complete, and it emits an 'error' event if a file cannot be read.
  * @param {string} dir
  * @param {import('./compose-types').TarDirectoryOptions} [param]
  * @returns {Promise<import('stream').Readable>}
@@ -140,61 +443,236 @@ export const tarDirectory = function(dir, param) {
 	if (param == null) {
 		param = {};
 	}
-	let { preFinalizeCallback = null, convertEol = false } = param;
+	let {
+		preFinalizeCallback = null,
+		convertEol = false,
+		reproducible = false,
+		preserveSymlinks = false,
+		emptyDirs = false,
+		filter = null,
+	} = param;
 	if (convertEol == null) {
 		convertEol = false;
 	}
 
+	const _ = require('lodash');
 	const tar = require('tar-stream');
-	const klaw = require('klaw');
 	const fs = require('mz/fs');
-	const streamToPromise = require('stream-to-promise');
-	const { FileIgnorer } = require('./ignore');
 	const { toPosixPath } = require('resin-multibuild').PathUtils;
-	let readFile;
-	if (process.platform === 'win32') {
-		const { readFileWithEolConversion } = require('./eol-conversion');
-		readFile = file => readFileWithEolConversion(file, convertEol);
-	} else {
-		({ readFile } = fs);
-	}
+	const root = path.resolve(dir);
+
+	const makeHeader = function(name, stats, linkname) {
+		let type = 'file';
+		if (linkname != null) {
+			type = 'symlink';
+		} else if (stats.isDirectory()) {
+			type = 'directory';
+		}
+		const size = type === 'file' ? stats.size : 0;
+		if (!reproducible) {
+			return { name, type, linkname, size, mode: stats.mode };
+		}
+		return {
+			name,
+			type,
+			linkname,
+			size,
+			// keep the executable bit only, like git does
+			// tslint:disable-next-line:no-bitwise
+			mode: stats.mode & 0o111 ? 0o755 : 0o644,
+			mtime: new Date(0),
+			uid: 0,
+			gid: 0,
+			uname: '',
+			gname: '',
+		};
+	};
 
-	const getFiles = () =>
-		// @ts-ignore `klaw` returns a `Walker` which is close enough to a stream to work but ts complains
-		streamToPromise(klaw(dir))
-			.filter(item => !item.stats.isDirectory())
-			.map(item => item.path);
+	// On Windows, text files small enough for EOL conversion are read into
+	// memory; any other file is streamed into the tar archive.
+	const readEntryData = function(file, stats) {
+		if (process.platform !== 'win32') {
+			return Promise.resolve(null);
+		}
+		const {
+			LARGE_FILE_THRESHOLD,
+			readFileWithEolConversion,
+		} = require('./eol-conversion');
+		if (stats.size > LARGE_FILE_THRESHOLD) {
+			const Logger = require('./logger');
+			Logger.getLogger().logWarn(
+				`CRLF detection skipped for large file: ${file}`,
+			);
+			return Promise.resolve(null);
+		}
+		return Promise.resolve(readFileWithEolConversion(file, convertEol));
+	};
+
+	const addEntry = (header, file, data) =>
+		new Promise(function(resolve, reject) {
+			const callback = err => (err ? reject(err) : resolve());
+			if (header.type !== 'file') {
+				pack.entry(header, callback);
+				return;
+			}
+			if (data != null) {
+				// tar-stream sets the header size from the buffer length
+				pack.entry(header, data, callback);
+				return;
+			}
+			const entry = pack.entry(header, callback);
+			fs.createReadStream(file)
+				.on('error', reject)
+				.pipe(entry);
+		});
 
-	const ignore = new FileIgnorer(dir);
 	const pack = tar.pack();
-	return getFiles()
-		.each(function(file) {
-			const type = ignore.getIgnoreFileType(path.relative(dir, file));
-			if (type != null) {
-				return ignore.addIgnoreFile(file, type);
+	// Entries are added to the pack one at a time and in the order of the file
+	// list, while up to TAR_DIRECTORY_CONCURRENCY files needing EOL conversion
+	// may be read ahead. The pack is returned before the entries are added, so
+	// that file contents are streamed to its consumer instead of being
+	// buffered in memory.
+	let lastEntry = Promise.resolve();
+	const addEntries = entries =>
+		Promise.map(
+			entries,
+			function({ path: file, stats, linkname }) {
+				const relPath = path.relative(root, file);
+				const header = makeHeader(toPosixPath(relPath), stats, linkname);
+				const previousEntry = lastEntry;
+				lastEntry = Promise.join(
+					header.type === 'file' ? readEntryData(file, stats) : null,
+					previousEntry,
+					data => addEntry(header, file, data),
+				);
+				return lastEntry;
+			},
+			{ concurrency: TAR_DIRECTORY_CONCURRENCY },
+		)
+			.then(() => preFinalizeCallback?.(pack))
+			.then(() => pack.finalize())
+			.catch(err => pack.emit('error', err));
+
+	return getContextItems(dir, { preserveSymlinks, emptyDirs })
+		.then(items =>
+			items.filter(
+				item =>
+					filter == null || filter(toPosixPath(path.relative(root, item.path))),
+			),
+		)
+		.then(items =>
+			reproducible
+				? _.sortBy(items, item => toPosixPath(path.relative(root, item.path)))
+				: items,
+		)
+		.then(function(entries) {
+			addEntries(entries);
+			if (!reproducible) {
+				return pack;
 			}
-		})
-		.filter(ignore.filter)
-		.map(function(file) {
-			const relPath = path.relative(path.resolve(dir), file);
-			return Promise.join(
-				relPath,
-				fs.stat(file),
-				readFile(file),
-				(filename, stats, data) =>
-					pack.entry(
-						{ name: toPosixPath(filename), size: stats.size, mode: stats.mode },
-						data,
-					),
+			const crypto = require('crypto');
+			const through = require('through2');
+			const hash = crypto.createHash('sha256');
+			const hashStream = through(function(chunk, _enc, cb) {
+				hash.update(chunk);
+				cb(null, chunk);
+			});
+			// emitted before the 'end' listeners of consumers are called
+			hashStream.once('end', () =>
+				hashStream.emit('context-hash', hash.digest('hex')),
 			);
-		})
-		.then(() => preFinalizeCallback?.(pack))
-		.then(function() {
-			pack.finalize();
-			return pack;
+			pack.on('error', err => hashStream.emit('error', err));
+			return pack.pipe(hashStream);
 		});
 };
 
+/**
+ * Pack a project directory into a temporary tar file, so that the build
+ * context can be shared by the builds for several device types (see the
+ * `packedContext` option of buildProject()). The caller is responsible for
+ * removing the file.
+ * @param {string} projectPath
+ * @param {import('./compose-types').TarDirectoryOptions} [tarOpts]
+ * @returns {Promise<string>} The path of the tar file
+ */
+export function packProjectContext(logger, projectPath, tarOpts) {
+	const fs = require('mz/fs');
+	const tmp = require('tmp');
+	const streamToPromise = require('stream-to-promise');
+	const tmpNameAsync = Promise.promisify(tmp.tmpName);
+
+	logger.logInfo('Packing the build context...');
+	return Promise.join(
+		tmpNameAsync(),
+		tarDirectory(projectPath, tarOpts),
+		function(tarPath, tarStream) {
+			tarStream.on('context-hash', hash =>
+				logger.logInfo(`Build context SHA-256: ${hash}`),
+			);
+			return streamToPromise(
+				tarStream.pipe(fs.createWriteStream(tarPath)),
+			).return(tarPath);
+		},
+	);
+}
+
+/**
+ * Read a tar file created by packProjectContext(). For emulated builds, a
+ * QEMU binary is added to the build context of each service, replacing any
+ * QEMU binary of the project directory, as it depends on the architecture.
+ * @param {string} tarPath
+ * @param {string[]} contexts Build contexts of the services, relative to the
+ * project directory
+ * @param {string} [qemuPath] Path of the QEMU binary to add
+ * @returns {Promise<import('stream').Readable>}
+ */
+const readPackedContext = function(tarPath, contexts, qemuPath) {
+	const fs = require('mz/fs');
+	if (qemuPath == null) {
+		return Promise.resolve(fs.createReadStream(tarPath));
+	}
+	const tar = require('tar-stream');
+	const qemu = require('./qemu');
+	const qemuEntries = contexts.map(context =>
+		path.posix.join(
+			path.posix.normalize(context),
+			'.balena',
+			qemu.QEMU_BIN_NAME,
+		),
+	);
+	const extract = tar.extract();
+	const pack = tar.pack();
+	const copyEntry = (header, stream) =>
+		new Promise(function(resolve, reject) {
+			stream.on('error', reject);
+			stream.pipe(pack.entry(header, err => (err ? reject(err) : resolve())));
+		});
+
+	return Promise.resolve(fs.stat(qemuPath)).then(function(stats) {
+		extract.on('entry', function(header, stream, next) {
+			if (qemuEntries.includes(header.name)) {
+				stream.resume();
+				stream.on('end', () => next());
+				return;
+			}
+			copyEntry(header, stream).then(() => next(), next);
+		});
+		extract.on('finish', () =>
+			Promise.each(qemuEntries, name =>
+				copyEntry(
+					{ name, size: stats.size, mode: 0o755 },
+					fs.createReadStream(qemuPath),
+				),
+			)
+				.then(() => pack.finalize())
+				.catch(err => pack.emit('error', err)),
+		);
+		extract.on('error', err => pack.emit('error', err));
+		fs.createReadStream(tarPath).pipe(extract);
+		return pack;
+	});
+};
+
 const truncateString = function(str, len) {
 	if (str.length < len) {
 		return str;
@@ -208,6 +686,36 @@ const truncateString = function(str, len) {
 
 const LOG_LENGTH_MAX = 512 * 1024; // 512KB
 
+// Time between the progress lines printed when the output is not a terminal
+// (ms), well within the inactivity timeouts of CI systems
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+/**
+ * Return the options of buildProject() that follow from the compose options
+ * of the build and deploy commands (see generateOpts()).
+ * @param {import('./compose-types').ComposeOpts} composeOpts
+ * @param {import('./compose-types').BuildProjectOpts} [extra] Additional
+ * options, e.g. the git commit of the `--git-ref` option, or overrides
+ * @returns {import('./compose-types').BuildProjectOpts}
+ */
+export function buildProjectOpts(composeOpts, extra) {
+	return {
+		buildArgs: composeOpts.buildArgs,
+		outputFormat: composeOpts.outputFormat,
+		logDir: composeOpts.logDir,
+		reportFiles: composeOpts.reportFiles,
+		maxParallel: composeOpts.maxParallel,
+		dependencyOrder: composeOpts.dependencyOrder,
+		reproducible: composeOpts.reproducible,
+		preserveSymlinks: composeOpts.preserveSymlinks,
+		emptyDirs: composeOpts.emptyDirs,
+		...extra,
+	};
+}
+
+/**
+ * @param {import('./compose-types').BuildProjectOpts} [opts]
+ */
 export function buildProject(
 	docker,
 	logger,
@@ -221,6 +729,7 @@ export function buildProject(
 	inlineLogs,
 	convertEol,
 	dockerfilePath,
+	opts = {},
 ) {
 	const _ = require('lodash');
 	const humanize = require('humanize');
@@ -230,21 +739,73 @@ export function buildProject(
 	const { BALENA_ENGINE_TMP_PATH } = require('../config');
 	const {
 		checkBuildSecretsRequirements,
-		makeBuildTasks,
+		makeTaskBuildStream,
+		resolveBuildTasks,
 	} = require('./compose_ts');
+	const {
+		BUILD_HASH_LABEL,
+		computeBuildHash,
+		findCachedImage,
+		getBaseImageIds,
+		hashTarStream,
+	} = require('./build-cache');
+	const { GIT_COMMIT_LABEL } = require('./git-revision');
+	const {
+		getUnknownServices,
+		resolveServiceBuildArgs,
+	} = require('./build-args');
+	const { BuildCancellation } = require('./build-cancellation');
+	const { BuildLogWriter } = require('./build-logs');
+	const { BuildReport } = require('./build-report');
+	const { formatBuildFailure } = require('./dockerfile-source-map');
+	const {
+		formatBuildPlan,
+		makeBuildPlan,
+		runBuildPlan,
+	} = require('./build-plan');
 	const qemu = require('./qemu');
 	const { toPosixPath } = builder.PathUtils;
 
 	logger.logInfo(`Building for ${arch}/${deviceType}`);
 
+	if (opts.buildArgs != null) {
+		const unknownServices = getUnknownServices(
+			opts.buildArgs,
+			Object.keys(composition.services ?? {}),
+		);
+		if (unknownServices.length > 0) {
+			logger.logWarn(
+				`Build arguments were set for services that are not being built: ${unknownServices.join(
+					', ',
+				)}`,
+			);
+		}
+	}
+
 	const imageDescriptors = compose.parse(composition);
 	const imageDescriptorsByServiceName = _.keyBy(
 		imageDescriptors,
 		'serviceName',
 	);
 
+	const buildPlan = makeBuildPlan(
+		composition.services,
+		_.map(imageDescriptors, 'serviceName'),
+		opts.dependencyOrder,
+	);
+	if (opts.maxParallel || opts.dependencyOrder) {
+		logger.logInfo(formatBuildPlan(buildPlan, opts.maxParallel));
+	}
+
+	const jsonOutput = opts.outputFormat === 'json';
 	let renderer;
-	if (inlineLogs) {
+	if (opts.progressUI != null) {
+		renderer = opts.progressUI;
+	} else if (jsonOutput) {
+		renderer = new BuildProgressJson(process.stdout, imageDescriptors);
+	} else if (!inlineLogs && !process.stdout.isTTY) {
+		renderer = new BuildProgressLines(process.stdout, imageDescriptors);
+	} else if (inlineLogs) {
 		renderer = new BuildProgressInline(
 			logger.streams['build'],
 			imageDescriptors,
@@ -253,30 +814,146 @@ export function buildProject(
 		const tty = require('./tty')(process.stdout);
 		renderer = new BuildProgressUI(tty, imageDescriptors);
 	}
-	renderer.start();
+	renderer.start(_.map(imageDescriptors, 'serviceName'));
+
+	// On Ctrl+C, cancel the builds and clean up before exiting
+	const cancellation = new BuildCancellation(docker, logger, () =>
+		renderer.cancel != null ? renderer.cancel() : renderer.end(),
+	);
+	cancellation.start();
+
+	const logWriter = opts.logDir ? new BuildLogWriter(opts.logDir) : null;
+	const report = opts.reportFiles?.length
+		? new BuildReport(
+				projectName,
+				_.keys(imageDescriptorsByServiceName),
+				opts.reportFiles,
+		  )
+		: null;
+	/** @param {import('./build-report').BuildReportResult} result */
+	const setResult = function(serviceName, result) {
+		logWriter?.setResult(serviceName, result);
+		report?.setResult(serviceName, result);
+	};
 
-	return Promise.resolve(checkBuildSecretsRequirements(docker, projectPath))
+	// Tasks of failed builds, described once the renderer has ended
+	const failedTasks = [];
+	const logBuildFailures = function() {
+		const fs = require('mz/fs');
+		return Promise.mapSeries(failedTasks, function(task) {
+			const sourcePath = path.posix.join(
+				toPosixPath(task.context ?? '.'),
+				task.projectType === 'Dockerfile.template'
+					? `${task.dockerfilePath}.template`
+					: task.dockerfilePath ?? 'Dockerfile',
+			);
+			return Promise.resolve(
+				task.projectType === 'Dockerfile.template'
+					? fs.readFile(path.join(projectPath, sourcePath), 'utf8')
+					: undefined,
+			)
+				.catchReturn(undefined)
+				.then(template =>
+					logger.logError(
+						formatBuildFailure({
+							serviceName: task.serviceName,
+							dockerfile: task.dockerfile,
+							dockerfilePath: sourcePath,
+							template,
+							logBuffer: task.logBuffer,
+						}),
+					),
+				);
+		});
+	};
+
+	/**
+	 * @param {boolean} needsQemu
+	 * @param {string} [context] Build context of a service: leave out the
+	 * files of the other services, if possible
+	 */
+	const getBuildContextStream = function(needsQemu, context) {
+		const { packedContext } = opts;
+		if (packedContext != null) {
+			const contexts = _.flatMap(imageDescriptors, d =>
+				typeof d.image === 'string' || d.image.context == null
+					? []
+					: [toPosixPath(d.image.context)],
+			);
+			return Promise.resolve(
+				needsQemu ? qemu.getQemuPath(arch) : undefined,
+			).then(qemuPath => readPackedContext(packedContext, contexts, qemuPath));
+		}
+		return tarDirectory(projectPath, {
+			convertEol,
+			reproducible: opts.reproducible,
+			preserveSymlinks: opts.preserveSymlinks,
+			emptyDirs: opts.emptyDirs,
+			filter:
+				context != null
+					? name => builder.PathUtils.posixContains(context, name)
+					: undefined,
+		}).then(function(tarStream) {
+			if (context == null) {
+				tarStream.on('context-hash', hash =>
+					logger.logInfo(`Build context SHA-256: ${hash}`),
+				);
+			}
+			return tarStream;
+		});
+	};
+
+	// The build stream of a task is created from a new tar stream of the
+	// project for each use (to hash it, and to build the service), so that
+	// file contents are streamed rather than buffered in memory
+	const getTaskBuildStream = function(task) {
+		const { image } = imageDescriptorsByServiceName[task.serviceName];
+		return getBuildContextStream(
+			task.qemuPath != null,
+			task.context ?? '.',
+		).then(tarStream =>
+			makeTaskBuildStream(
+				task,
+				tarStream,
+				typeof image === 'string' ? undefined : image.dockerfile,
+				{ arch, deviceType },
+				projectName,
+			),
+		);
+	};
+
+	return Promise.resolve(logWriter?.open(_.keys(imageDescriptorsByServiceName)))
+		.then(() => checkBuildSecretsRequirements(docker, projectPath))
 		.then(() => qemu.installQemuIfNeeded(emulated, logger, arch, docker))
 		.tap(function(needsQemu) {
 			if (!needsQemu) {
 				return;
 			}
 			logger.logInfo('Emulation is enabled');
+			if (opts.packedContext != null) {
+				// qemu is added by readPackedContext()
+				return;
+			}
 			// Copy qemu into all build contexts
 			return Promise.map(imageDescriptors, function(d) {
 				if (typeof d.image === 'string' || d.image.context == null) {
 					return;
 				}
 				// external image
-				return qemu.copyQemu(path.join(projectPath, d.image.context), arch);
+				const context = path.join(projectPath, d.image.context);
+				return qemu
+					.copyQemu(context, arch)
+					.then(binPath =>
+						cancellation.addQemuFile(path.join(context, binPath)),
+					);
 			});
 		})
 		.then((
 			needsQemu, // Tar up the directory, ready for the build stream
 		) =>
-			tarDirectory(projectPath, { convertEol })
+			getBuildContextStream(needsQemu)
 				.then(tarStream =>
-					makeBuildTasks(
+					resolveBuildTasks(
 						composition,
 						tarStream,
 						{ arch, deviceType },
@@ -291,6 +968,9 @@ export function buildProject(
 					// set before are lost; re-assign them here
 					if (task.tag == null) {
 						task.tag = [projectName, task.serviceName].join('_').toLowerCase();
+						if (opts.imageTag) {
+							task.tag += `:${opts.imageTag}`;
+						}
 					}
 					if (typeof d.image !== 'string' && d.image.context != null) {
 						d.image.tag = task.tag;
@@ -301,16 +981,14 @@ export function buildProject(
 						task.dockerOpts = {};
 					}
 					_.merge(task.dockerOpts, buildOpts, { t: task.tag });
-					if (typeof d.image !== 'string') {
-						/** @type {any} */
-						const context = d.image.context;
-						if (context?.args != null) {
-							if (task.dockerOpts.buildargs == null) {
-								task.dockerOpts.buildargs = {};
-							}
-							_.merge(task.dockerOpts.buildargs, context.args);
-						}
-					}
+					// task.args holds the build args of the composition, which
+					// multibuild applies over dockerOpts.buildargs
+					task.args = resolveServiceBuildArgs(
+						task.serviceName,
+						task.args,
+						opts.buildArgs,
+					);
+					task.dockerOpts.buildargs = task.args;
 
 					// Get the service-specific log stream
 					// Caveat: `multibuild.BuildTask` defines no `logStream` property
@@ -318,34 +996,34 @@ export function buildProject(
 					task.logStream = renderer.streams[task.serviceName];
 					task.logBuffer = [];
 
-					// Setup emulation if needed
-					if (task.external || !needsQemu) {
-						return [task, null];
+					if (task.external) {
+						return task;
 					}
-					const binPath = qemu.qemuPathInContext(
-						path.join(projectPath, task.context ?? ''),
-					);
-					if (task.buildStream == null) {
-						throw new Error(`No buildStream for task '${task.tag}'`);
+					if (opts.gitCommit) {
+						task.labels = {
+							...task.labels,
+							[GIT_COMMIT_LABEL]: opts.gitCommit,
+						};
 					}
-					return transpose
-						.transposeTarStream(
-							task.buildStream,
-							{
-								hostQemuPath: toPosixPath(binPath),
-								containerQemuPath: `/tmp/${qemu.QEMU_BIN_NAME}`,
-								qemuFileMode: 0o555,
-							},
-							dockerfilePath || undefined,
-						)
-						.then((/** @type {any} */ stream) => {
-							task.buildStream = stream;
-						})
-						.return([task, binPath]);
+					// Caveat: `multibuild.BuildTask` defines no `qemuPath` and
+					// `contextHash` properties either (see `logStream` above)
+					task.qemuPath = needsQemu
+						? qemu.qemuPathInContext(path.join(projectPath, task.context ?? ''))
+						: null;
+					return getTaskBuildStream(task)
+						.then(hashTarStream)
+						.then(function(contextHash) {
+							task.contextHash = contextHash;
+							return task;
+						});
 				}),
 		)
-		.map(function([task, qemuPath]) {
-			const captureStream = buildLogCapture(task.external, task.logBuffer);
+		.map(function(task) {
+			const captureStream = buildLogCapture(
+				task.external,
+				task.logBuffer,
+				logWriter && (line => logWriter.writeLine(task.serviceName, line)),
+			);
 
 			if (task.external) {
 				// External image -- there's no build to be performed,
@@ -356,9 +1034,9 @@ export function buildProject(
 				task.streamHook = function(stream) {
 					let rawStream;
 					stream = createLogStream(stream);
-					if (qemuPath != null) {
+					if (task.qemuPath != null) {
 						const buildThroughStream = transpose.getBuildThroughStream({
-							hostQemuPath: toPosixPath(qemuPath),
+							hostQemuPath: toPosixPath(task.qemuPath),
 							containerQemuPath: `/tmp/${qemu.QEMU_BIN_NAME}`,
 						});
 						rawStream = stream.pipe(buildThroughStream);
@@ -371,22 +1049,171 @@ export function buildProject(
 					return rawStream
 						.pipe(dropEmptyLinesStream())
 						.pipe(captureStream)
-						.pipe(buildProgressAdapter(inlineLogs))
+						.pipe(buildProgressAdapter(inlineLogs && !jsonOutput))
 						.pipe(task.logStream);
 				};
 			}
 			return task;
 		})
 		.then(function(tasks) {
+			// Errors reading a build context (e.g. a project file that cannot be
+			// read) fail the builds of the stage, as the Docker daemon would
+			// otherwise wait for the rest of the build context
+			const buildStreamErrors = {};
+
+			// Services whose build hash matches that of an existing image need
+			// not be built again. The hash is computed just before a service
+			// would be built, as it covers the IDs of its base images, which
+			// may have been built in an earlier stage of the build plan.
+			const checkBuildCache = function(task) {
+				if (task.external) {
+					return Promise.resolve();
+				}
+				return Promise.resolve(getBaseImageIds(docker, task))
+					.then(function(baseImageIds) {
+						const buildHash = computeBuildHash(task, task.contextHash, {
+							arch,
+							deviceType,
+							emulated: task.qemuPath != null,
+							baseImageIds,
+							gitCommit: opts.gitCommit,
+						});
+						logger.logDebug(
+							`Build hash for service '${task.serviceName}': ${buildHash}`,
+						);
+						// Label the image so that later builds can find it
+						task.labels = { ...task.labels, [BUILD_HASH_LABEL]: buildHash };
+						if (buildOpts?.nocache) {
+							return;
+						}
+						return findCachedImage(docker, task.tag, buildHash);
+					})
+					.then(function(cachedImage) {
+						// Caveat: `multibuild.BuildTask` defines no `cachedImage`
+						// property either (see `logStream` above)
+						task.cachedImage = cachedImage;
+						if (cachedImage != null) {
+							return;
+						}
+						return getTaskBuildStream(task).then(function(stream) {
+							task.buildStream = stream;
+							const streamError = new Promise((_resolve, reject) =>
+								stream.once('error', reject),
+							);
+							buildStreamErrors[task.serviceName] = streamError;
+							// Setup emulation if needed
+							if (task.qemuPath == null) {
+								return;
+							}
+							return transpose
+								.transposeTarStream(
+									task.buildStream,
+									{
+										hostQemuPath: toPosixPath(task.qemuPath),
+										containerQemuPath: `/tmp/${qemu.QEMU_BIN_NAME}`,
+										qemuFileMode: 0o555,
+									},
+									dockerfilePath || undefined,
+								)
+								.then((/** @type {any} */ transposedStream) => {
+									task.buildStream = transposedStream;
+								});
+						});
+					});
+			};
+
+			const skipBuild = function(task) {
+				logger.logDebug(
+					`Skipping build of service '${task.serviceName}': image '${task.tag}' is up to date`,
+				);
+				task.logStream.write({
+					status: 'Build skipped; build context unchanged',
+				});
+				setResult(task.serviceName, {
+					status: 'skipped',
+					image: task.tag,
+					imageSize: task.cachedImage.Size,
+				});
+				return {
+					serviceName: task.serviceName,
+					successful: true,
+					skippedImage: {
+						serviceName: task.serviceName,
+						name: task.tag,
+						logs:
+							'Build skipped; image with matching build hash already exists.',
+						props: {
+							dockerfile: task.dockerfile,
+							projectType: task.projectType,
+							size: task.cachedImage.Size,
+						},
+					},
+				};
+			};
+
+			/** @type {(stageTasks: any[]) => Promise<any[]>} */
+			const buildStage = stageTasks =>
+				Promise.map(stageTasks, checkBuildCache).then(function() {
+					const [cachedTasks, tasksToBuild] = _.partition(
+						stageTasks,
+						task => task.cachedImage != null,
+					);
+					return Promise.resolve(
+						tasksToBuild.length
+							? Promise.race([
+									builder.performBuilds(
+										tasksToBuild,
+										cancellation.trackBuilds(docker),
+										BALENA_ENGINE_TMP_PATH,
+									),
+									..._.compact(
+										tasksToBuild.map(t => buildStreamErrors[t.serviceName]),
+									),
+							  ])
+							: [],
+					).then(builtImages => [
+						...cachedTasks.map(skipBuild),
+						...builtImages,
+					]);
+				});
+
+			// Errors of failed builds, thrown once every service's result has been
+			// recorded, so that the logs, report and failure descriptions are
+			// complete
+			/** @type {Array<Error & {serviceName?: string}>} */
+			const buildErrors = [];
+
 			logger.logDebug('Prepared tasks; building...');
 			return Promise.map(
-				builder.performBuilds(tasks, docker, BALENA_ENGINE_TMP_PATH),
+				runBuildPlan(buildPlan, tasks, buildStage, opts.maxParallel),
 				function(builtImage) {
+					if (builtImage.skippedImage != null) {
+						return builtImage.skippedImage;
+					}
 					if (!builtImage.successful) {
 						/** @type {Error & {serviceName?: string}} */
 						const error = builtImage.error ?? new Error();
 						error.serviceName = builtImage.serviceName;
-						throw error;
+						renderer.reportError?.(builtImage.serviceName, error);
+						const failedTask = _.find(tasks, {
+							serviceName: builtImage.serviceName,
+						});
+						if (failedTask != null) {
+							failedTasks.push(failedTask);
+						}
+						setResult(builtImage.serviceName, {
+							status: 'failed',
+							error: error.message,
+							log: failedTask?.logBuffer,
+							startTime: builtImage.startTime
+								? new Date(builtImage.startTime)
+								: undefined,
+							endTime: builtImage.endTime
+								? new Date(builtImage.endTime)
+								: undefined,
+						});
+						buildErrors.push(error);
+						return null;
 					}
 
 					const d = imageDescriptorsByServiceName[builtImage.serviceName];
@@ -417,24 +1244,73 @@ export function buildProject(
 						.get('Size')
 						.then(size => {
 							image.props.size = size;
+							setResult(image.serviceName, {
+								status: 'success',
+								image: image.name,
+								imageSize: size,
+								startTime: image.props.startTime,
+								endTime: image.props.endTime,
+							});
 						})
 						.return(image);
 				},
-			).tap(function(images) {
-				const summary = _(images)
-					.map(({ serviceName, props }) => [
-						serviceName,
-						`Image size: ${humanize.filesize(props.size)}`,
-					])
-					.fromPairs()
-					.value();
-				renderer.end(summary);
-			});
+			)
+				.then(function(images) {
+					if (buildErrors.length > 0) {
+						throw buildErrors[0];
+					}
+					return images;
+				})
+				.tap(function(images) {
+					const summary = _(images)
+						.map(({ serviceName, props }) => [
+							serviceName,
+							`Image size: ${humanize.filesize(props.size)}`,
+						])
+						.fromPairs()
+						.value();
+					renderer.end(summary, images);
+				});
+		})
+		.finally(renderer.end)
+		.finally(() => cancellation.stop())
+		.tapCatch(function() {
+			if (!jsonOutput) {
+				return logBuildFailures();
+			}
 		})
-		.finally(renderer.end);
+		.finally(function() {
+			if (logWriter != null) {
+				return logWriter.close().then(() => {
+					logger.logInfo(`Build logs saved to "${opts.logDir}"`);
+				});
+			}
+		})
+		.finally(function() {
+			if (report != null) {
+				return report.write().then(() => {
+					logger.logInfo(
+						`Build report saved to ${report.reportFiles
+							.map(file => `"${file}"`)
+							.join(', ')}`,
+					);
+				});
+			}
+		});
 }
 
-const createRelease = function(apiEndpoint, auth, userId, appId, composition) {
+/**
+ * @param {string} [commit] Release commit, e.g. the SHA of the git commit the
+ * images were built from, instead of a random value
+ */
+const createRelease = function(
+	apiEndpoint,
+	auth,
+	userId,
+	appId,
+	composition,
+	commit,
+) {
 	const _ = require('lodash');
 	const crypto = require('crypto');
 	const releaseMod = require('balena-release');
@@ -448,10 +1324,12 @@ const createRelease = function(apiEndpoint, auth, userId, appId, composition) {
 			application: appId,
 			composition,
 			source: 'local',
-			commit: crypto
-				.pseudoRandomBytes(16)
-				.toString('hex')
-				.toLowerCase(),
+			commit:
+				commit ??
+				crypto
+					.pseudoRandomBytes(16)
+					.toString('hex')
+					.toLowerCase(),
 		})
 		.then(function({ release, serviceImages }) {
 			return {
@@ -498,7 +1376,31 @@ const tagServiceImages = (docker, images, serviceImages) =>
 			}));
 	});
 
-const getPreviousRepos = (sdk, docker, logger, appID) =>
+// Release query options that include the images of a release, and the
+// names of the services they were built for
+const releaseImagesOptions = {
+	$select: ['id', 'commit'],
+	$expand: {
+		contains__image: {
+			$expand: {
+				image: {
+					$expand: {
+						is_a_build_of__service: {
+							$select: ['service_name'],
+						},
+					},
+				},
+			},
+		},
+	},
+};
+
+/**
+ * Get the latest successful release of an application, including its images
+ * and the names of the services they were built for.
+ * @returns Promise<object | undefined> The release, or undefined if none
+ */
+const getLatestSuccessfulRelease = (sdk, appID) =>
 	sdk.pine
 		.get({
 			resource: 'release',
@@ -507,20 +1409,71 @@ const getPreviousRepos = (sdk, docker, logger, appID) =>
 					belongs_to__application: appID,
 					status: 'success',
 				},
-				$select: ['id'],
-				$expand: {
-					contains__image: {
-						$expand: 'image',
-					},
+				...releaseImagesOptions,
+				$orderby: 'id desc',
+				$top: 1,
+			},
+		})
+		.get(0);
+
+/**
+ * Get the release of an application with the given commit, which may be
+ * abbreviated, including its images like `getLatestSuccessfulRelease()`.
+ * @returns Promise<object | undefined> The release, or undefined if none
+ */
+const getReleaseByCommit = (sdk, appID, commit) =>
+	sdk.pine
+		.get({
+			resource: 'release',
+			options: {
+				$filter: {
+					belongs_to__application: appID,
+					commit: { $startswith: commit },
 				},
+				...releaseImagesOptions,
 				$orderby: 'id desc',
 				$top: 1,
 			},
 		})
+		.get(0);
+
+/** Find the image of a service in a release returned by the functions above */
+const findReleaseImage = (release, serviceName) =>
+	release.contains__image
+		.map(d => d.image[0])
+		.find(img => img.is_a_build_of__service[0]?.service_name === serviceName);
+
+/**
+ * Pull an image of a release from the balena registry.
+ * @returns Promise<string> The name of the pulled image
+ */
+const pullReleaseImage = function(sdk, docker, logger, apiEndpoint, image) {
+	const _ = require('lodash');
+	const { DockerProgress } = require('docker-progress');
+	const location = image.is_stored_at__image_location;
+	const name = image.content_hash
+		? `${location}@${image.content_hash}`
+		: location;
+	return docker
+		.getRegistryAndName(location)
+		.then(({ registry, imageName }) =>
+			authorizePush(sdk, apiEndpoint, registry, [imageName], []),
+		)
+		.then(function(token) {
+			logger.logDebug(`Pulling image ${name}`);
+			return new DockerProgress({ dockerToolbelt: docker }).pull(name, _.noop, {
+				authconfig: { registrytoken: token },
+			});
+		})
+		.return(name);
+};
+
+const getPreviousRepos = (sdk, docker, logger, appID) =>
+	getLatestSuccessfulRelease(sdk, appID)
 		.then(function(release) {
 			// grab all images from the latest release, return all image locations in the registry
-			if (release.length > 0) {
-				const images = release[0].contains__image;
+			if (release != null) {
+				const images = release.contains__image;
 				return Promise.map(images, function(d) {
 					const imageName = d.image[0].is_stored_at__image_location;
 					return docker.getRegistryAndName(imageName).then(function(registry) {
@@ -539,6 +1492,195 @@ const getPreviousRepos = (sdk, docker, logger, appID) =>
 			return [];
 		});
 
+/**
+ * Check the sizes of images against the size limits of their services (the
+ * `--size-limit` option or the io.balena.size-limit compose file label), and
+ * fail if any image is too large. The error compares the image sizes with
+ * those of the application's latest successful release, if an application
+ * is given.
+ * @param images Image descriptions as returned by `buildProject()`
+ * @param sizeLimits The parsed `--size-limit` options
+ * @param appID The ID of the application, if any
+ */
+export function checkImageSizeLimits(
+	docker,
+	logger,
+	composition,
+	images,
+	sizeLimits,
+	appID,
+) {
+	const _ = require('lodash');
+	const { ExpectedError } = require('../errors');
+	const {
+		formatSizeLimitError,
+		getServiceSizeLimits,
+	} = require('./size-limits');
+
+	const limits = getServiceSizeLimits(composition, sizeLimits);
+	return Promise.map(
+		images.filter(image => limits[image.serviceName] != null),
+		image =>
+			Promise.resolve(
+				image.props?.size ??
+					docker
+						.getImage(image.name)
+						.inspect()
+						.get('Size'),
+			).then(size => ({
+				serviceName: image.serviceName,
+				size,
+				limit: limits[image.serviceName],
+			})),
+	)
+		.tap(checked =>
+			checked.forEach(({ serviceName, size, limit }) =>
+				logger.logDebug(
+					`Image size of service '${serviceName}': ${size} bytes (limit: ${limit})`,
+				),
+			),
+		)
+		.filter(({ size, limit }) => size > limit)
+		.then(function(oversized) {
+			if (oversized.length === 0) {
+				return;
+			}
+			return Promise.resolve(
+				appID != null
+					? getLatestSuccessfulRelease(getBalenaSdk(), appID)
+					: undefined,
+			)
+				.catch(e => {
+					logger.logDebug(`Failed to get the latest release: ${e}`);
+				})
+				.then(function(release) {
+					const previousRelease = release && {
+						commit: release.commit,
+						sizes: _(release.contains__image)
+							.map(d => d.image[0])
+							.keyBy(img => img.is_a_build_of__service[0]?.service_name)
+							.mapValues('image_size')
+							.value(),
+					};
+					throw new ExpectedError(
+						formatSizeLimitError(oversized, previousRelease),
+					);
+				});
+		});
+}
+
+/**
+ * Pull the images of the given services from the latest successful release
+ * of an application, so that they can be included in a new release without
+ * being rebuilt.
+ * @returns Promise<Array<{serviceName, name, logs, props}>> Image descriptions
+ * like those returned by `buildProject()`
+ */
+export function pullPreviousReleaseImages(docker, logger, appID, serviceNames) {
+	const { ExpectedError } = require('../errors');
+	const sdk = getBalenaSdk();
+
+	return Promise.join(
+		getLatestSuccessfulRelease(sdk, appID),
+		sdk.settings.get('apiUrl'),
+		function(release, apiEndpoint) {
+			if (release == null) {
+				throw new ExpectedError(
+					`Cannot reuse images of services '${serviceNames.join(
+						', ',
+					)}': the application has no successful release`,
+				);
+			}
+			logger.logInfo(
+				`Reusing images of services '${serviceNames.join(', ')}' from release ${
+					release.commit
+				}`,
+			);
+			return Promise.map(serviceNames, function(serviceName) {
+				const image = findReleaseImage(release, serviceName);
+				if (image == null) {
+					throw new ExpectedError(
+						`Cannot reuse image of service '${serviceName}': it is not part of release ${release.commit}`,
+					);
+				}
+				return pullReleaseImage(sdk, docker, logger, apiEndpoint, image).then(
+					name => ({
+						serviceName,
+						name,
+						logs: `Image reused from release ${release.commit}.`,
+						props: {
+							dockerfile: image.dockerfile,
+							projectType: image.project_type,
+						},
+					}),
+				);
+			});
+		},
+	);
+}
+
+/**
+ * Compare the layers of built images with those of the images of the same
+ * services in a release of an application (the `--compare-release` option),
+ * using the Docker image history of both images, and print the comparison.
+ * The images of the release are pulled from the balena registry.
+ * @param commit The (possibly abbreviated) commit of the release, or
+ * 'latest' for the latest successful release
+ * @param images Image descriptions as returned by `buildProject()`
+ */
+export function compareWithRelease(docker, logger, appID, commit, images) {
+	const { ExpectedError } = require('../errors');
+	const {
+		compareLayers,
+		formatLayerComparison,
+		fromDockerHistory,
+	} = require('./layer-comparison');
+	const sdk = getBalenaSdk();
+
+	const getLayers = name =>
+		docker
+			.getImage(name)
+			.history()
+			.then(fromDockerHistory);
+
+	return Promise.join(
+		commit === 'latest'
+			? getLatestSuccessfulRelease(sdk, appID)
+			: getReleaseByCommit(sdk, appID, commit),
+		sdk.settings.get('apiUrl'),
+		function(release, apiEndpoint) {
+			if (release == null) {
+				throw new ExpectedError(
+					commit === 'latest'
+						? 'Cannot compare images: the application has no successful release'
+						: `Cannot compare images: release '${commit}' not found`,
+				);
+			}
+			logger.logInfo(`Comparing image layers with release ${release.commit}`);
+			return Promise.mapSeries(images, function(image) {
+				const releaseImage = findReleaseImage(release, image.serviceName);
+				if (releaseImage == null) {
+					return `Service '${image.serviceName}' is not part of release ${release.commit}`;
+				}
+				return Promise.join(
+					getLayers(image.name),
+					pullReleaseImage(sdk, docker, logger, apiEndpoint, releaseImage).then(
+						getLayers,
+					),
+					(layers, releaseLayers) =>
+						formatLayerComparison(
+							image.serviceName,
+							compareLayers(layers, releaseLayers),
+							release.commit,
+						),
+				);
+			});
+		},
+	).then(comparisons => {
+		process.stdout.write(comparisons.join('\n\n') + '\n');
+	});
+}
+
 const authorizePush = function(
 	sdk,
 	tokenAuthEndpoint,
@@ -565,56 +1707,91 @@ const authorizePush = function(
 		.catchReturn({});
 };
 
-const pushAndUpdateServiceImages = function(docker, token, images, afterEach) {
+const pushAndUpdateServiceImages = function(
+	docker,
+	token,
+	images,
+	afterEach,
+	outputFormat = 'text',
+) {
+	const _ = require('lodash');
 	const { DockerProgress } = require('docker-progress');
 	const { retry } = require('./helpers');
 	const tty = require('./tty')(process.stdout);
 
 	const opts = { authconfig: { registrytoken: token } };
+	const emitEvent =
+		outputFormat === 'json' ? jsonEventEmitter(process.stdout, 'push') : null;
 
 	const progress = new DockerProgress({ dockerToolbelt: docker });
-	const renderer = pushProgressRenderer(
-		tty,
-		getChalk().blue('[Push]') + '    ',
-	);
+	const prefix = getChalk().blue('[Push]') + '    ';
+	const renderer = emitEvent
+		? jsonPushProgressRenderer(emitEvent)
+		: process.stdout.isTTY
+		? pushProgressRenderer(tty, prefix)
+		: linePushProgressRenderer(process.stdout, prefix);
 	const reporters = progress.aggregateProgress(images.length, renderer);
 
-	return Promise.using(tty.cursorHidden(), () =>
-		Promise.map(images, ({ serviceImage, localImage, props, logs }, index) =>
-			Promise.join(
-				localImage.inspect().get('Size'),
-				retry(
-					() => progress.push(localImage.name, reporters[index], opts),
-					3, // `times` - retry 3 times
-					localImage.name, // `label` included in retry log messages
-					2000, // `delayMs` - wait 2 seconds before the 1st retry
-					1.4, // `backoffScaler` - wait multiplier for each retry
-				).finally(renderer.end),
-				function(size, digest) {
-					serviceImage.image_size = size;
-					serviceImage.content_hash = digest;
-					serviceImage.build_log = logs;
-					serviceImage.dockerfile = props.dockerfile;
-					serviceImage.project_type = props.projectType;
-					if (props.startTime) {
-						serviceImage.start_timestamp = props.startTime;
-					}
-					if (props.endTime) {
-						serviceImage.end_timestamp = props.endTime;
-					}
-					serviceImage.push_timestamp = new Date();
-					serviceImage.status = 'success';
-				},
-			)
-				.tapCatch(function(e) {
-					serviceImage.error_message = '' + e;
-					serviceImage.status = 'failed';
-				})
-				.finally(() => afterEach?.(serviceImage, props)),
-		),
-	);
+	const pushImages = () =>
+		Promise.map(
+			images,
+			({ serviceName, serviceImage, localImage, props, logs }, index) =>
+				Promise.join(
+					localImage.inspect().get('Size'),
+					retry(
+						() => progress.push(localImage.name, reporters[index], opts),
+						3, // `times` - retry 3 times
+						localImage.name, // `label` included in retry log messages
+						2000, // `delayMs` - wait 2 seconds before the 1st retry
+						1.4, // `backoffScaler` - wait multiplier for each retry
+					).finally(renderer.end),
+					function(size, digest) {
+						serviceImage.image_size = size;
+						serviceImage.content_hash = digest;
+						serviceImage.build_log = logs;
+						serviceImage.dockerfile = props.dockerfile;
+						serviceImage.project_type = props.projectType;
+						if (props.startTime) {
+							serviceImage.start_timestamp = props.startTime;
+						}
+						if (props.endTime) {
+							serviceImage.end_timestamp = props.endTime;
+						}
+						serviceImage.push_timestamp = new Date();
+						serviceImage.status = 'success';
+						emitEvent?.({
+							event: 'success',
+							service: serviceName,
+							imageSize: size,
+							digest: serviceImage.content_hash,
+						});
+					},
+				)
+					.tapCatch(function(e) {
+						serviceImage.error_message = '' + e;
+						serviceImage.status = 'failed';
+						emitEvent?.({
+							event: 'error',
+							service: serviceName,
+							error: `${e}`,
+						});
+					})
+					.finally(() => afterEach?.(serviceImage, props)),
+		);
+
+	if (emitEvent) {
+		emitEvent({ event: 'start', services: _.map(images, 'serviceName') });
+		return pushImages().finally(() => emitEvent({ event: 'end' }));
+	}
+	if (!process.stdout.isTTY) {
+		return pushImages();
+	}
+	return Promise.using(tty.cursorHidden(), pushImages);
 };
 
+/**
+ * @param {import('./compose-types').DeployProjectOpts} [opts]
+ */
 export function deployProject(
 	docker,
 	logger,
@@ -625,20 +1802,50 @@ export function deployProject(
 	auth,
 	apiEndpoint,
 	skipLogUpload,
+	opts = {},
 ) {
 	const _ = require('lodash');
 	const releaseMod = require('balena-release');
 	const tty = require('./tty')(process.stdout);
 
+	const emitEvent =
+		opts.outputFormat === 'json'
+			? jsonEventEmitter(process.stdout, 'release')
+			: null;
 	const prefix = getChalk().cyan('[Info]') + '    ';
 	const spinner = createSpinner();
-	let runloop = runSpinner(tty, spinner, `${prefix}Creating release...`);
-
-	return createRelease(apiEndpoint, auth, userId, appId, composition)
+	const startStage = function(msg) {
+		if (emitEvent) {
+			emitEvent({ event: 'status', status: msg });
+			return { end: _.noop };
+		}
+		return runSpinner(tty, spinner, `${prefix}${msg}`);
+	};
+	emitEvent?.({ event: 'start' });
+	let runloop = startStage('Creating release...');
+
+	return createRelease(
+		apiEndpoint,
+		auth,
+		userId,
+		appId,
+		composition,
+		opts.releaseCommit,
+	)
 		.finally(runloop.end)
+		.tapCatch(e => emitEvent?.({ event: 'error', error: `${e}` }))
 		.then(function({ client, release, serviceImages }) {
-			logger.logDebug('Tagging images...');
-			return tagServiceImages(docker, images, serviceImages)
+			emitEvent?.({
+				event: 'status',
+				status: 'Release created',
+				releaseId: release.id,
+				commit: release.commit,
+			});
+			return Promise.resolve(opts.preDeploy?.(release))
+				.then(function() {
+					logger.logDebug('Tagging images...');
+					return tagServiceImages(docker, images, serviceImages);
+				})
 				.tap(function(taggedImages) {
 					logger.logDebug('Authorizing push...');
 					const sdk = getBalenaSdk();
@@ -671,6 +1878,7 @@ export function deployProject(
 										serviceImage,
 									);
 								},
+								opts.outputFormat,
 							);
 						})
 						.finally(function() {
@@ -687,7 +1895,7 @@ export function deployProject(
 					release.status = 'failed';
 				})
 				.finally(function() {
-					runloop = runSpinner(tty, spinner, `${prefix}Saving release...`);
+					runloop = startStage('Saving release...');
 					release.end_timestamp = new Date();
 					if (release.id == null) {
 						return;
@@ -696,6 +1904,14 @@ export function deployProject(
 						.updateRelease(client, release.id, release)
 						.finally(runloop.end);
 				})
+				.finally(function() {
+					emitEvent?.({
+						event: 'end',
+						status: release.status,
+						releaseId: release.id,
+						commit: release.commit,
+					});
+				})
 				.return(release);
 		});
 }
@@ -726,6 +1942,88 @@ var pushProgressRenderer = function(tty, prefix) {
 	return fn;
 };
 
+/**
+ * Push progress renderer for output that is not a terminal (e.g. CI logs):
+ * instead of redrawing a progress bar, print the overall push percentage
+ * and the elapsed time at regular intervals.
+ * @param {NodeJS.WritableStream} outStream
+ * @param {string} prefix
+ * @param {number} [interval] Time between progress lines (ms)
+ */
+var linePushProgressRenderer = function(
+	outStream,
+	prefix,
+	interval = HEARTBEAT_INTERVAL,
+) {
+	const startTime = Date.now();
+	let percentage = 0;
+	let timerId = null;
+	const report = () =>
+		outStream.write(
+			`${prefix}Pushing images: ${percentage}% (${formatElapsedTime(
+				startTime,
+			)} elapsed)\n`,
+		);
+	const fn = function(e) {
+		if (e.error != null) {
+			throw new Error(e.error);
+		}
+		percentage = e.percentage;
+		if (timerId == null) {
+			report();
+			timerId = setInterval(report, interval);
+		}
+	};
+	fn.end = () => {
+		if (timerId != null) {
+			clearInterval(timerId);
+			timerId = null;
+			report();
+		}
+	};
+	return fn;
+};
+
+/**
+ * Return a function that prints progress events of the given type to the
+ * given stream as newline-delimited JSON objects.
+ * @param {NodeJS.WritableStream} outStream
+ * @param {import('./compose-types').JsonEvent['type']} type
+ * @returns {(event: Partial<import('./compose-types').JsonEvent>) => void}
+ */
+var jsonEventEmitter = (outStream, type) =>
+	function(event) {
+		const _ = require('lodash');
+		outStream.write(
+			JSON.stringify(
+				_.omitBy(
+					{ timestamp: new Date().toISOString(), type, ...event },
+					_.isUndefined,
+				),
+			) + '\n',
+		);
+	};
+
+var jsonPushProgressRenderer = function(emitEvent) {
+	let lastPercentage;
+	const fn = function(e) {
+		const { error, percentage } = e;
+		if (error != null) {
+			throw new Error(error);
+		}
+		// the aggregate progress is reported very frequently; only emit an
+		// event when the (integer) percentage changes
+		if (percentage !== lastPercentage) {
+			lastPercentage = percentage;
+			emitEvent({ event: 'progress', progress: percentage });
+		}
+	};
+	fn.end = () => {
+		// noop
+	};
+	return fn;
+};
+
 var createLogStream = function(input) {
 	const split = require('split');
 	const stripAnsi = require('strip-ansi-stream');
@@ -743,22 +2041,30 @@ var dropEmptyLinesStream = function() {
 	});
 };
 
-var buildLogCapture = function(objectMode, buffer) {
+/**
+ * @param {boolean} objectMode
+ * @param {string[]} buffer Array where to push captured log lines
+ * @param {((line: string) => void) | null} [onLine] Optional callback for each line
+ */
+var buildLogCapture = function(objectMode, buffer, onLine) {
 	const through = require('through2');
 
 	return through({ objectMode }, function(data, _enc, cb) {
+		let line;
 		// data from pull stream
 		if (data.error) {
-			buffer.push(`${data.error}`);
+			line = `${data.error}`;
 		} else if (data.progress && data.status) {
-			buffer.push(`${data.progress}% ${data.status}`);
+			line = `${data.progress}% ${data.status}`;
 		} else if (data.status) {
-			buffer.push(`${data.status}`);
+			line = `${data.status}`;
 
 			// data from build stream
 		} else {
-			buffer.push(data);
+			line = data;
 		}
+		buffer.push(line);
+		onLine?.(`${line}`);
 
 		return cb(null, data);
 	});
@@ -801,7 +2107,12 @@ var buildProgressAdapter = function(inline) {
 			}
 		}
 
-		return cb(null, { status: str, progress });
+		return cb(null, {
+			status: str,
+			progress,
+			step: step != null ? parseInt(step, 10) : undefined,
+			totalSteps: numSteps != null ? parseInt(numSteps, 10) : undefined,
+		});
 	});
 };
 
@@ -830,6 +2141,14 @@ var createSpinner = function() {
 };
 
 var runSpinner = function(tty, spinner, msg) {
+	if (!tty.stream.isTTY) {
+		// print the message, then a heartbeat line at regular intervals
+		const startTime = Date.now();
+		tty.writeLine(msg);
+		return createRunLoop(function() {
+			tty.writeLine(`${msg} (${formatElapsedTime(startTime)} elapsed)`);
+		}, HEARTBEAT_INTERVAL);
+	}
 	const runloop = createRunLoop(function() {
 		tty.clearLine();
 		tty.writeLine(`${msg} ${spinner()}`);
@@ -842,8 +2161,12 @@ var runSpinner = function(tty, spinner, msg) {
 	return runloop;
 };
 
-var createRunLoop = function(tick) {
-	const timerId = setInterval(tick, 1000 / 10);
+/**
+ * @param {() => void} tick
+ * @param {number} [interval] Time between ticks (ms)
+ */
+var createRunLoop = function(tick, interval = 1000 / 10) {
+	const timerId = setInterval(tick, interval);
 	var runloop = {
 		onEnd() {
 			// noop
@@ -856,10 +2179,26 @@ var createRunLoop = function(tick) {
 	return runloop;
 };
 
+/**
+ * Create a progress display of service builds for the terminal, which can be
+ * shared by several buildProject() calls (`progressUI` option) so that the
+ * last status of every service stays on display between builds of some of
+ * the services, as in watch mode
+ * @param {string[]} serviceNames
+ * @returns {import('./compose-types').BuildProgressUI}
+ */
+export function createBuildProgressUI(serviceNames) {
+	const tty = require('./tty')(process.stdout);
+	return new BuildProgressUI(
+		tty,
+		serviceNames.map(serviceName => ({ serviceName })),
+	);
+}
+
 class BuildProgressUI {
 	constructor(tty, descriptors) {
 		this._handleEvent = this._handleEvent.bind(this);
-		this._handleInterrupt = this._handleInterrupt.bind(this);
+		this.cancel = this.cancel.bind(this);
 		this.start = this.start.bind(this);
 		this.end = this.end.bind(this);
 		this._display = this._display.bind(this);
@@ -899,6 +2238,7 @@ class BuildProgressUI {
 		this._maxLineWidth = null;
 		this._lineWidths = [];
 
+		this._activeServices = services;
 		this._startTime = null;
 		this._ended = false;
 		this._cancelled = false;
@@ -911,16 +2251,24 @@ class BuildProgressUI {
 		this._serviceToDataMap[service] = event;
 	}
 
-	_handleInterrupt() {
+	cancel() {
 		this._cancelled = true;
 		this.end();
-		return process.exit(130); // 128 + SIGINT
 	}
 
-	start() {
-		process.on('SIGINT', this._handleInterrupt);
+	/**
+	 * Start displaying the progress of the builds of the given services (by
+	 * default, all services). The display can be started again after it has
+	 * ended, for builds of some of the services, in which case the last
+	 * status of the other services is still displayed.
+	 * @param {string[]} [services]
+	 */
+	start(services = this._services) {
+		this._activeServices = services;
+		this._ended = false;
+		this._cancelled = false;
 		this._tty.hideCursor();
-		this._services.forEach(service => {
+		services.forEach(service => {
 			this.streams[service].write({ status: 'Preparing...' });
 		});
 		this._runloop = createRunLoop(this._display);
@@ -932,13 +2280,16 @@ class BuildProgressUI {
 			return;
 		}
 		this._ended = true;
-		process.removeListener('SIGINT', this._handleInterrupt);
 		this._runloop?.end();
 		this._runloop = null;
 
+		// keep the summary on display if the display is started again
+		for (const [service, status] of Object.entries(summary ?? {})) {
+			this._serviceToDataMap[service] = { status };
+		}
 		this._clear();
 		this._renderStatus(true);
-		this._renderSummary(summary ?? this._getServiceSummary());
+		this._renderSummary(this._getServiceSummary());
 		this._tty.showCursor();
 	}
 
@@ -994,7 +2345,7 @@ class BuildProgressUI {
 		if (end && this._cancelled) {
 			this._tty.writeLine('Build cancelled');
 		} else if (end) {
-			const serviceCount = this._services.length;
+			const serviceCount = this._activeServices.length;
 			const serviceStr =
 				serviceCount === 1 ? '1 service' : `${serviceCount} services`;
 			const durationStr =
@@ -1032,6 +2383,183 @@ class BuildProgressUI {
 	}
 }
 
+/**
+ * Format the time elapsed since the given time, e.g. '1m 05s'
+ * @param {number} startTime
+ */
+var formatElapsedTime = function(startTime) {
+	const seconds = Math.floor((Date.now() - startTime) / 1000);
+	const pad = n => `${n}`.padStart(2, '0');
+	if (seconds < 60) {
+		return `${seconds}s`;
+	}
+	if (seconds < 3600) {
+		return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+	}
+	return `${Math.floor(seconds / 3600)}h ${pad(
+		Math.floor((seconds % 3600) / 60),
+	)}m ${pad(seconds % 60)}s`;
+};
+
+/**
+ * Build progress renderer for output that is not a terminal (e.g. CI logs),
+ * used automatically instead of BuildProgressUI, whose cursor movements
+ * would garble the output. Prints a line when a service starts a new build
+ * step or changes status, and a heartbeat line at regular intervals with the
+ * elapsed time and the current step (or pull percentage) of each service, so
+ * that CI systems with inactivity timeouts do not stop long builds.
+ */
+export class BuildProgressLines {
+	/**
+	 * @param {NodeJS.WritableStream} outStream
+	 * @param {Array<{ serviceName: string }>} descriptors
+	 * @param {number} [heartbeatInterval] Time between heartbeat lines (ms)
+	 */
+	constructor(outStream, descriptors, heartbeatInterval = HEARTBEAT_INTERVAL) {
+		this.start = this.start.bind(this);
+		this.end = this.end.bind(this);
+		this.cancel = this.cancel.bind(this);
+		this.reportError = this.reportError.bind(this);
+		this._handleEvent = this._handleEvent.bind(this);
+		this._heartbeat = this._heartbeat.bind(this);
+		const _ = require('lodash');
+		const through = require('through2');
+
+		const services = _.map(descriptors, 'serviceName');
+		const eventHandler = this._handleEvent;
+		const streams = _(services)
+			.map(function(service) {
+				const stream = through.obj(function(event, _enc, cb) {
+					eventHandler(service, event);
+					return cb();
+				});
+				return [service, stream];
+			})
+			.fromPairs()
+			.value();
+
+		this._prefix = getChalk().blue('[Build]') + '   ';
+		this._serviceWidth = _.max(_.map(services, 'length'));
+		this._outStream = outStream;
+		this._services = services;
+		this._heartbeatInterval = heartbeatInterval;
+		this._serviceToDataMap = {};
+		this._timerId = null;
+		this._startTime = Date.now();
+		this._ended = false;
+		this._cancelled = false;
+		this._failedServices = new Set();
+
+		this.streams = streams;
+	}
+
+	start() {
+		this._startTime = Date.now();
+		this._writeLine('Building services...');
+		this._services.forEach(service => {
+			this.streams[service].write({ status: 'Preparing...' });
+		});
+		this._timerId = setInterval(this._heartbeat, this._heartbeatInterval);
+	}
+
+	cancel() {
+		this._cancelled = true;
+		this.end();
+	}
+
+	/** Record the failure of a service's build, reported by buildProject() */
+	reportError(service, _error) {
+		this._failedServices.add(service);
+	}
+
+	/**
+	 * Stop the heartbeats and print the outcome of the builds. The summary
+	 * (a status for each service) is only given when all builds succeeded, so
+	 * the builds are reported as failed without it.
+	 * @param {Dictionary<string> | null} [summary]
+	 */
+	end(summary = null) {
+		if (this._ended) {
+			return;
+		}
+		this._ended = true;
+		if (this._timerId != null) {
+			clearInterval(this._timerId);
+		}
+
+		if (summary != null) {
+			this._services.forEach(service => {
+				this._writeServiceLine(service, summary[service]);
+			});
+		}
+		const elapsed = formatElapsedTime(this._startTime);
+		if (this._cancelled) {
+			this._writeLine(`Build cancelled after ${elapsed}`);
+		} else if (this._failedServices.size > 0) {
+			this._writeLine(
+				`Build failed after ${elapsed}: ${[...this._failedServices].join(
+					', ',
+				)}`,
+			);
+		} else if (summary == null) {
+			this._writeLine(`Build failed after ${elapsed}`);
+		} else {
+			const serviceCount = this._services.length;
+			const serviceStr =
+				serviceCount === 1 ? '1 service' : `${serviceCount} services`;
+			this._writeLine(`Built ${serviceStr} in ${elapsed}`);
+		}
+	}
+
+	_handleEvent(service, event) {
+		const previous = this._serviceToDataMap[service] ?? {};
+		this._serviceToDataMap[service] = event;
+		const { status, step, progress, error } = event;
+		if (error) {
+			this._failedServices.add(service);
+			this._writeServiceLine(service, `${error}`);
+		} else if (step != null) {
+			// print build steps, but not the output of each step
+			if (step !== previous.step) {
+				this._writeServiceLine(service, status);
+			}
+		} else if (progress == null && status && status !== previous.status) {
+			// pull progress is reported by heartbeats only
+			this._writeServiceLine(service, status);
+		}
+	}
+
+	_heartbeat() {
+		const _ = require('lodash');
+		const states = this._services.map(service => {
+			const { status, step, totalSteps, progress } =
+				this._serviceToDataMap[service] ?? {};
+			if (step != null) {
+				return `${service} step ${step}/${totalSteps}`;
+			} else if (progress != null) {
+				return `${service} ${progress}%`;
+			}
+			return `${service} ${_.truncate(status ?? 'waiting', { length: 40 })}`;
+		});
+		this._writeLine(
+			`Still building (${formatElapsedTime(
+				this._startTime,
+			)} elapsed): ${states.join(', ')}`,
+		);
+	}
+
+	_writeServiceLine(service, str) {
+		const _ = require('lodash');
+		this._writeLine(
+			`${getChalk().bold(_.padEnd(service, this._serviceWidth))}  ${str}`,
+		);
+	}
+
+	_writeLine(str) {
+		this._outStream.write(`${this._prefix}${str}\n`);
+	}
+}
+
 class BuildProgressInline {
 	constructor(outStream, descriptors) {
 		this.start = this.start.bind(this);
@@ -1122,3 +2650,87 @@ class BuildProgressInline {
 		this._outStream.write('\n');
 	}
 }
+
+/**
+ * Build progress renderer that prints events as newline-delimited JSON
+ * objects (see `JsonEvent` in compose-types.d.ts) instead of human-readable
+ * text, for consumption by CI scripts and other tools.
+ */
+class BuildProgressJson {
+	constructor(outStream, descriptors) {
+		this.start = this.start.bind(this);
+		this.end = this.end.bind(this);
+		this.reportError = this.reportError.bind(this);
+		const _ = require('lodash');
+		const through = require('through2');
+
+		const services = _.map(descriptors, 'serviceName');
+		const emitEvent = jsonEventEmitter(outStream, 'build');
+		const streams = _(services)
+			.map(function(service) {
+				const stream = through.obj(function(event, _enc, cb) {
+					const { status, progress, step, totalSteps, error } = event;
+					emitEvent({
+						event: error ? 'error' : 'status',
+						service,
+						status,
+						progress,
+						step,
+						totalSteps,
+						error: error ? `${error}` : undefined,
+					});
+					return cb();
+				});
+				return [service, stream];
+			})
+			.fromPairs()
+			.value();
+
+		this._emitEvent = emitEvent;
+		this._services = services;
+		this._startTime = null;
+		this._ended = false;
+
+		this.streams = streams;
+	}
+
+	start() {
+		this._startTime = Date.now();
+		this._emitEvent({ event: 'start', services: this._services });
+	}
+
+	reportError(service, error) {
+		this._emitEvent({
+			event: 'error',
+			service,
+			error: error?.message || `${error}`,
+		});
+	}
+
+	end(_summary = null, images = null) {
+		if (this._ended) {
+			return;
+		}
+		this._ended = true;
+
+		for (const { serviceName, props } of images ?? []) {
+			this._emitEvent({
+				event: 'success',
+				service: serviceName,
+				imageSize: props.size,
+				startTime: props.startTime?.toISOString(),
+				endTime: props.endTime?.toISOString(),
+				durationMs:
+					props.startTime && props.endTime
+						? props.endTime - props.startTime
+						: undefined,
+			});
+		}
+		this._emitEvent({
+			event: 'end',
+			status: images != null ? 'success' : 'failed',
+			durationMs:
+				this._startTime == null ? undefined : Date.now() - this._startTime,
+		});
+	}
+}
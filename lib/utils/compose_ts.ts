@@ -38,6 +38,10 @@ export interface RegistrySecrets {
 }
 
 const compositionFileNames = ['docker-compose.yml', 'docker-compose.yaml'];
+const overrideFileNames = [
+	'docker-compose.override.yml',
+	'docker-compose.override.yaml',
+];
 
 /**
  * high-level function resolving a project and creating a composition out
@@ -52,8 +56,9 @@ export async function loadProject(
 ): Promise<import('./compose-types').ComposeProject> {
 	const compose = await import('resin-compose-parse');
 	const { createProject } = await import('./compose');
-	let composeName: string;
-	let composeStr: string;
+	let composeNames: string[];
+	let composeStr: string | string[];
+	let env: Dictionary<string | undefined> = {};
 
 	logger.logDebug('Loading project...');
 
@@ -62,13 +67,18 @@ export async function loadProject(
 		composeStr = compose.defaultComposition(image);
 	} else {
 		logger.logDebug('Resolving project...');
-		[composeName, composeStr] = await resolveProject(logger, opts.projectPath);
-		if (composeName) {
+		[composeNames, composeStr] = await resolveProject(
+			logger,
+			opts.projectPath,
+			opts.composeFiles,
+		);
+		if (composeNames.length) {
 			if (opts.dockerfilePath) {
 				logger.logWarn(
-					`Ignoring alternative dockerfile "${opts.dockerfilePath}" because composition file "${composeName}" exists`,
+					`Ignoring alternative dockerfile "${opts.dockerfilePath}" because composition file "${composeNames[0]}" exists`,
 				);
 			}
+			env = await loadComposeEnv(opts.projectPath);
 		} else {
 			logger.logInfo(
 				`Creating default composition with source: "${opts.projectPath}"`,
@@ -77,37 +87,98 @@ export async function loadProject(
 		}
 	}
 	logger.logDebug('Creating project...');
-	return createProject(opts.projectPath, composeStr, opts.projectName);
+	return createProject(opts.projectPath, composeStr, opts.projectName, env);
 }
 
 /**
- * Look into the given directory for valid compose files and return
- * the contents of the first one found.
+ * Return a copy of the given composition that only includes the named
+ * services, or the composition itself if no service names are given.
+ * @param serviceNames Service names, e.g. from the `--service` option
  */
-async function resolveProject(
+export function selectServices(
+	composition: Composition,
+	serviceNames?: string[],
+): Composition {
+	if (_.isEmpty(serviceNames)) {
+		return composition;
+	}
+	const unknown = _.difference(serviceNames, _.keys(composition.services));
+	if (unknown.length) {
+		throw new ExpectedError(stripIndent`
+			Service(s) not found in the composition: ${unknown.join(', ')}
+			Available services: ${_.keys(composition.services).join(', ')}`);
+	}
+	return {
+		...composition,
+		services: _.pick(composition.services, serviceNames!),
+	};
+}
+
+/**
+ * Look into the given directory for valid compose files and return their
+ * names and contents. If compose file names are given (`--compose-file`),
+ * those files must exist. Otherwise, the first default compose file found
+ * is used, followed by a 'docker-compose.override.yml' file if it exists.
+ */
+export async function resolveProject(
 	logger: Logger,
 	projectRoot: string,
-): Promise<[string, string]> {
-	let composeFileName = '';
-	let composeFileContents = '';
-	for (const fname of compositionFileNames) {
-		const fpath = path.join(projectRoot, fname);
-		if (await fs.exists(fpath)) {
-			logger.logDebug(`${fname} file found at "${projectRoot}"`);
-			composeFileName = fname;
-			try {
-				composeFileContents = await fs.readFile(fpath, 'utf-8');
-			} catch (err) {
-				logger.logError(`Error reading composition file "${fpath}":\n${err}`);
-				throw err;
+	composeFiles?: string[],
+): Promise<[string[], string[]]> {
+	const composeFileNames: string[] = [];
+	if (composeFiles?.length) {
+		for (const fname of composeFiles) {
+			if (!(await fs.exists(path.join(projectRoot, fname)))) {
+				throw new ExpectedError(
+					`Compose file "${fname}" not found in source folder "${projectRoot}"`,
+				);
+			}
+			composeFileNames.push(fname);
+		}
+	} else {
+		for (const fileNames of [compositionFileNames, overrideFileNames]) {
+			for (const fname of fileNames) {
+				if (await fs.exists(path.join(projectRoot, fname))) {
+					composeFileNames.push(fname);
+					break;
+				}
+			}
+			if (!composeFileNames.length) {
+				break;
 			}
-			break;
 		}
 	}
-	if (!composeFileName) {
+	if (!composeFileNames.length) {
 		logger.logInfo(`No "docker-compose.yml" file found at "${projectRoot}"`);
 	}
-	return [composeFileName, composeFileContents];
+	const composeFileContents: string[] = [];
+	for (const fname of composeFileNames) {
+		const fpath = path.join(projectRoot, fname);
+		logger.logDebug(`${fname} file found at "${projectRoot}"`);
+		try {
+			composeFileContents.push(await fs.readFile(fpath, 'utf-8'));
+		} catch (err) {
+			logger.logError(`Error reading composition file "${fpath}":\n${err}`);
+			throw err;
+		}
+	}
+	return [composeFileNames, composeFileContents];
+}
+
+/**
+ * Return the variables available for interpolation in compose files: those
+ * of the project's '.env' file (if any), overridden by the process
+ * environment, as with Docker Compose.
+ */
+async function loadComposeEnv(
+	projectRoot: string,
+): Promise<Dictionary<string | undefined>> {
+	const { parseDotEnv } = await import('./compose-config');
+	const envFile = path.join(projectRoot, '.env');
+	const dotEnv = (await fs.exists(envFile))
+		? parseDotEnv(await fs.readFile(envFile, 'utf-8'))
+		: {};
+	return { ...dotEnv, ...process.env };
 }
 
 /**
@@ -245,7 +316,12 @@ export async function makeBuildTasks(
 	projectName: string,
 	releaseHash: string = 'unavailable',
 ): Promise<MultiBuild.BuildTask[]> {
-	const buildTasks = await MultiBuild.splitBuildStream(composition, tarStream);
+	// splitBuildStream() does not listen to errors of the tar stream, such as
+	// a project file that tarDirectory() failed to read
+	const buildTasks = await Promise.race([
+		MultiBuild.splitBuildStream(composition, tarStream),
+		new Promise<never>((_resolve, reject) => tarStream.once('error', reject)),
+	]);
 
 	logger.logDebug('Found build tasks:');
 	_.each(buildTasks, task => {
@@ -322,6 +398,154 @@ async function performResolution(
 	});
 }
 
+/**
+ * Copy the entries of a tar stream into a new tar stream, renaming them or
+ * leaving them out. File contents are streamed rather than buffered.
+ * @param rename Function returning the new name of an entry, or undefined
+ * to leave the entry out
+ */
+export function filterTarStream(
+	tarStream: Readable,
+	rename: (name: string) => string | undefined,
+): Readable {
+	const extract = tar.extract();
+	const pack = tar.pack();
+	extract.on('entry', (header, stream, next) => {
+		const name = rename(header.name);
+		if (name == null) {
+			stream.on('end', () => next());
+			stream.resume();
+			return;
+		}
+		stream.on('error', next);
+		stream.pipe(pack.entry({ ...header, name }, next));
+	});
+	extract.on('finish', () => pack.finalize());
+	extract.on('error', err => pack.emit('error', err));
+	tarStream.on('error', err => pack.emit('error', err));
+	tarStream.pipe(extract);
+	return pack;
+}
+
+// Directories of the project's build metadata (e.g. '.balena/balena.yml' and
+// build secrets), which multibuild leaves out of the build contexts, except
+// for the QEMU binary
+const METADATA_DIRECTORIES = ['.balena/', '.resin/'];
+
+const isMetadataFile = (name: string) =>
+	METADATA_DIRECTORIES.some(
+		dir =>
+			MultiBuild.PathUtils.posixContains(dir, name) &&
+			path.posix.relative(dir, name) !== MultiBuild.QEMU_BIN_NAME,
+	);
+
+/**
+ * Whether multibuild may need a file of a build context (path relative to
+ * the context) to find the project type and Dockerfile of a service, or
+ * its container contract
+ */
+const isResolutionFile = (relPath: string, dockerfilePath?: string) => {
+	const name = path.posix.basename(relPath);
+	return (
+		relPath === dockerfilePath ||
+		name.startsWith('Dockerfile') ||
+		name.endsWith('.gyp') ||
+		['package.json', 'wscript', 'contract.yml', 'contract.yaml'].includes(name)
+	);
+};
+
+/**
+ * Like makeBuildTasks(), but only the project files that are needed to
+ * resolve the build tasks (the build metadata, Dockerfiles, package.json
+ * files and container contracts) are read from the tar stream of the
+ * project, as multibuild buffers the files in memory: the other entries are
+ * drained. The returned tasks have no build streams; makeTaskBuildStream()
+ * creates them, streaming the files of each build context.
+ */
+export async function resolveBuildTasks(
+	composition: Composition,
+	tarStream: Readable,
+	deviceInfo: DeviceInfo,
+	logger: Logger,
+	projectName: string,
+	releaseHash: string = 'unavailable',
+): Promise<MultiBuild.BuildTask[]> {
+	const compose = await import('resin-compose-parse');
+	const contexts = _.flatMap(compose.parse(composition), d =>
+		typeof d.image === 'string' || d.image.context == null
+			? []
+			: [
+					{
+						context: d.image.context,
+						dockerfilePath:
+							d.image.dockerfile && path.posix.normalize(d.image.dockerfile),
+					},
+			  ],
+	);
+	const resolutionStream = filterTarStream(tarStream, name =>
+		isMetadataFile(name) ||
+		contexts.some(
+			({ context, dockerfilePath }) =>
+				MultiBuild.PathUtils.posixContains(context, name) &&
+				isResolutionFile(path.posix.relative(context, name), dockerfilePath),
+		)
+			? name
+			: undefined,
+	);
+	const tasks = await makeBuildTasks(
+		composition,
+		resolutionStream,
+		deviceInfo,
+		logger,
+		projectName,
+		releaseHash,
+	);
+	for (const task of tasks) {
+		delete task.buildStream;
+	}
+	return tasks;
+}
+
+/**
+ * Create the build stream of a build task returned by resolveBuildTasks(),
+ * from a new tar stream of the project: the files of the task's build
+ * context, with the Dockerfile resolved again like makeBuildTasks() does
+ * (e.g. a Dockerfile.template processed for the device type). File contents
+ * are streamed rather than buffered; errors of the project tar stream are
+ * emitted by the returned stream.
+ * @param dockerfilePath The alternative Dockerfile of the service, if any,
+ * as specified in the composition (before resolution)
+ */
+export function makeTaskBuildStream(
+	task: MultiBuild.BuildTask,
+	tarStream: Readable,
+	dockerfilePath: string | undefined,
+	deviceInfo: DeviceInfo,
+	projectName: string,
+	releaseHash: string = 'unavailable',
+): Readable {
+	const context = task.context ?? '.';
+	const contextStream = filterTarStream(tarStream, name =>
+		MultiBuild.PathUtils.posixContains(context, name) && !isMetadataFile(name)
+			? path.posix.relative(context, name)
+			: undefined,
+	);
+	// resolve a copy of the task, as resolution overwrites fields like
+	// task.dockerfilePath
+	const { buildStream } = MultiBuild.performSingleResolution(
+		{ ...task, dockerfilePath, buildStream: contextStream as tar.Pack },
+		deviceInfo.arch,
+		deviceInfo.deviceType,
+		{},
+		{
+			BALENA_RELEASE_HASH: releaseHash,
+			BALENA_APP_NAME: projectName,
+		},
+	);
+	contextStream.on('error', err => buildStream!.emit('error', err));
+	return buildStream!;
+}
+
 /**
  * Enforce that, for example, if 'myProject/MyDockerfile.template' is specified
  * as an alternativate Dockerfile name, then 'myProject/MyDockerfile' must not
@@ -389,6 +613,7 @@ async function validateSpecifiedDockerfile(
 
 export interface ProjectValidationResult {
 	dockerfilePath: string;
+	projectConfig: import('./project-config').ProjectConfig;
 	registrySecrets: RegistrySecrets;
 }
 
@@ -398,12 +623,18 @@ export interface ProjectValidationResult {
  * Also validate registry secrets if any, and perform checks around an
  * alternative specified dockerfile (--dockerfile) if any.
  *
- * Return the parsed registry secrets if any, and the "tar stream path" for
- * an alternative specified Dockerfile if any (see validateSpecifiedDockerfile()).
+ * The project configuration (the 'defaults' and 'hooks' sections of the
+ * '.balena/balena.yml' file) is read too, and provides the Dockerfile and
+ * registry secrets file if the options are not specified.
+ *
+ * Return the parsed registry secrets if any, the "tar stream path" for
+ * an alternative specified Dockerfile if any (see validateSpecifiedDockerfile()),
+ * and the project configuration.
  */
 export async function validateProjectDirectory(
 	sdk: BalenaSDK,
 	opts: {
+		composeFiles?: string | string[];
 		dockerfilePath?: string;
 		noParentCheck: boolean;
 		projectPath: string;
@@ -419,8 +650,22 @@ export async function validateProjectDirectory(
 		);
 	}
 
+	const { parseProjectConfig } = await import('./project-config');
+	const projectConfig = parseProjectConfig(
+		...(await loadBuildMetatada(opts.projectPath)),
+	);
+	opts = {
+		...opts,
+		dockerfilePath: opts.dockerfilePath || projectConfig.dockerfile,
+		registrySecretsPath:
+			opts.registrySecretsPath ??
+			(projectConfig.registrySecrets &&
+				path.resolve(opts.projectPath, projectConfig.registrySecrets)),
+	};
+
 	const result: ProjectValidationResult = {
 		dockerfilePath: opts.dockerfilePath || '',
+		projectConfig,
 		registrySecrets: {},
 	};
 
@@ -429,6 +674,14 @@ export async function validateProjectDirectory(
 			opts.projectPath,
 			opts.dockerfilePath,
 		);
+	} else if (opts.composeFiles != null) {
+		for (const fname of _.castArray(opts.composeFiles)) {
+			if (!(await fs.exists(path.join(opts.projectPath, fname)))) {
+				throw new ExpectedError(
+					`Compose file "${fname}" not found in source folder "${opts.projectPath}"`,
+				);
+			}
+		}
 	} else {
 		const files = await fs.readdir(opts.projectPath);
 		const projectMatch = (file: string) =>
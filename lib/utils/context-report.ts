@@ -0,0 +1,127 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+import * as path from 'path';
+import * as MultiBuild from 'resin-multibuild';
+
+import { ComposeProject, ContextItem } from './compose-types';
+
+const { toPosixPath } = MultiBuild.PathUtils;
+
+export interface ContextReportOptions {
+	emptyDirs?: boolean;
+	preserveSymlinks?: boolean;
+}
+
+function formatSize(size: number): string {
+	const humanize = require('humanize');
+	return humanize.filesize(size);
+}
+
+const plural = (count: number, noun: string) =>
+	`${count} ${noun}${count === 1 ? '' : 's'}`;
+
+function formatTotals(items: ContextItem[], ignoredCount: number): string {
+	const files = items.filter(item => !item.stats.isDirectory());
+	const size = _.sumBy(files, item => (item.linkname ? 0 : item.stats.size));
+	return `${plural(files.length, 'file')}, ${formatSize(size)} (${plural(
+		ignoredCount,
+		'file',
+	)} ignored)`;
+}
+
+// `ignoredBy` is null for ignored files whose ignore file line is unknown
+const isIgnored = (item: ContextItem) => item.ignoredBy !== undefined;
+
+/**
+ * Describe the build context of each service of a project without building
+ * it (the `--dry-run` option of the build command): the files that would be
+ * sent to the Docker daemon with their sizes, and the files excluded by
+ * .dockerignore or .gitignore files together with the line that excludes
+ * them, followed by the total size of the build context. For example:
+ *   Service 'api', build context 'api':
+ *          1.17 KB  api/Dockerfile
+ *          ignored  api/debug.log (.dockerignore:2 '*.log')
+ *     1 file, 1.17 KB (1 file ignored)
+ * @param project The project, as returned by `loadProject()`
+ * @param serviceNames The names of the services to describe
+ */
+export async function makeContextReport(
+	project: ComposeProject,
+	serviceNames: string[],
+	opts: ContextReportOptions = {},
+): Promise<string> {
+	const { getContextItems } = await import('./compose');
+	const allItems: ContextItem[] = _.sortBy(
+		await getContextItems(project.path, { ...opts, withIgnored: true }),
+		item => item.path,
+	);
+	const relPath = (p: string) => toPosixPath(path.relative(project.path, p));
+	const [ignored, included] = _.partition(allItems, isIgnored);
+	const lines: string[] = [];
+
+	for (const descriptor of project.descriptors) {
+		if (!serviceNames.includes(descriptor.serviceName)) {
+			continue;
+		}
+		if (typeof descriptor.image === 'string') {
+			lines.push(
+				`Service '${descriptor.serviceName}': image '${descriptor.image}' (no build context)`,
+				'',
+			);
+			continue;
+		}
+		const context = relPath(
+			path.resolve(project.path, descriptor.image.context),
+		);
+		const inContext = (item: ContextItem) =>
+			context === '' || `${relPath(item.path)}/`.startsWith(`${context}/`);
+		lines.push(
+			`Service '${descriptor.serviceName}', build context '${context || '.'}':`,
+		);
+		for (const item of allItems.filter(inContext)) {
+			let name = relPath(item.path);
+			let column = formatSize(item.stats.size);
+			if (isIgnored(item)) {
+				column = 'ignored';
+				if (item.ignoredBy) {
+					const { filePath, lineNumber, pattern } = item.ignoredBy;
+					name += ` (${relPath(filePath)}:${lineNumber} '${pattern}')`;
+				}
+			} else if (item.linkname) {
+				column = formatSize(0);
+				name += ` -> ${item.linkname}`;
+			} else if (item.stats.isDirectory()) {
+				column = formatSize(0);
+				name += '/';
+			}
+			lines.push(`${_.padStart(column, 12)}  ${name}`);
+		}
+		lines.push(
+			`  ${formatTotals(
+				included.filter(inContext),
+				ignored.filter(inContext).length,
+			)}`,
+			'',
+		);
+	}
+	lines.push(
+		`Total build context size: ${formatTotals(included, ignored.length)}`,
+	);
+	return lines.join('\n');
+}
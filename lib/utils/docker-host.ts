@@ -0,0 +1,346 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as crypto from 'crypto';
+import { fs } from 'mz';
+import * as net from 'net';
+import * as os from 'os';
+import * as path from 'path';
+import { URL } from 'url';
+
+import { ExpectedError } from '../errors';
+
+const DEFAULT_SOCKET_PATH = '/var/run/docker.sock';
+
+/** Connection options of the docker-modem module */
+export interface DockerConnectOpts {
+	socketPath?: string;
+	host?: string;
+	port?: number;
+	protocol?: 'http' | 'https';
+	ca?: string;
+	cert?: string;
+	key?: string;
+}
+
+/** Remote Docker daemon socket reached over SSH, e.g. ssh://user@host:22 */
+export interface SshTarget {
+	user?: string;
+	host: string;
+	port?: number;
+	// socket path on the remote host
+	socketPath: string;
+}
+
+/**
+ * A Docker daemon address in the format of the DOCKER_HOST env var and the
+ * docker CLI `--host` option: 'unix:///path', 'npipe:////./pipe/name',
+ * 'tcp://host:port' or 'ssh://[user@]host[:port][/socket-path]'
+ */
+export type DockerHost =
+	| { socketPath: string }
+	| { host: string; port?: number }
+	| { ssh: SshTarget };
+
+/** Parse a Docker daemon address like the value of the DOCKER_HOST env var */
+export function parseDockerHost(dockerHost: string): DockerHost {
+	const fail = () => {
+		throw new ExpectedError(
+			`Invalid Docker host "${dockerHost}" (expected e.g. unix:///var/run/docker.sock, tcp://host:2376 or ssh://user@host)`,
+		);
+	};
+	const match = /^([a-z]+):\/\/(.*)$/.exec(dockerHost);
+	if (!match) {
+		return fail();
+	}
+	const [, scheme, address] = match;
+	if (scheme === 'unix' || scheme === 'npipe') {
+		return { socketPath: address || DEFAULT_SOCKET_PATH };
+	}
+	if (scheme !== 'tcp' && scheme !== 'ssh') {
+		return fail();
+	}
+	let url: URL;
+	try {
+		url = new URL(dockerHost);
+	} catch (err) {
+		return fail();
+	}
+	const port = url.port ? parseInt(url.port, 10) : undefined;
+	if (!url.hostname) {
+		return fail();
+	}
+	if (scheme === 'tcp') {
+		return { host: url.hostname, port };
+	}
+	return {
+		ssh: {
+			user: url.username ? decodeURIComponent(url.username) : undefined,
+			host: url.hostname,
+			port,
+			socketPath:
+				url.pathname && url.pathname !== '/'
+					? decodeURIComponent(url.pathname)
+					: DEFAULT_SOCKET_PATH,
+		},
+	};
+}
+
+/** The directory of the docker CLI configuration, e.g. '~/.docker' */
+const getDockerConfigDir = (env: NodeJS.ProcessEnv) =>
+	env.DOCKER_CONFIG || path.join(os.homedir(), '.docker');
+
+const readFileIfExists = async (filePath: string) => {
+	try {
+		return await fs.readFile(filePath, 'utf8');
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			return;
+		}
+		throw err;
+	}
+};
+
+/**
+ * Read the 'ca.pem', 'cert.pem' and 'key.pem' files of a directory, those
+ * that exist.
+ */
+async function readTlsFiles(
+	dir: string,
+): Promise<Pick<DockerConnectOpts, 'ca' | 'cert' | 'key'>> {
+	const [ca, cert, key] = await Promise.all(
+		['ca.pem', 'cert.pem', 'key.pem'].map(name =>
+			readFileIfExists(path.join(dir, name)),
+		),
+	);
+	return { ca, cert, key };
+}
+
+/**
+ * TLS options for a TCP connection from the DOCKER_TLS_VERIFY and
+ * DOCKER_CERT_PATH env vars, like the docker CLI: if DOCKER_TLS_VERIFY is
+ * set, connect over TLS with the certificates of the DOCKER_CERT_PATH
+ * directory (default '~/.docker').
+ */
+export async function getEnvTlsOpts(
+	env: NodeJS.ProcessEnv = process.env,
+): Promise<DockerConnectOpts> {
+	if (!env.DOCKER_TLS_VERIFY) {
+		return {};
+	}
+	const certPath = env.DOCKER_CERT_PATH || getDockerConfigDir(env);
+	const tlsOpts = await readTlsFiles(certPath);
+	if (!tlsOpts.ca || !tlsOpts.cert || !tlsOpts.key) {
+		throw new ExpectedError(
+			`DOCKER_TLS_VERIFY is set, but the "${certPath}" folder does not contain the ca.pem, cert.pem and key.pem files`,
+		);
+	}
+	return { protocol: 'https', ...tlsOpts };
+}
+
+/**
+ * The Docker daemon address and TLS files of the current Docker context,
+ * i.e. the context named by the DOCKER_CONTEXT env var or else selected with
+ * `docker context use`, as stored by the docker CLI in '~/.docker/contexts'.
+ * @returns undefined for the 'default' context, which uses the DOCKER_HOST
+ * env var or the local Docker socket
+ */
+export async function getDockerContext(
+	env: NodeJS.ProcessEnv = process.env,
+): Promise<{ name: string; host: string; tls: DockerConnectOpts } | undefined> {
+	const configDir = getDockerConfigDir(env);
+	let name = env.DOCKER_CONTEXT;
+	if (!name) {
+		const configFile = path.join(configDir, 'config.json');
+		const config = await readFileIfExists(configFile);
+		try {
+			name = config ? JSON.parse(config).currentContext : undefined;
+		} catch (err) {
+			throw new ExpectedError(
+				`Error parsing docker CLI configuration file "${configFile}": ${err.message}`,
+			);
+		}
+	}
+	if (!name || name === 'default') {
+		return;
+	}
+	// the docker CLI stores contexts in directories named after the SHA-256
+	// hash of their names
+	const id = crypto
+		.createHash('sha256')
+		.update(name)
+		.digest('hex');
+	const metaFile = path.join(configDir, 'contexts', 'meta', id, 'meta.json');
+	const meta = await readFileIfExists(metaFile);
+	if (meta == null) {
+		throw new ExpectedError(
+			`Docker context "${name}" not found (no "${metaFile}" file)`,
+		);
+	}
+	let host: string | undefined;
+	try {
+		host = JSON.parse(meta).Endpoints?.docker?.Host;
+	} catch (err) {
+		throw new ExpectedError(
+			`Error parsing Docker context file "${metaFile}": ${err.message}`,
+		);
+	}
+	if (!host) {
+		throw new ExpectedError(`Docker context "${name}" has no Docker endpoint`);
+	}
+	const tls = await readTlsFiles(
+		path.join(configDir, 'contexts', 'tls', id, 'docker'),
+	);
+	return {
+		name,
+		host,
+		tls: tls.ca || tls.cert ? { protocol: 'https', ...tls } : {},
+	};
+}
+
+// Time to wait for the SSH connection of a tunnel to be established (ms)
+const SSH_TUNNEL_TIMEOUT = 60000;
+
+const canConnect = (socketPath: string) =>
+	new Promise<boolean>(resolve => {
+		const socket = net.connect(socketPath);
+		socket.on('connect', () => {
+			socket.destroy();
+			resolve(true);
+		});
+		socket.on('error', () => resolve(false));
+	});
+
+/**
+ * Forward a local Unix socket to the Docker daemon socket of a remote host
+ * with the ssh command (`ssh -L`), which uses the SSH configuration, keys and
+ * agent of the user and may prompt for a password. The local socket is
+ * created in a new temporary directory that only the user can access, so
+ * that other local users cannot reach the remote daemon. The tunnel is
+ * closed, and the directory removed, when the CLI exits.
+ * @returns The connection options of the local end of the tunnel
+ */
+export async function openSshTunnel(
+	target: SshTarget,
+): Promise<DockerConnectOpts> {
+	const { spawn } = await import('child_process');
+	const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'balena-docker-'));
+	const socketPath = path.join(tmpDir, 'docker.sock');
+	const args = [
+		'-N',
+		'-o',
+		'ExitOnForwardFailure=yes',
+		'-L',
+		`${socketPath}:${target.socketPath}`,
+		...(target.user ? ['-l', target.user] : []),
+		...(target.port ? ['-p', `${target.port}`] : []),
+		'--',
+		target.host,
+	];
+	const ssh = spawn('ssh', args, { stdio: ['ignore', 'ignore', 'inherit'] });
+	let exited: Error | undefined;
+	ssh.on('error', err => {
+		exited =
+			(err as any).code === 'ENOENT'
+				? new ExpectedError(
+						'The ssh command was not found (required by ssh:// Docker hosts)',
+				  )
+				: err;
+	});
+	ssh.on('exit', code => {
+		exited =
+			exited ||
+			new ExpectedError(
+				`The SSH tunnel to the Docker daemon of "${target.host}" failed (ssh exit code ${code})`,
+			);
+	});
+	const close = () => {
+		ssh.kill();
+		try {
+			fs.unlinkSync(socketPath);
+		} catch {
+			// the socket was not created, or ssh removed it
+		}
+		try {
+			fs.rmdirSync(tmpDir);
+		} catch {
+			// e.g. the socket could not be removed
+		}
+	};
+	process.once('exit', close);
+	// don't keep the CLI running because of the tunnel
+	ssh.unref();
+
+	// the socket is forwarded once the SSH connection is established
+	const deadline = Date.now() + SSH_TUNNEL_TIMEOUT;
+	while (!(await canConnect(socketPath))) {
+		if (!exited && Date.now() > deadline) {
+			exited = new ExpectedError(
+				`Timed out waiting for the SSH tunnel to the Docker daemon of "${target.host}"`,
+			);
+		}
+		if (exited) {
+			process.removeListener('exit', close);
+			close();
+			throw exited;
+		}
+		await new Promise(resolve => setTimeout(resolve, 200));
+	}
+	return { socketPath };
+}
+
+/**
+ * Return the connection options for a Docker daemon address like the value
+ * of the DOCKER_HOST env var, opening an SSH tunnel for ssh:// addresses.
+ * @param tls TLS options for tcp:// addresses
+ */
+export async function connectToDockerHost(
+	dockerHost: string,
+	tls: DockerConnectOpts = {},
+): Promise<DockerConnectOpts> {
+	const parsed = parseDockerHost(dockerHost);
+	if ('ssh' in parsed) {
+		return openSshTunnel(parsed.ssh);
+	}
+	if ('socketPath' in parsed) {
+		return parsed;
+	}
+	return {
+		host: parsed.host,
+		port: parsed.port || (tls.protocol === 'https' ? 2376 : 2375),
+		...tls,
+	};
+}
+
+/**
+ * Return the connection options for the Docker daemon that the docker CLI
+ * would use without a `--host` option: the daemon of the DOCKER_HOST env var
+ * (with the TLS settings of the DOCKER_TLS_VERIFY and DOCKER_CERT_PATH env
+ * vars), or else of the current Docker context.
+ * @returns undefined if neither is set, for the local Docker socket
+ */
+export async function getDefaultDockerConnectOpts(
+	env: NodeJS.ProcessEnv = process.env,
+): Promise<DockerConnectOpts | undefined> {
+	if (env.DOCKER_HOST) {
+		return connectToDockerHost(env.DOCKER_HOST, await getEnvTlsOpts(env));
+	}
+	const context = await getDockerContext(env);
+	if (context) {
+		return connectToDockerHost(context.host, context.tls);
+	}
+}
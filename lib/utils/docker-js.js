@@ -37,8 +37,13 @@ export const appendConnectionOptions = opts =>
 		{
 			signature: 'dockerHost',
 			parameter: 'dockerHost',
-			description:
-				'Docker daemon hostname or IP address (dev machine or balena device) ',
+			description: `\
+Docker daemon hostname or IP address (dev machine or balena device), or an \
+'ssh://[user@]host[:port][/socket-path]' URL to connect to the docker socket of \
+a remote host through an SSH tunnel. Without the --docker and --dockerHost \
+options, the DOCKER_HOST, DOCKER_TLS_VERIFY and DOCKER_CERT_PATH env vars or \
+the current docker context (DOCKER_CONTEXT env var or 'docker context use') \
+are used, like the docker CLI`,
 			alias: 'h',
 		},
 		{
@@ -82,10 +87,22 @@ export function appendOptions(opts) {
 		{
 			signature: 'buildArg',
 			parameter: 'arg',
-			description:
-				'Set a build-time variable (eg. "-B \'ARG=value\'"). Can be specified multiple times.',
+			description: `\
+Set a build-time variable (eg. "-B 'ARG=value'"), for all services or, \
+prefixed with a service name, for a single service (eg. "-B 'api:ARG=value'"). \
+Can be specified multiple times. Takes precedence over --build-arg-file files \
+and the build args of the composition.`,
 			alias: 'B',
 		},
+		{
+			signature: 'build-arg-file',
+			parameter: 'file',
+			description: `\
+Read build-time variables from a file with one 'ARG=value' or \
+'service:ARG=value' pair per line. Can be specified multiple times (later \
+files take precedence). Takes precedence over the build args of the \
+composition.`,
+		},
 		{
 			signature: 'cache-from',
 			parameter: 'image-list',
@@ -95,7 +112,8 @@ Implements the same feature as the "docker build --cache-from" option.`,
 		},
 		{
 			signature: 'nocache',
-			description: "Don't use docker layer caching when building",
+			description:
+				"Don't use docker layer caching when building, and rebuild services even if their build inputs are unchanged",
 			boolean: true,
 		},
 		{
@@ -106,35 +124,53 @@ Implements the same feature as the "docker build --cache-from" option.`,
 	]);
 }
 
-const generateConnectOpts = function(opts) {
+/**
+ * Return the connection options of the Docker daemon selected by the given
+ * command-line options, or else by the DOCKER_HOST, DOCKER_TLS_VERIFY and
+ * DOCKER_CERT_PATH env vars or the current docker context
+ */
+export const generateConnectOpts = function(opts) {
 	const fs = require('mz/fs');
+	const {
+		connectToDockerHost,
+		getDefaultDockerConnectOpts,
+	} = require('./docker-host');
 
 	return Promise.try(function() {
-		const connectOpts = {};
 		// Firsly need to decide between a local docker socket
 		// and a host available over a host:port combo
 		if (opts.docker != null && opts.dockerHost == null) {
 			// good, local docker socket
-			connectOpts.socketPath = opts.docker;
+			return { socketPath: opts.docker };
 		} else if (opts.dockerHost != null && opts.docker == null) {
 			// Good a host is provided, and local socket isn't
-			connectOpts.host = opts.dockerHost;
-			connectOpts.port = opts.dockerPort || 2376;
+			if (opts.dockerHost.startsWith('ssh://')) {
+				// tunnel to the remote docker socket
+				return connectToDockerHost(opts.dockerHost);
+			}
+			return {
+				host: opts.dockerHost,
+				port: opts.dockerPort || 2376,
+			};
 		} else if (opts.docker != null && opts.dockerHost != null) {
 			// Both provided, no obvious way to continue
 			throw new Error(
 				"Both a local docker socket and docker host have been provided. Don't know how to continue.",
 			);
-		} else {
-			// Use docker-modem defaults which take the DOCKER_HOST env var into account
+		}
+		// Like the docker CLI, use the DOCKER_HOST env var or the current
+		// docker context (DOCKER_CONTEXT env var or ~/.docker/contexts)
+		return getDefaultDockerConnectOpts().then(function(connectOpts) {
+			if (connectOpts != null) {
+				return connectOpts;
+			}
+			// Use docker-modem defaults for the local docker socket
 			// https://github.com/apocas/docker-modem/blob/v2.0.2/lib/modem.js#L16-L65
 			const Modem = require('docker-modem');
 			const defaultOpts = new Modem();
-			for (let opt of ['host', 'port', 'socketPath']) {
-				connectOpts[opt] = defaultOpts[opt];
-			}
-		}
-
+			return _.pick(defaultOpts, ['host', 'port', 'socketPath']);
+		});
+	}).then(function(connectOpts) {
 		// Now need to check if the user wants to connect over TLS
 		// to the host
 
@@ -161,23 +197,6 @@ const generateConnectOpts = function(opts) {
 	});
 };
 
-const parseBuildArgs = function(args) {
-	if (!Array.isArray(args)) {
-		args = [args];
-	}
-	const buildArgs = {};
-	args.forEach(function(arg) {
-		// note: [^] matches any character, including line breaks
-		const pair = /^([^\s]+?)=([^]*)$/.exec(arg);
-		if (pair != null) {
-			buildArgs[pair[1]] = pair[2] ?? '';
-		} else {
-			throw new Error(`Could not parse build argument: '${arg}'`);
-		}
-	});
-	return buildArgs;
-};
-
 export function generateBuildOpts(options) {
 	const opts = {};
 	if (options.tag != null) {
@@ -192,9 +211,6 @@ export function generateBuildOpts(options) {
 	if (options.squash != null) {
 		opts.squash = true;
 	}
-	if (options.buildArg != null) {
-		opts.buildargs = parseBuildArgs(options.buildArg);
-	}
 	if (!_.isEmpty(options['registry-secrets'])) {
 		opts.registryconfig = options['registry-secrets'];
 	}
@@ -244,11 +260,8 @@ const getDockerToolbelt = _.once(function() {
 //    **New code must not use the *Async methods.**
 //
 /**
- * @param {{
- * 	host: string;
- * 	port: number;
+ * @param {import('./docker-host').DockerConnectOpts & {
  * 	timeout?: number;
- * 	socketPath?: string
  * }} opts
  * @returns {import('docker-toolbelt')}
  */
@@ -0,0 +1,198 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+
+// Template variables as substituted by the 'dockerfile-template' module
+const TEMPLATE_VAR_REGEX = /%%[A-Z][A-Z_]+%%/;
+const STEP_REGEX = /^\s*Step\s+(\d+)\/(\d+)\s*: (.+)$/;
+
+// Number of lines shown before and after the failing instruction
+const CODE_FRAME_CONTEXT_LINES = 2;
+// Number of build log lines shown when a build fails
+const FAILURE_LOG_LINES = 20;
+
+/**
+ * Return the first and last line numbers (1-based) of each instruction of a
+ * Dockerfile, in order, so that "Step N/M" of a docker build can be traced
+ * back to the Dockerfile. Blank lines and comments are skipped, including
+ * within instructions continued over several lines with the escape character
+ * ('\' or the character set with the `# escape=` parser directive).
+ */
+export function getInstructionLines(
+	dockerfile: string,
+): Array<[number, number]> {
+	const lines = dockerfile.split(/\r?\n/);
+	let escapeChar = '\\';
+	for (const line of lines) {
+		const directive = /^#\s*([a-zA-Z]+)\s*=\s*(\S+)\s*$/.exec(line);
+		if (directive == null) {
+			break;
+		}
+		if (directive[1].toLowerCase() === 'escape') {
+			escapeChar = directive[2];
+		}
+	}
+	const instructions: Array<[number, number]> = [];
+	let start: number | undefined;
+	let end = 0;
+	lines.forEach((line, i) => {
+		const trimmed = line.trim();
+		if (trimmed === '' || trimmed.startsWith('#')) {
+			return;
+		}
+		start = start ?? i + 1;
+		end = i + 1;
+		if (!trimmed.endsWith(escapeChar)) {
+			instructions.push([start, end]);
+			start = undefined;
+		}
+	});
+	if (start != null) {
+		instructions.push([start, end]);
+	}
+	return instructions;
+}
+
+/**
+ * Map the lines of a Dockerfile resolved from a Dockerfile.template back to
+ * the template. Variables like %%BALENA_MACHINE_NAME%% are substituted line
+ * by line, but a substituted value may span several lines, so the template
+ * lines are matched against the resolved Dockerfile in order.
+ * @returns An array whose i-th element is the template line number (1-based)
+ * of the line i+1 of the resolved Dockerfile
+ */
+export function makeSourceMap(template: string, resolved: string): number[] {
+	const sourceMap: number[] = [];
+	let pos = 0;
+	template.split('\n').forEach((line, i) => {
+		let match: RegExpExecArray | null = null;
+		// comment lines are not processed by 'dockerfile-template'
+		if (!line.startsWith('#') && TEMPLATE_VAR_REGEX.test(line)) {
+			const regex = new RegExp(
+				line
+					.split(new RegExp(TEMPLATE_VAR_REGEX, 'g'))
+					.map(_.escapeRegExp)
+					.join('[\\s\\S]*?') + '(?:\\n|$)',
+				'y',
+			);
+			regex.lastIndex = pos;
+			match = regex.exec(resolved);
+		}
+		let text: string;
+		if (match != null) {
+			text = match[0];
+		} else {
+			const eol = resolved.indexOf('\n', pos);
+			text = eol < 0 ? resolved.slice(pos) : resolved.slice(pos, eol + 1);
+		}
+		pos += text.length;
+		const lineCount = text.replace(/\n$/, '').split('\n').length;
+		for (let j = 0; j < lineCount; j++) {
+			sourceMap.push(i + 1);
+		}
+	});
+	return sourceMap;
+}
+
+/**
+ * Format the lines around lines `start` to `end` (1-based) of a file, with
+ * line numbers and those lines marked with '>', for example:
+ *     4 | RUN install_packages curl
+ *   > 5 | RUN make \
+ *   > 6 |     all
+ *     7 | COPY . .
+ */
+export function formatCodeFrame(
+	contents: string,
+	start: number,
+	end: number,
+	contextLines = CODE_FRAME_CONTEXT_LINES,
+): string {
+	const lines = contents.split(/\r?\n/);
+	const first = Math.max(1, start - contextLines);
+	const last = Math.min(lines.length, end + contextLines);
+	const width = String(last).length;
+	return _.range(first, last + 1)
+		.map(n => {
+			const marker = n >= start && n <= end ? '>' : ' ';
+			const line = lines[n - 1];
+			return `  ${marker} ${_.padStart(String(n), width)} |${
+				line ? ` ${line}` : ''
+			}`;
+		})
+		.join('\n');
+}
+
+export interface BuildFailureInfo {
+	serviceName: string;
+	// the Dockerfile after template resolution, as built
+	dockerfile?: string;
+	// path of the Dockerfile or Dockerfile.template shown to the user
+	dockerfilePath?: string;
+	// contents of the Dockerfile.template, if the project type is a template
+	template?: string;
+	// captured build log of the service
+	logBuffer: string[];
+}
+
+/**
+ * Describe a failed service build: the failing instruction, i.e. the last
+ * "Step N/M" of the build log, shown in a code frame of the Dockerfile.template
+ * (or Dockerfile) it originates from, followed by the end of the build log.
+ */
+export function formatBuildFailure(info: BuildFailureInfo): string {
+	const logLines = _.flatMap(info.logBuffer, line =>
+		`${line}`.replace(/\s+$/, '').split('\n'),
+	);
+	const lines: string[] = [];
+	const stepLine = _.findLast(logLines, line => STEP_REGEX.test(line));
+	const step = stepLine && STEP_REGEX.exec(stepLine);
+	if (step && info.dockerfile != null) {
+		const [, stepNumber, stepCount] = step;
+		const instruction = getInstructionLines(info.dockerfile)[
+			parseInt(stepNumber, 10) - 1
+		];
+		if (instruction != null) {
+			let [start, end] = instruction;
+			let source = info.dockerfile;
+			if (info.template != null) {
+				const sourceMap = makeSourceMap(info.template, info.dockerfile);
+				start = sourceMap[start - 1] ?? start;
+				end = sourceMap[end - 1] ?? end;
+				source = info.template;
+			}
+			const location = info.dockerfilePath
+				? ` (${info.dockerfilePath} line ${start})`
+				: '';
+			lines.push(
+				`Build failed for service '${info.serviceName}' at step ${stepNumber}/${stepCount}${location}:`,
+				formatCodeFrame(source, start, end),
+			);
+		}
+	}
+	if (lines.length === 0) {
+		lines.push(`Build failed for service '${info.serviceName}'`);
+	}
+	if (logLines.length > 0) {
+		lines.push(
+			`Last lines of the build log of service '${info.serviceName}':`,
+			...logLines.slice(-FAILURE_LOG_LINES).map(line => `  ${line}`),
+		);
+	}
+	return lines.join('\n');
+}
@@ -21,7 +21,7 @@ import Logger = require('./logger');
 const globalLogger = Logger.getLogger();
 
 // Define file size threshold (bytes) over which analysis/conversion is not performed.
-const LARGE_FILE_THRESHOLD = 10 * 1000 * 1000;
+export const LARGE_FILE_THRESHOLD = 10 * 1000 * 1000;
 
 // Note that `convertEolInPlace()` only works with UTF-8 or single-byte encodings
 const CONVERTIBLE_ENCODINGS = ['ascii', 'utf-8'];
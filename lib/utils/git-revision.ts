@@ -0,0 +1,222 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as Bluebird from 'bluebird';
+import { execFile, spawn } from 'child_process';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+import { Readable } from 'stream';
+
+import { ExpectedError } from '../errors';
+import Logger = require('./logger');
+
+// Label of the images built from a git revision (`--git-ref` option), with
+// the SHA of the commit
+export const GIT_COMMIT_LABEL = 'io.balena.cli.git-commit';
+
+/** A git revision of a project, exported to a temporary directory */
+export interface GitCheckout {
+	// SHA of the commit
+	commit: string;
+	// path of the temporary directory
+	path: string;
+	// name of the project directory, the default project name
+	projectName: string;
+	remove(): Promise<void>;
+}
+
+/** Run a git command and return its output, without the trailing newline */
+function git(cwd: string, args: string[]): Promise<string> {
+	return new Promise((resolve, reject) => {
+		execFile('git', args, { cwd }, (err, stdout, stderr) => {
+			if (err) {
+				if ((err as any).code === 'ENOENT') {
+					reject(
+						new ExpectedError(
+							'The git command was not found (required by the --git-ref option)',
+						),
+					);
+				} else {
+					reject(new Error(`${stderr}`.trim() || err.message));
+				}
+			} else {
+				resolve(`${stdout}`.replace(/\n$/, ''));
+			}
+		});
+	});
+}
+
+/**
+ * Find the commit SHA of a git revision (e.g. a commit, tag or branch name)
+ * of the repository that contains the project directory, and the path of
+ * the project directory relative to the root of the repository.
+ */
+export async function resolveGitRef(
+	projectPath: string,
+	ref: string,
+): Promise<{ commit: string; prefix: string }> {
+	// git would read the revision as an option
+	if (ref.startsWith('-')) {
+		throw new ExpectedError(
+			`Invalid git revision '${ref}': must not start with '-'`,
+		);
+	}
+	let prefix: string;
+	try {
+		prefix = await git(projectPath, ['rev-parse', '--show-prefix']);
+	} catch (err) {
+		if (err instanceof ExpectedError) {
+			throw err;
+		}
+		throw new ExpectedError(
+			`Source folder "${projectPath}" is not in a git repository (required by the --git-ref option)`,
+		);
+	}
+	try {
+		const commit = await git(projectPath, [
+			'rev-parse',
+			'--verify',
+			'--quiet',
+			`${ref}^{commit}`,
+		]);
+		return { commit, prefix };
+	} catch (err) {
+		throw new ExpectedError(
+			`Could not find git revision '${ref}' in the repository of "${projectPath}"`,
+		);
+	}
+}
+
+/**
+ * Extract the files, directories and symbolic links of a tar stream into a
+ * directory
+ */
+export async function extractTar(
+	tarStream: Readable,
+	destDir: string,
+): Promise<void> {
+	const tar = await import('tar-stream');
+	const mkdirp = Bluebird.promisify<string, string>(require('mkdirp'));
+	const extract = tar.extract();
+	await new Promise((resolve, reject) => {
+		extract.on('entry', async (header, stream, next) => {
+			try {
+				const target = path.join(destDir, path.normalize(header.name));
+				if (!target.startsWith(destDir + path.sep)) {
+					throw new Error(`Invalid path in archive: '${header.name}'`);
+				}
+				if (header.type === 'directory') {
+					await mkdirp(target);
+				} else if (header.type === 'file') {
+					await mkdirp(path.dirname(target));
+					await new Promise((res, rej) =>
+						stream
+							.pipe(fs.createWriteStream(target, { mode: header.mode }))
+							.on('finish', res)
+							.on('error', rej),
+					);
+				} else if (header.type === 'symlink') {
+					await mkdirp(path.dirname(target));
+					await fs.symlink(header.linkname!, target);
+				}
+				// e.g. the 'pax-global-header' entry of git archive
+				stream.resume();
+				next();
+			} catch (err) {
+				extract.destroy(err);
+			}
+		});
+		extract.on('finish', resolve);
+		extract.on('error', reject);
+		tarStream.on('error', reject);
+		tarStream.pipe(extract);
+	});
+}
+
+/**
+ * Export a git revision of the project directory into a temporary directory,
+ * like `git archive`, so that the project can be built from the files of a
+ * commit rather than from the working tree (the `--git-ref` option). Only
+ * committed files are exported: uncommitted changes, untracked and ignored
+ * files (and git submodules) are not.
+ */
+export async function checkoutGitRevision(
+	projectPath: string,
+	ref: string,
+): Promise<GitCheckout> {
+	const rimraf = Bluebird.promisify<void, string>(require('rimraf'));
+	const realPath = await fs.realpath(projectPath);
+	const { commit, prefix } = await resolveGitRef(realPath, ref);
+	const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'balena-git-'));
+	const remove = () => rimraf(tmpDir);
+	try {
+		// archive the project directory only, if it is a subdirectory of the
+		// repository (git archive must then run in the root of the repository)
+		const rootPath = await git(realPath, ['rev-parse', '--show-toplevel']);
+		const treeish = prefix ? `${commit}:${prefix.replace(/\/$/, '')}` : commit;
+		const gitArchive = spawn('git', ['archive', '--format=tar', treeish], {
+			cwd: rootPath,
+			stdio: ['ignore', 'pipe', 'pipe'],
+		});
+		let stderr = '';
+		gitArchive.stderr!.on('data', data => (stderr += data));
+		const exitCode = new Promise<number | null>((resolve, reject) => {
+			gitArchive.on('error', reject);
+			gitArchive.on('close', resolve);
+		});
+		await extractTar(gitArchive.stdout!, tmpDir);
+		if ((await exitCode) !== 0) {
+			throw new ExpectedError(
+				`Could not export git revision '${ref}' of "${projectPath}": ${stderr.trim()}`,
+			);
+		}
+	} catch (err) {
+		await remove();
+		throw err;
+	}
+	return {
+		commit,
+		path: tmpDir,
+		projectName: path.basename(realPath),
+		remove,
+	};
+}
+
+/**
+ * Export the git revision of the `--git-ref` option, if given, and replace
+ * the `source` option with the path of the temporary directory, so that the
+ * project is loaded from the exported files. The `projectName` option
+ * defaults to the name of the original source directory, as without the
+ * `--git-ref` option.
+ * @returns The exported revision, to be removed by the caller once done, or
+ * undefined if the option was not given
+ */
+export async function checkoutGitRefOption(
+	logger: Logger,
+	options: { source?: string; projectName?: string; 'git-ref'?: string },
+): Promise<GitCheckout | undefined> {
+	const ref = options['git-ref'];
+	if (!ref) {
+		return;
+	}
+	const checkout = await checkoutGitRevision(options.source || '.', ref);
+	logger.logInfo(`Using git commit ${checkout.commit} (${ref})`);
+	options.projectName = options.projectName || checkout.projectName;
+	options.source = checkout.path;
+	return checkout;
+}
@@ -33,8 +33,13 @@ interface IgnoreEntry {
 	pattern: string;
 	// The relative file path from the base path of the build context
 	filePath: string;
+	// The line number of the pattern in the ignore file
+	lineNumber?: number;
 }
 
+/** The ignore file line that causes a file to be ignored */
+export type IgnoreRule = IgnoreEntry;
+
 export class FileIgnorer {
 	private dockerIgnoreEntries: IgnoreEntry[];
 	private gitIgnoreEntries: IgnoreEntry[];
@@ -91,13 +96,13 @@ export class FileIgnorer {
 	): Promise<void> {
 		const contents = await fs.readFile(fullPath, 'utf8');
 
-		contents.split('\n').forEach(line => {
+		contents.split('\n').forEach((line, index) => {
 			// ignore empty lines and comments
 			if (/\s*#/.test(line) || _.isEmpty(line)) {
 				return;
 			}
 
-			this.addEntry(line, fullPath, type);
+			this.addEntry(line, fullPath, type, index + 1);
 		});
 
 		return;
@@ -150,12 +155,50 @@ export class FileIgnorer {
 		return !_.some(ignoreTypes, ({ handle }) => handle.ignores(relFile));
 	}; // tslint:disable-line:semicolon
 
+	/**
+	 * Find the ignore file line that causes a file to be ignored, i.e. the last
+	 * line of .dockerignore (or else .gitignore) files whose pattern matches
+	 * the file, as later lines take precedence over earlier ones.
+	 * @param filename The path of the file
+	 * @returns The matching ignore file line, or null if the file is not ignored
+	 */
+	public getIgnoreRule(filename: string): IgnoreRule | null {
+		if (this.filter(filename)) {
+			return null;
+		}
+		const relFile = path.relative(this.basePath, filename);
+		const ignoreTypes: Array<{
+			makeHandle: () => {
+				add: (pattern: string) => { ignores: (file: string) => boolean };
+			};
+			entries: IgnoreEntry[];
+		}> = [
+			{ makeHandle: dockerIgnore, entries: this.dockerIgnoreEntries },
+			{ makeHandle: ignore, entries: this.gitIgnoreEntries },
+		];
+		for (const { makeHandle, entries } of ignoreTypes) {
+			const rule = _.findLast(
+				entries,
+				({ pattern, filePath }) =>
+					FileIgnorer.contains(path.posix.dirname(filePath), filename) &&
+					makeHandle()
+						.add(pattern.replace(/^!/, ''))
+						.ignores(relFile),
+			);
+			if (rule != null && !rule.pattern.startsWith('!')) {
+				return rule;
+			}
+		}
+		return null;
+	}
+
 	private addEntry(
 		pattern: string,
 		filePath: string,
 		type: IgnoreFileType,
+		lineNumber?: number,
 	): void {
-		const entry: IgnoreEntry = { pattern, filePath };
+		const entry: IgnoreEntry = { pattern, filePath, lineNumber };
 		switch (type) {
 			case IgnoreFileType.DockerIgnore:
 				this.dockerIgnoreEntries.push(entry);
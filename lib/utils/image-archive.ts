@@ -0,0 +1,295 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as Bluebird from 'bluebird';
+import * as crypto from 'crypto';
+import Dockerode = require('dockerode');
+import * as _ from 'lodash';
+import { fs } from 'mz';
+import * as path from 'path';
+import { Composition } from 'resin-compose-parse';
+
+import { ExpectedError } from '../errors';
+import Logger = require('./logger');
+
+/** Name of the manifest file of an image archive directory */
+export const ARCHIVE_MANIFEST_FILE = 'manifest.json';
+const ARCHIVE_MANIFEST_VERSION = 1;
+
+/** Image description as returned by `compose.buildProject()` */
+export interface BuiltImage {
+	serviceName: string;
+	name: string;
+	logs?: string;
+	props: {
+		dockerfile?: string;
+		projectType?: string;
+		size?: number;
+		startTime?: Date;
+		endTime?: Date;
+	};
+}
+
+export interface ArchiveImage {
+	serviceName: string;
+	// image name (repository and tag) restored by `docker load`
+	image: string;
+	// image ID, i.e. the digest of the image configuration
+	id: string;
+	// registry digests of the image, if it was pushed or pulled
+	repoDigests: string[];
+	// 'sha256:<hex>' digest of the archive file, to detect corrupted copies
+	archiveDigest: string;
+	// archive file name, relative to the archive directory
+	file: string;
+	logs?: string;
+	props: {
+		dockerfile?: string;
+		projectType?: string;
+		size?: number;
+		startTime?: string;
+		endTime?: string;
+	};
+}
+
+export interface ArchiveManifest {
+	version: number;
+	projectName: string;
+	arch: string;
+	deviceType: string;
+	composition: Composition;
+	images: ArchiveImage[];
+}
+
+/**
+ * Write a stream to a file, and return the 'sha256:<hex>' digest of the
+ * written data
+ */
+async function writeStreamToFile(
+	stream: NodeJS.ReadableStream,
+	filePath: string,
+): Promise<string> {
+	const hash = crypto.createHash('sha256');
+	await new Promise((resolve, reject) => {
+		const out = fs.createWriteStream(filePath);
+		stream.on('error', reject);
+		stream.on('data', (chunk: Buffer) => hash.update(chunk));
+		out.on('error', reject);
+		out.on('finish', resolve);
+		stream.pipe(out);
+	});
+	return `sha256:${hash.digest('hex')}`;
+}
+
+async function fileDigest(filePath: string): Promise<string> {
+	const hash = crypto.createHash('sha256');
+	await new Promise((resolve, reject) => {
+		fs.createReadStream(filePath)
+			.on('error', reject)
+			.on('data', (chunk: Buffer) => hash.update(chunk))
+			.on('end', resolve);
+	});
+	return `sha256:${hash.digest('hex')}`;
+}
+
+/**
+ * Export built images for offline transfer (the `--export` option of the
+ * build command): write each image to '<dir>/<service>.tar' in the format of
+ * `docker save`, and a manifest.json file with the project's composition and,
+ * for each service, the image name, ID, digests and build properties.
+ * The archive can be deployed with `balena deploy --from-archive <dir>`.
+ */
+export async function exportImages(
+	docker: Dockerode,
+	logger: Logger,
+	dir: string,
+	images: BuiltImage[],
+	project: {
+		projectName: string;
+		arch: string;
+		deviceType: string;
+		composition: Composition;
+	},
+): Promise<ArchiveManifest> {
+	const mkdirp: typeof import('mkdirp') = require('mkdirp');
+	await Bluebird.promisify<string, string>(mkdirp)(dir);
+	const manifest: ArchiveManifest = {
+		version: ARCHIVE_MANIFEST_VERSION,
+		...project,
+		images: [],
+	};
+	for (const image of images) {
+		const file = `${image.serviceName}.tar`;
+		logger.logInfo(
+			`Exporting image '${image.name}' to '${path.join(dir, file)}'`,
+		);
+		const dockerImage = docker.getImage(image.name);
+		const info = await dockerImage.inspect();
+		const archiveDigest = await writeStreamToFile(
+			await dockerImage.get(),
+			path.join(dir, file),
+		);
+		manifest.images.push({
+			serviceName: image.serviceName,
+			image: image.name,
+			id: info.Id,
+			repoDigests: info.RepoDigests ?? [],
+			archiveDigest,
+			file,
+			logs: image.logs,
+			props: {
+				..._.pick(image.props, 'dockerfile', 'projectType'),
+				size: image.props.size ?? info.Size,
+				startTime: image.props.startTime?.toISOString(),
+				endTime: image.props.endTime?.toISOString(),
+			},
+		});
+	}
+	await fs.writeFile(
+		path.join(dir, ARCHIVE_MANIFEST_FILE),
+		JSON.stringify(manifest, null, 2),
+	);
+	logger.logInfo(`Image archive manifest saved to '${dir}'`);
+	return manifest;
+}
+
+/** Read and validate the manifest of an image archive directory */
+export async function readArchiveManifest(
+	dir: string,
+): Promise<ArchiveManifest> {
+	const manifestPath = path.join(dir, ARCHIVE_MANIFEST_FILE);
+	let manifest: ArchiveManifest;
+	try {
+		manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+	} catch (err) {
+		throw new ExpectedError(
+			`Error reading image archive manifest '${manifestPath}': ${err.message}`,
+		);
+	}
+	if (
+		manifest.version !== ARCHIVE_MANIFEST_VERSION ||
+		!Array.isArray(manifest.images) ||
+		manifest.composition == null
+	) {
+		throw new ExpectedError(
+			`Invalid image archive manifest '${manifestPath}' (was it created with 'balena build --export'?)`,
+		);
+	}
+	const services = _.keys(manifest.composition.services);
+	const missing = _.difference(services, _.map(manifest.images, 'serviceName'));
+	if (missing.length > 0) {
+		throw new ExpectedError(
+			`The image archive '${dir}' has no images for services: ${missing.join(
+				', ',
+			)}`,
+		);
+	}
+	// the manifest may come from anywhere: don't read files outside the archive
+	for (const { file } of manifest.images) {
+		const relPath = path.relative(
+			path.resolve(dir),
+			path.resolve(dir, `${file}`),
+		);
+		if (
+			!relPath ||
+			relPath === '..' ||
+			relPath.startsWith(`..${path.sep}`) ||
+			path.isAbsolute(relPath)
+		) {
+			throw new ExpectedError(
+				`Invalid image archive manifest '${manifestPath}': image file '${file}' is not inside the archive directory`,
+			);
+		}
+	}
+	return manifest;
+}
+
+/**
+ * Check that the `docker load` output stream reports no errors. The output
+ * consists of JSON objects like {"stream":"Loaded image: ..."} or
+ * {"errorDetail":{...},"error":"..."}.
+ */
+async function checkLoadOutput(stream: NodeJS.ReadableStream) {
+	const chunks: Buffer[] = [];
+	await new Promise((resolve, reject) => {
+		stream.on('data', (chunk: Buffer) => chunks.push(chunk));
+		stream.on('error', reject);
+		stream.on('end', resolve);
+	});
+	for (const line of Buffer.concat(chunks)
+		.toString()
+		.split(/\r?\n/)) {
+		let event: any;
+		try {
+			event = JSON.parse(line);
+		} catch {
+			continue;
+		}
+		if (event.error) {
+			throw new ExpectedError(`Error loading image: ${event.error}`);
+		}
+	}
+}
+
+/**
+ * Load the images of an archive directory created with `--export` into the
+ * Docker daemon (the `--from-archive` option of the deploy command), after
+ * checking the archive files against the digests of the manifest.
+ * @returns The manifest, and image descriptions like those returned by
+ * `compose.buildProject()`
+ */
+export async function loadImageArchive(
+	docker: Dockerode,
+	logger: Logger,
+	dir: string,
+): Promise<{ manifest: ArchiveManifest; images: BuiltImage[] }> {
+	const manifest = await readArchiveManifest(dir);
+	const images: BuiltImage[] = [];
+	for (const entry of manifest.images) {
+		const filePath = path.resolve(dir, entry.file);
+		logger.logInfo(`Loading image '${entry.image}' from '${filePath}'`);
+		if ((await fileDigest(filePath)) !== entry.archiveDigest) {
+			throw new ExpectedError(
+				`Image archive file '${filePath}' does not match its digest in the manifest; the file may be corrupted`,
+			);
+		}
+		await checkLoadOutput(
+			await docker.loadImage(fs.createReadStream(filePath), { quiet: true }),
+		);
+		const info = await docker.getImage(entry.image).inspect();
+		if (info.Id !== entry.id) {
+			throw new ExpectedError(
+				`Loaded image '${entry.image}' has ID '${info.Id}', expected '${entry.id}'`,
+			);
+		}
+		images.push({
+			serviceName: entry.serviceName,
+			name: entry.image,
+			logs: entry.logs,
+			props: {
+				..._.pick(entry.props, 'dockerfile', 'projectType', 'size'),
+				startTime: entry.props.startTime
+					? new Date(entry.props.startTime)
+					: undefined,
+				endTime: entry.props.endTime
+					? new Date(entry.props.endTime)
+					: undefined,
+			},
+		});
+	}
+	return { manifest, images };
+}
@@ -0,0 +1,217 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+
+export interface ImageLayer {
+	// the Dockerfile instruction that created the layer, e.g. 'RUN make'
+	instruction: string;
+	size: number;
+}
+
+export interface LayerComparison {
+	instruction: string;
+	// undefined if the layer only exists in the image of the release
+	size?: number;
+	// undefined if the layer does not exist in the image of the release
+	releaseSize?: number;
+}
+
+// Maximum length of the instructions printed in the comparison table
+const INSTRUCTION_MAX_LENGTH = 72;
+
+/**
+ * Convert the `CreatedBy` field of a Docker image history entry to the
+ * Dockerfile instruction that created the layer, e.g.:
+ *   '/bin/sh -c #(nop)  CMD ["node"]' -> 'CMD ["node"]'
+ *   '|1 VERSION=3 /bin/sh -c make'    -> 'RUN make'
+ * The qemu wrapper added to RUN instructions by emulated builds is removed,
+ * so that the layers of emulated and native builds can be matched.
+ */
+export function formatInstruction(createdBy: string): string {
+	const cmd = createdBy
+		.replace(/^\|\d+\s+(?:\S+=\S*\s+)*/, '')
+		.replace(/^\/tmp\/qemu-execve\s+-execve\s+\S+\s+/, '')
+		.replace(/\s+/g, ' ')
+		.trim();
+	if (cmd.startsWith('/bin/sh -c #(nop) ')) {
+		return cmd.slice('/bin/sh -c #(nop) '.length);
+	}
+	if (cmd.startsWith('/bin/sh -c ')) {
+		return `RUN ${cmd.slice('/bin/sh -c '.length)}`;
+	}
+	return cmd;
+}
+
+/**
+ * Convert the result of Docker's image history API (newest layer first) to
+ * a list of layers, oldest first.
+ */
+export function fromDockerHistory(
+	history: Array<{ CreatedBy: string; Size: number }>,
+): ImageLayer[] {
+	return history
+		.map(entry => ({
+			instruction: formatInstruction(entry.CreatedBy ?? ''),
+			size: entry.Size,
+		}))
+		.reverse();
+}
+
+/**
+ * Match the layers of an image with those of the image of the same service
+ * in a release, by instruction, keeping the order of both lists (longest
+ * common subsequence). Unmatched layers between two matched layers are
+ * paired up by instruction type, as layers whose instruction changed (for
+ * example, a COPY instruction of modified files).
+ */
+export function compareLayers(
+	layers: ImageLayer[],
+	releaseLayers: ImageLayer[],
+): LayerComparison[] {
+	const n = layers.length;
+	const m = releaseLayers.length;
+	// lcs[i][j]: length of the common subsequence of layers[i:], releaseLayers[j:]
+	const lcs = _.times(n + 1, () => new Array<number>(m + 1).fill(0));
+	for (let a = n - 1; a >= 0; a--) {
+		for (let b = m - 1; b >= 0; b--) {
+			lcs[a][b] =
+				layers[a].instruction === releaseLayers[b].instruction
+					? lcs[a + 1][b + 1] + 1
+					: Math.max(lcs[a + 1][b], lcs[a][b + 1]);
+		}
+	}
+	const comparisons: LayerComparison[] = [];
+	let added: ImageLayer[] = [];
+	let removed: ImageLayer[] = [];
+	const keyword = (layer: ImageLayer) => layer.instruction.split(' ')[0];
+	const flushUnmatched = () => {
+		for (const layer of added) {
+			const k = removed.findIndex(r => keyword(r) === keyword(layer));
+			comparisons.push(
+				k < 0
+					? { instruction: layer.instruction, size: layer.size }
+					: {
+							instruction: layer.instruction,
+							size: layer.size,
+							releaseSize: removed.splice(k, 1)[0].size,
+					  },
+			);
+		}
+		for (const layer of removed) {
+			comparisons.push({
+				instruction: layer.instruction,
+				releaseSize: layer.size,
+			});
+		}
+		added = [];
+		removed = [];
+	};
+	let i = 0;
+	let j = 0;
+	while (i < n || j < m) {
+		if (
+			i < n &&
+			j < m &&
+			layers[i].instruction === releaseLayers[j].instruction
+		) {
+			flushUnmatched();
+			comparisons.push({
+				instruction: layers[i].instruction,
+				size: layers[i].size,
+				releaseSize: releaseLayers[j].size,
+			});
+			i++;
+			j++;
+		} else if (j >= m || (i < n && lcs[i + 1][j] >= lcs[i][j + 1])) {
+			added.push(layers[i++]);
+		} else {
+			removed.push(releaseLayers[j++]);
+		}
+	}
+	flushUnmatched();
+	return comparisons;
+}
+
+const delta = (c: LayerComparison) => (c.size ?? 0) - (c.releaseSize ?? 0);
+
+function formatDelta(bytes: number): string {
+	const humanize = require('humanize');
+	if (bytes === 0) {
+		return '-';
+	}
+	return `${bytes < 0 ? '-' : '+'}${humanize.filesize(Math.abs(bytes))}`;
+}
+
+/**
+ * Format the comparison of the layers of a service's image with the image
+ * of a release as a table with the size of each layer in both images and
+ * the difference, followed by the total sizes and the instructions whose
+ * layers grew or were added, largest first. Layers of size zero in both
+ * images (e.g. CMD or ENV instructions) are omitted.
+ * @param commit The commit of the release
+ */
+export function formatLayerComparison(
+	serviceName: string,
+	comparisons: LayerComparison[],
+	commit: string,
+): string {
+	const humanize = require('humanize');
+	const formatSize = (size?: number) =>
+		size == null ? '-' : humanize.filesize(size);
+	const truncate = (str: string) =>
+		_.truncate(str, { length: INSTRUCTION_MAX_LENGTH });
+	const rows = comparisons.filter(c => c.size || c.releaseSize);
+	const total = _.sumBy(comparisons, c => c.size ?? 0);
+	const releaseTotal = _.sumBy(comparisons, c => c.releaseSize ?? 0);
+	const lines = [
+		`Service '${serviceName}' compared to release ${commit.slice(0, 7)}:`,
+		`  ${_.padStart('SIZE', 10)}  ${_.padStart('RELEASE', 10)}  ${_.padStart(
+			'DELTA',
+			11,
+		)}  INSTRUCTION`,
+		...rows.map(
+			c =>
+				`  ${_.padStart(formatSize(c.size), 10)}  ${_.padStart(
+					formatSize(c.releaseSize),
+					10,
+				)}  ${_.padStart(formatDelta(delta(c)), 11)}  ${truncate(
+					c.size == null ? `${c.instruction} (release only)` : c.instruction,
+				)}`,
+		),
+		`  Total: ${humanize.filesize(total)} (release: ${humanize.filesize(
+			releaseTotal,
+		)}, ${formatDelta(total - releaseTotal)})`,
+	];
+	const grown = _.orderBy(
+		comparisons.filter(c => delta(c) > 0),
+		delta,
+		'desc',
+	);
+	if (grown.length > 0) {
+		lines.push(
+			'  Instructions that added weight:',
+			...grown.map(
+				c =>
+					`    ${_.padStart(formatDelta(delta(c)), 11)}  ${truncate(
+						c.instruction,
+					)}`,
+			),
+		);
+	}
+	return lines.join('\n');
+}
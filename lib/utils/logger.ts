@@ -133,6 +133,20 @@ class Logger {
 		return this.streams.livepush.write(msg + eol);
 	}
 
+	/**
+	 * Redirect the output of all log streams (except debug) from stdout to
+	 * the given stream, for example process.stderr in order to keep stdout
+	 * free for machine-readable output.
+	 */
+	public redirectOutput(outStream: NodeJS.WritableStream) {
+		_.forEach(this.streams, function(stream, key) {
+			if (key !== 'debug') {
+				stream.unpipe(process.stdout);
+				stream.pipe(outStream);
+			}
+		});
+	}
+
 	/**
 	 * Log a message for output later, ignore duplicates.
 	 */
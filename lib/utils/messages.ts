@@ -48,3 +48,37 @@ check: https://github.com/balena-io-playground/sample-gcr-registry-secrets
 If the --registry-secrets option is not specified, and a secrets.yml or
 secrets.json file exists in the balena directory (usually $HOME/.balena),
 this file will be used instead.`;
+
+export const composeFilesHelp = `\
+The --compose-file (-c) option may be specified multiple times to merge several
+compose files, following the Docker Compose merge rules. By default, a
+docker-compose.override.yml file is merged into docker-compose.yml if it exists.
+Variables like \${VAR} or \${VAR:-default} in compose files are substituted with
+values from the environment or from a .env file in the source folder.`;
+
+export const projectConfigHelp = `\
+The 'defaults' section of the .balena/balena.yml file in the source folder
+provides defaults for the --deviceType, --arch, --buildArg (-B), --dockerfile
+and --registry-secrets options, which take precedence over it. Its 'hooks'
+section defines shell commands run in the source folder before a build
+('pre-build'), after a build ('post-build') and before the images of a release
+are pushed ('pre-deploy'), with the environment variables BALENA_PROJECT_NAME,
+BALENA_PROJECT_PATH, BALENA_ARCH, BALENA_DEVICE_TYPE, BALENA_APP_ID,
+BALENA_APP_NAME, BALENA_SERVICES (comma-separated service names),
+BALENA_SERVICE_<SERVICE>_IMAGE (image name of each service, after a build),
+BALENA_RELEASE_ID and BALENA_RELEASE_COMMIT (before a deploy). A hook that
+exits with a non-zero code makes the command fail. As hooks run with your
+user's privileges on this machine, they are only run with the --hooks option
+(and otherwise printed without running them): review the hooks of a project
+before using it. Each hook command is printed before it runs. Sample file:
+
+	defaults:
+		deviceType: raspberrypi3
+		arch: armv7hf
+		buildArgs:
+			- VERSION=3
+			- api:DEBUG=1
+	hooks:
+		pre-build: npm run lint
+		post-build: ./scripts/test-images.sh
+		pre-deploy: ./scripts/tag-release.sh`;
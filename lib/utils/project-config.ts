@@ -0,0 +1,213 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+
+import { ExpectedError } from '../errors';
+import { BuildArgs, parseBuildArgs } from './build-args';
+import Logger = require('./logger');
+
+export type ProjectHookName = 'pre-build' | 'post-build' | 'pre-deploy';
+
+const HOOK_NAMES: ProjectHookName[] = ['pre-build', 'post-build', 'pre-deploy'];
+
+// Keys of the 'defaults' section: defaults for the --deviceType, --arch,
+// --buildArg, --dockerfile and --registry-secrets options
+const DEFAULT_KEYS = [
+	'deviceType',
+	'arch',
+	'buildArgs',
+	'dockerfile',
+	'registrySecrets',
+];
+
+/**
+ * Project configuration: the 'defaults' and 'hooks' sections of the
+ * '.balena/balena.yml' file, alongside its 'build-variables' and
+ * 'build-secrets' sections
+ */
+export interface ProjectConfig {
+	deviceType?: string;
+	arch?: string;
+	buildArgs?: BuildArgs;
+	// path relative to the project directory
+	dockerfile?: string;
+	// path relative to the project directory
+	registrySecrets?: string;
+	hooks: { [hook in ProjectHookName]?: string };
+}
+
+/** Service and release metadata passed to hooks as environment variables */
+export interface HookMetadata {
+	projectName?: string;
+	projectPath?: string;
+	arch?: string;
+	deviceType?: string;
+	app?: { id: number; app_name: string };
+	services: string[];
+	// the built (or deployed) image of each service
+	images?: Array<{ serviceName: string; name: string }>;
+	release?: { id: number; commit: string };
+}
+
+/**
+ * Parse and validate the project configuration in the contents of the
+ * '.balena/balena.yml' file (an empty configuration if the file does not
+ * have 'defaults' or 'hooks' sections).
+ * @param metadata Parsed contents of the file
+ * @param fileName File path for error messages
+ */
+export function parseProjectConfig(
+	metadata: any,
+	fileName: string,
+): ProjectConfig {
+	const config: ProjectConfig = { hooks: {} };
+	const fail = (msg: string) => {
+		throw new ExpectedError(`Error in file "${fileName}": ${msg}`);
+	};
+	const checkSection = (name: string, keys: string[]) => {
+		const section = metadata?.[name];
+		if (section != null && !_.isPlainObject(section)) {
+			fail(`'${name}' must be a mapping`);
+		}
+		for (const key of _.keys(section)) {
+			if (!keys.includes(key)) {
+				fail(
+					`unknown key '${key}' in '${name}' (expected one of: ${keys.join(
+						', ',
+					)})`,
+				);
+			}
+		}
+		return section ?? {};
+	};
+	const getString = (section: string, key: string, value: any) => {
+		if (value != null && typeof value !== 'string') {
+			fail(`'${section}.${key}' must be a string`);
+		}
+		return value || undefined;
+	};
+
+	const defaults = checkSection('defaults', DEFAULT_KEYS);
+	config.deviceType = getString('defaults', 'deviceType', defaults.deviceType);
+	config.arch = getString('defaults', 'arch', defaults.arch);
+	config.dockerfile = getString('defaults', 'dockerfile', defaults.dockerfile);
+	config.registrySecrets = getString(
+		'defaults',
+		'registrySecrets',
+		defaults.registrySecrets,
+	);
+	if (defaults.buildArgs != null) {
+		// a list of 'KEY=value' and 'service:KEY=value' entries like the -B
+		// option, or a mapping of 'KEY' and 'service:KEY' to values
+		let args = defaults.buildArgs;
+		if (_.isPlainObject(args)) {
+			args = _.map(args, (value, key) => `${key}=${value ?? ''}`);
+		} else if (!Array.isArray(args)) {
+			fail(`'defaults.buildArgs' must be a list or a mapping`);
+		}
+		try {
+			config.buildArgs = parseBuildArgs(args);
+		} catch (err) {
+			fail(err.message);
+		}
+	}
+
+	const hooks = checkSection('hooks', HOOK_NAMES);
+	for (const hook of HOOK_NAMES) {
+		config.hooks[hook] = getString('hooks', hook, hooks[hook]);
+	}
+	return config;
+}
+
+/**
+ * Convert a service name to a string that may be used in the name of an
+ * environment variable, e.g. 'my-api' -> 'MY_API'
+ */
+const toEnvName = (name: string) =>
+	name.toUpperCase().replace(/[^A-Z0-9_]/g, '_');
+
+/**
+ * Return the environment variables that describe the service and release
+ * metadata of a hook, e.g. BALENA_SERVICES='api,db' and
+ * BALENA_SERVICE_API_IMAGE='myproject_api'.
+ */
+export function makeHookEnv(metadata: HookMetadata): Dictionary<string> {
+	const env: Dictionary<string | number | undefined> = {
+		BALENA_PROJECT_NAME: metadata.projectName,
+		BALENA_PROJECT_PATH: metadata.projectPath,
+		BALENA_ARCH: metadata.arch,
+		BALENA_DEVICE_TYPE: metadata.deviceType,
+		BALENA_APP_ID: metadata.app?.id,
+		BALENA_APP_NAME: metadata.app?.app_name,
+		BALENA_SERVICES: metadata.services.join(','),
+		BALENA_RELEASE_ID: metadata.release?.id,
+		BALENA_RELEASE_COMMIT: metadata.release?.commit,
+	};
+	for (const { serviceName, name } of metadata.images ?? []) {
+		env[`BALENA_SERVICE_${toEnvName(serviceName)}_IMAGE`] = name;
+	}
+	return _(env)
+		.omitBy(_.isNil)
+		.mapValues(String)
+		.value();
+}
+
+/**
+ * Run a hook of the project configuration, if defined, as a shell command in
+ * the project directory, with the environment variables of makeHookEnv().
+ * As the command runs with the user's privileges on the host, it is only
+ * run with the `run` option (--hooks), and logged otherwise; it is also
+ * logged before it runs. Rejects with an ExpectedError if the command exits
+ * with a non-zero code.
+ * @param opts.stdout Where to write the output of the command (the standard
+ * error stream when the standard output is reserved for JSON output)
+ * @param opts.run Run the command, rather than only logging it
+ */
+export async function runProjectHook(
+	logger: Logger,
+	config: ProjectConfig | undefined,
+	hook: ProjectHookName,
+	metadata: HookMetadata,
+	opts: { stdout?: 'inherit' | 'stderr'; run?: boolean } = {},
+): Promise<void> {
+	const command = config?.hooks[hook];
+	if (!command) {
+		return;
+	}
+	if (!opts.run) {
+		logger.logInfo(`Skipping ${hook} hook (use --hooks to run it): ${command}`);
+		return;
+	}
+	const { spawn } = await import('child_process');
+	logger.logInfo(`Running ${hook} hook: ${command}`);
+	const code = await new Promise<number | null>((resolve, reject) => {
+		const child = spawn(command, {
+			cwd: metadata.projectPath,
+			env: { ...process.env, ...makeHookEnv(metadata) },
+			shell: true,
+			stdio: ['inherit', opts.stdout === 'stderr' ? 2 : 'inherit', 'inherit'],
+		});
+		child.on('error', reject);
+		child.on('close', resolve);
+	});
+	if (code !== 0) {
+		throw new ExpectedError(
+			`The ${hook} hook failed with exit code ${code}: ${command}`,
+		);
+	}
+}
@@ -152,6 +152,28 @@ export async function installQemuIfNeeded(
 	return true;
 }
 
+// Balena architectures that a Docker daemon can build natively, by daemon
+// architecture as reported by `docker info`
+const NATIVE_ARCHS: Dictionary<string[]> = {
+	x86_64: ['amd64', 'i386'],
+	aarch64: ['aarch64', 'armv7hf', 'rpi'],
+	armv7l: ['armv7hf', 'rpi'],
+	armv6l: ['rpi'],
+};
+
+/**
+ * Check whether building images for the given balena architecture requires
+ * emulation, i.e. whether the Docker daemon has a different architecture
+ * (e.g. 'armv7hf' images and an 'x86_64' daemon).
+ */
+export async function archNeedsEmulation(
+	docker: Dockerode,
+	arch: string,
+): Promise<boolean> {
+	const { Architecture } = await docker.info();
+	return !(NATIVE_ARCHS[Architecture] ?? [Architecture]).includes(arch);
+}
+
 /**
  * Check whether the Docker daemon (including balenaEngine) requires explicit
  * QEMU emulation setup. Note that Docker Desktop (Windows and Mac), and also
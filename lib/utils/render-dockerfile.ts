@@ -0,0 +1,194 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+import { Composition } from 'resin-compose-parse';
+
+import { BuildArgOptions, resolveServiceBuildArgs } from './build-args';
+import { ComposeProject } from './compose-types';
+import { getInstructionLines } from './dockerfile-source-map';
+import Logger = require('./logger');
+
+export interface RenderedDockerfile {
+	serviceName: string;
+	// image name, for services that use an image rather than a build
+	image?: string;
+	// the Dockerfile after template resolution
+	dockerfile?: string;
+	projectType?: string;
+	baseImages: string[];
+	buildArgs: Dictionary<string>;
+}
+
+export interface RenderTarget {
+	arch: string;
+	deviceType: string;
+}
+
+/**
+ * Substitute variables in a Dockerfile instruction argument like Docker does:
+ * $VAR, ${VAR}, ${VAR:-default} (default if VAR is unset or empty) and
+ * ${VAR:+value} (value if VAR is set and not empty).
+ */
+function substituteArgs(str: string, args: Dictionary<string>): string {
+	return str.replace(
+		/\$(?:([A-Za-z_][A-Za-z0-9_]*)|\{([A-Za-z_][A-Za-z0-9_]*)(?::([-+])([^}]*))?\})/g,
+		(_match, name1, name2, modifier, word) => {
+			const value = args[name1 ?? name2] ?? '';
+			if (modifier === '-') {
+				return value || word;
+			}
+			if (modifier === '+') {
+				return value ? word : '';
+			}
+			return value;
+		},
+	);
+}
+
+/**
+ * Return the base images of a Dockerfile: the images of its FROM
+ * instructions, with the variables declared by ARG instructions before the
+ * first FROM instruction substituted with the given build args or their
+ * default values. References to previous build stages and 'scratch' are
+ * left out.
+ */
+export function getBaseImages(
+	dockerfile: string,
+	buildArgs: Dictionary<string> = {},
+): string[] {
+	const lines = dockerfile.split(/\r?\n/);
+	const args: Dictionary<string> = {};
+	const stages = new Set<string>();
+	const images: string[] = [];
+	let seenFrom = false;
+	for (const [start, end] of getInstructionLines(dockerfile)) {
+		const instruction = lines
+			.slice(start - 1, end)
+			.filter(line => !line.trim().startsWith('#'))
+			.map(line => line.trim().replace(/\\$/, ''))
+			.join(' ');
+		const [keyword, ...words] = instruction.split(/\s+/).filter(w => w);
+		if (keyword.toUpperCase() === 'ARG' && !seenFrom) {
+			for (const word of words) {
+				const [name, ...value] = word.split('=');
+				args[name] =
+					buildArgs[name] ??
+					(value.length > 0 ? value.join('=').replace(/^"(.*)"$/, '$1') : '');
+			}
+		} else if (keyword.toUpperCase() === 'FROM') {
+			seenFrom = true;
+			const [image, as, stage] = words.filter(w => !w.startsWith('--'));
+			const resolved = substituteArgs(image ?? '', args);
+			if (
+				resolved &&
+				resolved !== 'scratch' &&
+				!stages.has(resolved.toLowerCase()) &&
+				!images.includes(resolved)
+			) {
+				images.push(resolved);
+			}
+			if (as?.toUpperCase() === 'AS' && stage) {
+				stages.add(stage.toLowerCase());
+			}
+		}
+	}
+	return images;
+}
+
+/**
+ * Format the rendered Dockerfile of a service, preceded by comment lines
+ * with the target device type, the project type, the base images and the
+ * build args in effect, so that the output is still a valid Dockerfile.
+ */
+export function formatRenderedDockerfile(
+	rendered: RenderedDockerfile,
+	target: RenderTarget,
+): string {
+	const header = [
+		`# Service: ${rendered.serviceName}`,
+		`# Target: ${target.deviceType} (${target.arch})`,
+	];
+	if (rendered.image != null) {
+		header.push(`# Image: ${rendered.image} (not built)`);
+		return header.join('\n') + '\n';
+	}
+	header.push(`# Project type: ${rendered.projectType}`);
+	header.push(
+		`# Base images: ${
+			rendered.baseImages.length > 0 ? rendered.baseImages.join(', ') : 'none'
+		}`,
+	);
+	const buildArgs = _.toPairs(rendered.buildArgs).sort();
+	header.push(`# Build args:${buildArgs.length > 0 ? '' : ' none'}`);
+	for (const [key, value] of buildArgs) {
+		header.push(`#   ${key}=${value}`);
+	}
+	return `${header.join('\n')}\n${(rendered.dockerfile ?? '').replace(
+		/\n*$/,
+		'\n',
+	)}`;
+}
+
+/**
+ * Resolve the Dockerfile of each service of a composition for a device type
+ * and architecture, like a build does (e.g. Dockerfile.template -> Dockerfile),
+ * without building anything, so that a connection to Docker is not required
+ * (the `--render-dockerfile` option of the build command).
+ */
+export async function renderDockerfiles(
+	logger: Logger,
+	project: ComposeProject,
+	composition: Composition,
+	target: RenderTarget,
+	opts: { buildArgs?: BuildArgOptions; preserveSymlinks?: boolean } = {},
+): Promise<RenderedDockerfile[]> {
+	const { tarDirectory } = await import('./compose');
+	const { resolveBuildTasks } = await import('./compose_ts');
+	const tarStream = await tarDirectory(project.path, {
+		preserveSymlinks: opts.preserveSymlinks,
+	});
+	const tasks = await resolveBuildTasks(
+		composition,
+		tarStream,
+		target,
+		logger,
+		project.name,
+	);
+	return tasks.map(task => {
+		if (task.external) {
+			return {
+				serviceName: task.serviceName,
+				image: task.imageName,
+				baseImages: [],
+				buildArgs: {},
+			};
+		}
+		const buildArgs = resolveServiceBuildArgs(
+			task.serviceName,
+			task.args,
+			opts.buildArgs,
+		);
+		return {
+			serviceName: task.serviceName,
+			dockerfile: task.dockerfile,
+			projectType: task.projectType,
+			baseImages: getBaseImages(task.dockerfile ?? '', buildArgs),
+			buildArgs,
+		};
+	});
+}
@@ -0,0 +1,142 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as _ from 'lodash';
+
+import { ExpectedError } from '../errors';
+
+/** Compose file service label that sets the maximum size of its image */
+export const SIZE_LIMIT_LABEL = 'io.balena.size-limit';
+
+export interface SizeLimitOptions {
+	// limit for all services, set with `--size-limit <size>`
+	all?: number;
+	// limits set with `--size-limit <service>=<size>`
+	services: Dictionary<number>;
+}
+
+export interface OversizedImage {
+	serviceName: string;
+	size: number;
+	limit: number;
+}
+
+const UNITS = ['', 'k', 'm', 'g', 't'];
+
+/**
+ * Parse a size like '300MB', '1.5G' or '1024' (bytes). Units are powers of
+ * 1024, like the image sizes printed by the CLI.
+ */
+export function parseSize(size: string): number {
+	const match = /^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i.exec(size.trim());
+	if (match == null) {
+		throw new ExpectedError(
+			`Invalid size '${size}': must be a number of bytes, optionally followed by a unit like KB, MB or GB`,
+		);
+	}
+	const [, value, unit] = match;
+	return Math.round(
+		parseFloat(value) * Math.pow(1024, UNITS.indexOf(unit.toLowerCase())),
+	);
+}
+
+/**
+ * Parse the values of the `--size-limit` option: '<size>' for all services,
+ * or '<service>=<size>' for a single service.
+ */
+export function parseSizeLimitOptions(
+	values: string | string[] | undefined,
+): SizeLimitOptions {
+	const sizeLimits: SizeLimitOptions = { services: {} };
+	for (const value of _.castArray(values ?? [])) {
+		const i = `${value}`.indexOf('=');
+		if (i < 0) {
+			sizeLimits.all = parseSize(`${value}`);
+		} else {
+			sizeLimits.services[value.slice(0, i).trim()] = parseSize(
+				value.slice(i + 1),
+			);
+		}
+	}
+	return sizeLimits;
+}
+
+/** Return the value of a label of a compose file service, if set */
+function getServiceLabel(service: any, label: string): string | undefined {
+	const labels = service?.labels;
+	if (Array.isArray(labels)) {
+		const entry = _.find(labels, (l: string) => l.startsWith(`${label}=`));
+		return entry?.slice(label.length + 1);
+	}
+	return labels?.[label] != null ? `${labels[label]}` : undefined;
+}
+
+/**
+ * Determine the image size limit of each service of a composition. A limit
+ * set for a service with the `--size-limit` option takes precedence over the
+ * io.balena.size-limit label of the service, which takes precedence over a
+ * limit set for all services with the `--size-limit` option.
+ * @returns The limits in bytes, by service name, of the services that have one
+ */
+export function getServiceSizeLimits(
+	composition: any,
+	sizeLimits: SizeLimitOptions = { services: {} },
+): Dictionary<number> {
+	const limits: Dictionary<number> = {};
+	_.forEach(composition?.services, (service, serviceName) => {
+		const label = getServiceLabel(service, SIZE_LIMIT_LABEL);
+		const limit =
+			sizeLimits.services[serviceName] ??
+			(label != null ? parseSize(label) : sizeLimits.all);
+		if (limit != null) {
+			limits[serviceName] = limit;
+		}
+	});
+	return limits;
+}
+
+/**
+ * Describe the images that exceed their size limits, comparing their sizes
+ * with those of the same services in a previous release, if available.
+ * @param previousRelease The commit and image sizes (by service name) of the
+ * application's latest successful release
+ */
+export function formatSizeLimitError(
+	oversized: OversizedImage[],
+	previousRelease?: { commit: string; sizes: Dictionary<number | undefined> },
+): string {
+	const humanize = require('humanize');
+	const lines = oversized.map(({ serviceName, size, limit }) => {
+		let line = `  ${serviceName}: ${humanize.filesize(
+			size,
+		)} exceeds the limit of ${humanize.filesize(limit)}`;
+		if (previousRelease != null) {
+			const previousSize = previousRelease.sizes[serviceName];
+			const commit = previousRelease.commit.slice(0, 7);
+			if (previousSize == null) {
+				line += ` (not in release ${commit})`;
+			} else {
+				const delta = size - previousSize;
+				line += ` (${delta < 0 ? '-' : '+'}${humanize.filesize(
+					Math.abs(delta),
+				)} compared to release ${commit})`;
+			}
+		}
+		return line;
+	});
+	return ['Image size limit exceeded:', ...lines].join('\n');
+}
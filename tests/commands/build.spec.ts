@@ -50,7 +50,7 @@ const commonResponseLines: { [key: string]: string[] } = {
 const commonQueryParams = [
 	['t', '${tag}'],
 	['buildargs', '{}'],
-	['labels', ''],
+	['labels', '{"io.balena.cli.build-hash":"<sha256>"}'],
 ];
 
 describe('balena build', function() {
@@ -48,7 +48,7 @@ const commonResponseLines = {
 const commonQueryParams = [
 	['t', '${tag}'],
 	['buildargs', '{}'],
-	['labels', ''],
+	['labels', '{"io.balena.cli.build-hash":"<sha256>"}'],
 ];
 
 describe('balena deploy', function() {
@@ -0,0 +1,156 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+
+import {
+	getUnknownServices,
+	parseBuildArgs,
+	readBuildArgFiles,
+	resolveServiceBuildArgs,
+} from '../../build/utils/build-args';
+
+describe('parseBuildArgs() function', function() {
+	it('should parse global and service-scoped build arguments', () => {
+		expect(
+			parseBuildArgs([
+				'VERSION=2',
+				'api:VERSION=3',
+				'URL=http://example.com:8080',
+				'EMPTY=',
+				'api:MULTI=a\nb',
+			]),
+		).to.deep.equal({
+			all: { VERSION: '2', URL: 'http://example.com:8080', EMPTY: '' },
+			services: { api: { VERSION: '3', MULTI: 'a\nb' } },
+		});
+		expect(parseBuildArgs('A=1')).to.deep.equal({
+			all: { A: '1' },
+			services: {},
+		});
+		expect(parseBuildArgs(undefined)).to.deep.equal({ all: {}, services: {} });
+	});
+
+	it('should reject invalid build arguments', () => {
+		for (const arg of ['VERSION', '=3', 'api:=3', 'MY VAR=1']) {
+			expect(() => parseBuildArgs(arg)).to.throw(
+				`Could not parse build argument: '${arg}'`,
+			);
+		}
+	});
+});
+
+describe('readBuildArgFiles() function', function() {
+	let dir: string;
+
+	before(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-args-'));
+		await fs.writeFile(
+			path.join(dir, 'args.env'),
+			'# comment\nVERSION=2\napi:VERSION=3\nNAME="my app"\n',
+		);
+		await fs.writeFile(path.join(dir, 'override.env'), 'VERSION=4\n');
+		await fs.writeFile(path.join(dir, 'invalid.env'), 'VERSION\n');
+	});
+
+	after(async () => {
+		for (const file of await fs.readdir(dir)) {
+			await fs.unlink(path.join(dir, file));
+		}
+		await fs.rmdir(dir);
+	});
+
+	it('should read files in order, later files taking precedence', async () => {
+		expect(
+			await readBuildArgFiles([
+				path.join(dir, 'args.env'),
+				path.join(dir, 'override.env'),
+			]),
+		).to.deep.equal({
+			all: { VERSION: '4', NAME: 'my app' },
+			services: { api: { VERSION: '3' } },
+		});
+	});
+
+	it('should report the file name of invalid or missing files', async () => {
+		for (const file of ['invalid.env', 'missing.env']) {
+			try {
+				await readBuildArgFiles(path.join(dir, file));
+				throw new Error('should not be reached');
+			} catch (err) {
+				expect(err.message).to.include(
+					`Error reading build argument file '${path.join(dir, file)}'`,
+				);
+			}
+		}
+	});
+});
+
+describe('resolveServiceBuildArgs() function', function() {
+	const options = {
+		files: {
+			all: { A: 'file', B: 'file', C: 'file', D: 'file' },
+			services: { api: { B: 'file-api', C: 'file-api' } },
+		},
+		cli: {
+			all: { C: 'cli', D: 'cli' },
+			services: { api: { D: 'cli-api' } },
+		},
+	};
+	const composeArgs = { A: 'compose', E: 'compose' };
+
+	it('should apply the documented precedence', () => {
+		expect(resolveServiceBuildArgs('api', composeArgs, options)).to.deep.equal({
+			A: 'file',
+			B: 'file-api',
+			C: 'cli',
+			D: 'cli-api',
+			E: 'compose',
+		});
+		expect(
+			resolveServiceBuildArgs('worker', composeArgs, options),
+		).to.deep.equal({ A: 'file', B: 'file', C: 'cli', D: 'cli', E: 'compose' });
+		expect(
+			resolveServiceBuildArgs('api', composeArgs, undefined),
+		).to.deep.equal(composeArgs);
+	});
+
+	it('should give project defaults the lowest precedence after compose', () => {
+		const project = {
+			all: { A: 'project', E: 'project', F: 'project' },
+			services: { api: { F: 'project-api' } },
+		};
+		expect(
+			resolveServiceBuildArgs('api', composeArgs, { ...options, project }),
+		).to.deep.equal({
+			A: 'file',
+			B: 'file-api',
+			C: 'cli',
+			D: 'cli-api',
+			E: 'project',
+			F: 'project-api',
+		});
+	});
+
+	it('should find services that are not in the composition', () => {
+		expect(getUnknownServices(options, ['api'])).to.deep.equal([]);
+		expect(getUnknownServices(options, ['worker'])).to.deep.equal(['api']);
+	});
+});
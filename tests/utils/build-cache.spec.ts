@@ -0,0 +1,157 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import * as tar from 'tar-stream';
+
+import { PassThrough } from 'stream';
+
+import {
+	computeBuildHash,
+	getBaseImageIds,
+	hashTarStream,
+} from '../../build/utils/build-cache';
+
+function makeTarStream(
+	entries: Array<{ name: string; contents: string; mtime?: Date }>,
+): tar.Pack {
+	const pack = tar.pack();
+	for (const { name, contents, mtime } of entries) {
+		pack.entry({ name, mtime, mode: 0o644 }, contents);
+	}
+	pack.finalize();
+	return pack;
+}
+
+describe('hashTarStream() function', function() {
+	it('should ignore entry order and modification times', async () => {
+		const hash1 = await hashTarStream(
+			makeTarStream([
+				{ name: 'a.txt', contents: 'a', mtime: new Date(1000) },
+				{ name: 'b.txt', contents: 'b', mtime: new Date(2000) },
+			]),
+		);
+		const hash2 = await hashTarStream(
+			makeTarStream([
+				{ name: 'b.txt', contents: 'b', mtime: new Date(3000) },
+				{ name: 'a.txt', contents: 'a', mtime: new Date(4000) },
+			]),
+		);
+		expect(hash1).to.match(/^[0-9a-f]{64}$/);
+		expect(hash1).to.equal(hash2);
+	});
+
+	it('should produce a different hash if contents or names differ', async () => {
+		const hash1 = await hashTarStream(
+			makeTarStream([{ name: 'a.txt', contents: 'a' }]),
+		);
+		const hash2 = await hashTarStream(
+			makeTarStream([{ name: 'a.txt', contents: 'A' }]),
+		);
+		const hash3 = await hashTarStream(
+			makeTarStream([{ name: 'b.txt', contents: 'a' }]),
+		);
+		expect(hash1).to.not.equal(hash2);
+		expect(hash1).to.not.equal(hash3);
+	});
+});
+
+describe('computeBuildHash() function', function() {
+	it('should produce a different hash if a base image differs', () => {
+		const task: any = { serviceName: 'api', args: {} };
+		const inputs = { arch: 'armv7hf', deviceType: 'raspberrypi3' };
+		const hash1 = computeBuildHash(task, 'context', {
+			...inputs,
+			emulated: false,
+			baseImageIds: [['myproject_base', 'sha256:1111']],
+		});
+		const hash2 = computeBuildHash(task, 'context', {
+			...inputs,
+			emulated: false,
+			baseImageIds: [['myproject_base', 'sha256:2222']],
+		});
+		expect(hash1).to.match(/^[0-9a-f]{64}$/);
+		expect(hash1).to.not.equal(hash2);
+	});
+});
+
+describe('getBaseImageIds() function', function() {
+	// Docker daemon with the images of the registry, which are pulled on demand
+	const makeDocker = (registryImages: Dictionary<string>) => {
+		const localImages: Dictionary<string> = {};
+		const pulled: string[] = [];
+		const docker: any = {
+			getImage: (name: string) => ({
+				inspect: async () => {
+					if (localImages[name] == null) {
+						throw new Error(`No such image: ${name}`);
+					}
+					return { Id: localImages[name] };
+				},
+			}),
+			pull: async (name: string) => {
+				if (registryImages[name] == null) {
+					throw new Error(`pull access denied for ${name}`);
+				}
+				pulled.push(name);
+				localImages[name] = registryImages[name];
+				const stream = new PassThrough();
+				stream.end();
+				return stream;
+			},
+			modem: {
+				followProgress: (_stream: any, onFinished: (err: any) => void) =>
+					onFinished(null),
+			},
+		};
+		return { docker, pulled };
+	};
+
+	it('should produce the same build hash for two builds in a row', async () => {
+		const { docker, pulled } = makeDocker({ 'alpine:3.12': 'sha256:1111' });
+		const task: any = {
+			serviceName: 'api',
+			dockerfile: 'FROM alpine:3.12\nFROM myproject_base\n',
+			args: {},
+		};
+		const inputs = {
+			arch: 'amd64',
+			deviceType: 'intel-nuc',
+			emulated: false,
+		};
+		// the first build pulls the missing base image
+		const baseImageIds1 = await getBaseImageIds(docker, task);
+		expect(baseImageIds1).to.deep.equal([
+			['alpine:3.12', 'sha256:1111'],
+			['myproject_base', null],
+		]);
+		expect(pulled).to.deep.equal(['alpine:3.12']);
+		const baseImageIds2 = await getBaseImageIds(docker, task);
+		expect(pulled).to.have.lengthOf(1);
+		expect(
+			computeBuildHash(task, 'context', {
+				...inputs,
+				baseImageIds: baseImageIds2,
+			}),
+		).to.equal(
+			computeBuildHash(task, 'context', {
+				...inputs,
+				baseImageIds: baseImageIds1,
+			}),
+		);
+	});
+});
@@ -0,0 +1,82 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+import { PassThrough } from 'stream';
+
+import {
+	BuildCancellation,
+	formatCleanupSummary,
+} from '../../build/utils/build-cancellation';
+
+describe('BuildCancellation class', function() {
+	const removed: string[] = [];
+	const buildOutput = new PassThrough();
+	const docker: any = {
+		buildImage: async () => buildOutput,
+		getContainer: (id: string) => ({
+			remove: async () => removed.push(id),
+		}),
+		// dangling images, e.g. of other builds
+		listImages: async () => [
+			{ Id: 'sha256:1111111111112222222222' },
+			{ Id: 'sha256:3333333333334444444444' },
+		],
+		getImage: (id: string) => ({
+			remove: async () => removed.push(id),
+		}),
+	};
+
+	it('should cancel builds and remove containers, images and qemu files', async () => {
+		const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-cancellation-'));
+		const qemuFile = path.join(dir, '.balena', 'qemu-execve');
+		await fs.mkdir(path.dirname(qemuFile));
+		await fs.writeFile(qemuFile, 'qemu');
+
+		const cancellation = new BuildCancellation(docker, {} as any);
+		const stream = await cancellation
+			.trackBuilds(docker)
+			.buildImage(new PassThrough(), {});
+		const lines = [
+			'Step 1/3 : FROM alpine',
+			' ---> 111111111111',
+			'Step 2/3 : RUN make',
+			' ---> Running in aaaaaaaaaaaa',
+		].map(line => `${JSON.stringify({ stream: `${line}\n` })}\r\n`);
+		// a line split across chunks
+		buildOutput.write(lines.join('').slice(0, -20));
+		buildOutput.write(lines.join('').slice(-20));
+		await new Promise(resolve => setImmediate(resolve));
+		cancellation.addQemuFile(qemuFile);
+		const summary = await cancellation.cleanup();
+
+		expect((stream as any).destroyed).to.be.true;
+		expect((buildOutput as any).destroyed).to.be.true;
+		expect(removed).to.deep.equal([
+			'aaaaaaaaaaaa',
+			'sha256:1111111111112222222222',
+		]);
+		expect(await fs.exists(path.dirname(qemuFile))).to.be.false;
+		await fs.rmdir(dir);
+		expect(formatCleanupSummary(summary)).to.equal(
+			'Cancelled 1 build; removed 1 build container, 1 dangling image and 1 qemu file',
+		);
+	});
+});
@@ -0,0 +1,63 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+
+import { BuildLogWriter } from '../../build/utils/build-logs';
+
+describe('BuildLogWriter', function() {
+	let logDir: string;
+
+	beforeEach(async () => {
+		logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-logs-'));
+	});
+
+	afterEach(async () => {
+		for (const file of await fs.readdir(logDir)) {
+			await fs.unlink(path.join(logDir, file));
+		}
+		await fs.rmdir(logDir);
+	});
+
+	it('should write timestamped service logs and a summary index', async () => {
+		const writer = new BuildLogWriter(logDir);
+		await writer.open(['api', 'db']);
+		writer.writeLine('api', 'Step 1/2 : FROM alpine');
+		writer.writeLine('api', 'Step 2/2 : RUN true');
+		writer.setResult('api', { status: 'success', imageSize: 1234 });
+		writer.setResult('db', { status: 'failed', error: 'oops' });
+		await writer.close();
+
+		const apiLog = await fs.readFile(path.join(logDir, 'api.log'), 'utf8');
+		const lines = apiLog.trimRight().split('\n');
+		expect(lines).to.have.length(2);
+		expect(lines[0]).to.match(/^\d{4}-\d\d-\d\dT\S+Z Step 1\/2 : FROM alpine$/);
+		expect(lines[1]).to.match(/ Step 2\/2 : RUN true$/);
+		expect(await fs.readFile(path.join(logDir, 'db.log'), 'utf8')).to.equal('');
+
+		const index = JSON.parse(
+			await fs.readFile(path.join(logDir, 'index.json'), 'utf8'),
+		);
+		expect(index.services).to.deep.equal({
+			api: { logFile: 'api.log', status: 'success', imageSize: 1234 },
+			db: { logFile: 'db.log', status: 'failed', error: 'oops' },
+		});
+	});
+});
@@ -0,0 +1,118 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import {
+	formatBuildPlan,
+	makeBuildPlan,
+	runBuildPlan,
+} from '../../build/utils/build-plan';
+
+const services = {
+	base: {},
+	api: { depends_on: ['base', 'db'] },
+	worker: { depends_on: ['base'] },
+	db: {},
+};
+
+describe('makeBuildPlan() function', function() {
+	it('should place all services in a single stage by default', () => {
+		expect(makeBuildPlan(services, ['base', 'api', 'worker'])).to.deep.equal([
+			['base', 'api', 'worker'],
+		]);
+	});
+
+	it('should order stages by depends_on', () => {
+		const plan = makeBuildPlan(services, ['api', 'worker', 'base', 'db'], true);
+		expect(plan).to.deep.equal([
+			['base', 'db'],
+			['api', 'worker'],
+		]);
+		expect(formatBuildPlan(plan, 2)).to.equal(
+			[
+				'Build plan (up to 2 services in parallel):',
+				'  Stage 1: base, db',
+				'  Stage 2: api, worker',
+			].join('\n'),
+		);
+	});
+
+	it('should ignore dependencies on services not being built', () => {
+		expect(makeBuildPlan(services, ['api', 'worker'], true)).to.deep.equal([
+			['api', 'worker'],
+		]);
+	});
+
+	it('should reject circular dependencies', () => {
+		expect(() =>
+			makeBuildPlan(
+				{ a: { depends_on: ['b'] }, b: { depends_on: ['a'] } },
+				['a', 'b'],
+				true,
+			),
+		).to.throw(/circular dependency between services: a, b/);
+	});
+});
+
+describe('runBuildPlan() function', function() {
+	it('should build stages in order with bounded parallelism', async () => {
+		const log: string[] = [];
+		let running = 0;
+		let maxRunning = 0;
+		const build = async (stageTasks: Array<{ serviceName: string }>) => {
+			running += stageTasks.length;
+			maxRunning = Math.max(maxRunning, running);
+			await new Promise(resolve => setTimeout(resolve, 10));
+			running -= stageTasks.length;
+			log.push(...stageTasks.map(t => t.serviceName));
+			return stageTasks.map(t => ({
+				serviceName: t.serviceName,
+				successful: true,
+			}));
+		};
+		const tasks = ['api', 'worker', 'base', 'db'].map(serviceName => ({
+			serviceName,
+		}));
+		const results = await runBuildPlan(
+			[
+				['base', 'db'],
+				['api', 'worker'],
+			],
+			tasks,
+			build,
+			1,
+		);
+		expect(maxRunning).to.equal(1);
+		expect(log).to.deep.equal(['base', 'db', 'api', 'worker']);
+		expect(results).to.have.length(4);
+	});
+
+	it('should not start later stages after a failed build', async () => {
+		const built: string[] = [];
+		const results = await runBuildPlan(
+			[['base'], ['api']],
+			[{ serviceName: 'api' }, { serviceName: 'base' }],
+			async tasks => {
+				built.push(...tasks.map(t => t.serviceName));
+				return tasks.map(() => ({ successful: false }));
+			},
+		);
+		expect(built).to.deep.equal(['base']);
+		expect(results).to.deep.equal([{ successful: false }]);
+	});
+});
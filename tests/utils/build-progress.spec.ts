@@ -0,0 +1,110 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import { BuildProgressLines } from '../../build/utils/compose';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('BuildProgressLines class', function() {
+	let lines: string[];
+	const outStream: any = {
+		write: (str: string) =>
+			lines.push(...str.replace(/\u001b\[\d+m/g, '').split('\n')),
+	};
+
+	beforeEach(() => {
+		lines = [];
+	});
+
+	it('should print build steps and status changes, but not step output', async () => {
+		const renderer = new BuildProgressLines(
+			outStream,
+			[{ serviceName: 'api' }, { serviceName: 'db' }],
+			1000,
+		);
+		renderer.start();
+		const api = renderer.streams.api;
+		const db = renderer.streams.db;
+		api.write({ status: 'Step 1/2: FROM node', step: 1, totalSteps: 2 });
+		api.write({ status: 'Step 1/2: Pulling', step: 1, totalSteps: 2 });
+		db.write({ status: 'abc: Downloading', progress: 50 });
+		db.write({ status: 'Pulled' });
+		api.write({ status: 'Step 2/2: RUN npm ci', step: 2, totalSteps: 2 });
+		api.write({ error: 'npm ERR!' });
+		await delay(10);
+		renderer.end();
+		expect(lines.filter(line => line)).to.deep.equal([
+			'[Build]   Building services...',
+			'[Build]   api  Preparing...',
+			'[Build]   db   Preparing...',
+			'[Build]   api  Step 1/2: FROM node',
+			'[Build]   db   Pulled',
+			'[Build]   api  Step 2/2: RUN npm ci',
+			'[Build]   api  npm ERR!',
+			'[Build]   Build failed after 0s: api',
+		]);
+	});
+
+	it('should print the outcome of successful and cancelled builds', () => {
+		const descriptors = [{ serviceName: 'api' }, { serviceName: 'db' }];
+		const renderer = new BuildProgressLines(outStream, descriptors, 1000);
+		renderer.start();
+		renderer.end({ api: 'Image size: 10 MB', db: 'Image size: 20 MB' });
+		expect(lines.filter(line => line).slice(-3)).to.deep.equal([
+			'[Build]   api  Image size: 10 MB',
+			'[Build]   db   Image size: 20 MB',
+			'[Build]   Built 2 services in 0s',
+		]);
+
+		const cancelled = new BuildProgressLines(outStream, descriptors, 1000);
+		cancelled.start();
+		cancelled.cancel();
+		expect(lines.filter(line => line).slice(-1)).to.deep.equal([
+			'[Build]   Build cancelled after 0s',
+		]);
+		// the display is ended again when the cancelled build fails
+		cancelled.end();
+		expect(lines.filter(line => line).slice(-1)).to.deep.equal([
+			'[Build]   Build cancelled after 0s',
+		]);
+	});
+
+	it('should print heartbeats with the step or progress of each service', async () => {
+		const renderer = new BuildProgressLines(
+			outStream,
+			[{ serviceName: 'api' }, { serviceName: 'db' }, { serviceName: 'x' }],
+			20,
+		);
+		renderer.start();
+		renderer.streams.api.write({
+			status: 'Step 3/7: RUN make',
+			step: 3,
+			totalSteps: 7,
+		});
+		renderer.streams.db.write({ status: 'abc: Downloading', progress: 45 });
+		await delay(30);
+		renderer.end();
+		expect(lines).to.include(
+			'[Build]   Still building (0s elapsed): api step 3/7, db 45%, x Preparing...',
+		);
+		const count = lines.length;
+		await delay(50);
+		expect(lines).to.have.lengthOf(count);
+	});
+});
@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import {
+	BuildReportEntry,
+	formatHtmlReport,
+	formatJUnitReport,
+	getReportFormat,
+} from '../../build/utils/build-report';
+
+const timestamp = new Date('2020-05-01T10:00:00Z');
+const entries: BuildReportEntry[] = [
+	{
+		serviceName: 'api',
+		status: 'success',
+		image: 'myproject_api',
+		imageSize: 1024,
+		startTime: new Date('2020-05-01T10:00:00Z'),
+		endTime: new Date('2020-05-01T10:00:12.5Z'),
+	},
+	{
+		serviceName: 'worker',
+		status: 'failed',
+		error: "The command '/bin/sh -c make' returned a non-zero code: 2",
+		log: ['Step 1/2 : FROM alpine', '\x1b[31mmake: *** [all] <Error 2>\x1b[0m'],
+	},
+	{ serviceName: 'db', status: 'skipped', image: 'myproject_db' },
+];
+
+describe('getReportFormat() function', function() {
+	it('should determine the format from the file extension', () => {
+		expect(getReportFormat('junit.xml')).to.equal('junit');
+		expect(getReportFormat('reports/build.HTML')).to.equal('html');
+		expect(() => getReportFormat('build.txt')).to.throw(
+			"Unsupported build report file 'build.txt'",
+		);
+	});
+});
+
+describe('formatJUnitReport() function', function() {
+	it('should report one test case per service', () => {
+		expect(formatJUnitReport('myproject', entries, timestamp)).to.equal(
+			[
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<testsuites>',
+				'  <testsuite name="myproject" tests="3" failures="1" skipped="1" time="12.500" timestamp="2020-05-01T10:00:00.000Z">',
+				'    <testcase classname="myproject" name="api" time="12.500">',
+				'      <properties>',
+				'        <property name="image" value="myproject_api"/>',
+				'        <property name="imageSize" value="1024"/>',
+				'      </properties>',
+				'    </testcase>',
+				'    <testcase classname="myproject" name="worker" time="0.000">',
+				'      <failure message="The command &#39;/bin/sh -c make&#39; returned a non-zero code: 2">Step 1/2 : FROM alpine',
+				'make: *** [all] &lt;Error 2&gt;</failure>',
+				'    </testcase>',
+				'    <testcase classname="myproject" name="db" time="0.000">',
+				'      <properties>',
+				'        <property name="image" value="myproject_db"/>',
+				'      </properties>',
+				'      <skipped message="Build skipped; image with matching build hash already exists"/>',
+				'    </testcase>',
+				'  </testsuite>',
+				'</testsuites>',
+				'',
+			].join('\n'),
+		);
+	});
+});
+
+describe('formatHtmlReport() function', function() {
+	it('should include a table row per service and the failure logs', () => {
+		const html = formatHtmlReport('myproject', entries, timestamp);
+		expect(html).to.include(
+			'<tr class="success"><td>api</td><td>success</td><td>12.5 s</td><td>1.00 KB</td><td>myproject_api</td></tr>',
+		);
+		expect(html).to.include(
+			'<pre>Step 1/2 : FROM alpine\nmake: *** [all] &lt;Error 2&gt;</pre>',
+		);
+	});
+});
@@ -0,0 +1,179 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// tarDirectory() expects 'stream-to-promise' to return Bluebird promises,
+// as registered by the CLI at startup (lib/app-common.ts)
+import 'any-promise/register/bluebird';
+
+import { expect } from 'chai';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+import { Readable } from 'stream';
+import * as tar from 'tar-stream';
+import { streamToBuffer } from 'tar-utils';
+
+import { hashTarStream } from '../../build/utils/build-cache';
+import { createProject, tarDirectory } from '../../build/utils/compose';
+import {
+	makeTaskBuildStream,
+	resolveBuildTasks,
+} from '../../build/utils/compose_ts';
+
+const deviceInfo = { arch: 'armv7hf', deviceType: 'raspberrypi3' };
+const logger: any = { logDebug: () => undefined };
+
+async function readEntries(tarStream: Readable) {
+	const entries: { [name: string]: string } = {};
+	const extract = tar.extract();
+	extract.on('entry', async (header, stream, next) => {
+		entries[header.name] = (await streamToBuffer(stream)).toString();
+		next();
+	});
+	await new Promise((resolve, reject) => {
+		extract.on('finish', resolve);
+		extract.on('error', reject);
+		tarStream.on('error', reject);
+		tarStream.pipe(extract);
+	});
+	return entries;
+}
+
+describe('resolveBuildTasks() and makeTaskBuildStream() functions', function() {
+	const files: Array<[string, string]> = [
+		['.balena/balena.yml', 'build-variables:\n  global:\n    - A=1\n'],
+		['api/Dockerfile.template', 'FROM balenalib/%%BALENA_MACHINE_NAME%%\n'],
+		['api/index.js', 'console.log("api")\n'],
+		['worker/Dockerfile', 'FROM alpine\n'],
+		['worker/run.sh', 'echo worker\n'],
+	];
+	const composeStr = `
+version: '2'
+services:
+  api:
+    build: ./api
+  worker:
+    build: ./worker
+`;
+	let dir: string;
+
+	before(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-tasks-'));
+		for (const [name, contents] of files) {
+			await fs.mkdir(path.join(dir, path.dirname(name))).catch(() => undefined);
+			await fs.writeFile(path.join(dir, name), contents);
+		}
+	});
+
+	after(async () => {
+		for (const [name] of files) {
+			await fs.unlink(path.join(dir, name));
+		}
+		for (const subdir of ['.balena', 'api', 'worker']) {
+			await fs.rmdir(path.join(dir, subdir));
+		}
+		await fs.rmdir(dir);
+	});
+
+	it('should resolve the tasks and stream the build context of each service', async () => {
+		const { composition } = createProject(dir, composeStr, 'test');
+		const tasks = await resolveBuildTasks(
+			composition,
+			await tarDirectory(dir),
+			deviceInfo,
+			logger,
+			'test',
+		);
+		expect(tasks.map(t => [t.serviceName, t.projectType])).to.deep.equal([
+			['api', 'Dockerfile.template'],
+			['worker', 'Standard Dockerfile'],
+		]);
+		expect(tasks[0].dockerfile).to.equal('FROM balenalib/raspberrypi3\n');
+		expect(tasks[0].buildStream).to.be.undefined;
+
+		const entries = await readEntries(
+			makeTaskBuildStream(
+				tasks[0],
+				await tarDirectory(dir),
+				undefined,
+				deviceInfo,
+				'test',
+			),
+		);
+		expect(entries).to.deep.equal({
+			'Dockerfile.template': 'FROM balenalib/%%BALENA_MACHINE_NAME%%\n',
+			'index.js': 'console.log("api")\n',
+			Dockerfile: 'FROM balenalib/raspberrypi3\n',
+		});
+	});
+});
+
+describe('build tasks of projects with large files', function() {
+	// sparse file, so that it does not use disk space
+	const largeFileSize = 3 * 1024 * 1024 * 1024;
+	let dir: string;
+
+	before(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), 'build-tasks-'));
+		await fs.writeFile(path.join(dir, 'Dockerfile'), 'FROM alpine\n');
+		const fd = await fs.open(path.join(dir, 'large.bin'), 'w');
+		await fs.ftruncate(fd, largeFileSize);
+		await fs.close(fd);
+	});
+
+	after(async () => {
+		await fs.unlink(path.join(dir, 'large.bin'));
+		await fs.unlink(path.join(dir, 'Dockerfile'));
+		await fs.rmdir(dir);
+	});
+
+	it('should resolve and hash the build context without buffering it', async function() {
+		this.timeout(600000);
+		const rssBefore = process.memoryUsage().rss;
+		let maxRss = rssBefore;
+		const timer = setInterval(() => {
+			maxRss = Math.max(maxRss, process.memoryUsage().rss);
+		}, 100);
+		try {
+			const { composition } = createProject(
+				dir,
+				"version: '2'\nservices:\n  main:\n    build: .\n",
+				'test',
+			);
+			const [task] = await resolveBuildTasks(
+				composition,
+				await tarDirectory(dir),
+				deviceInfo,
+				logger,
+				'test',
+			);
+			const hash = await hashTarStream(
+				makeTaskBuildStream(
+					task,
+					await tarDirectory(dir),
+					undefined,
+					deviceInfo,
+					'test',
+				),
+			);
+			expect(hash).to.match(/^[0-9a-f]{64}$/);
+		} finally {
+			clearInterval(timer);
+		}
+		expect(maxRss - rssBefore).to.be.below(256 * 1024 * 1024);
+	});
+});
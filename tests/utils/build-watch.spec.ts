@@ -0,0 +1,180 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+
+import {
+	addDependentServices,
+	getAffectedServices,
+	getChangedServices,
+	makeFileIgnorer,
+	ProjectWatcher,
+} from '../../build/utils/build-watch';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('getAffectedServices() function', function() {
+	let projectPath: string;
+
+	before(async () => {
+		projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'build-watch-'));
+		await fs.mkdir(path.join(projectPath, 'api'));
+		await fs.writeFile(path.join(projectPath, '.dockerignore'), '*.md\n');
+		await fs.writeFile(path.join(projectPath, 'api', '.gitignore'), 'tmp/\n');
+	});
+
+	after(async () => {
+		await fs.unlink(path.join(projectPath, 'api', '.gitignore'));
+		await fs.rmdir(path.join(projectPath, 'api'));
+		await fs.unlink(path.join(projectPath, '.dockerignore'));
+		await fs.rmdir(projectPath);
+	});
+
+	it('should map changed files to the services whose context contains them', async () => {
+		const composition: any = {
+			version: '2.1',
+			services: {
+				main: { build: { context: '.' } },
+				api: { build: './api' },
+				db: { image: 'postgres' },
+			},
+		};
+		const ignorer = await makeFileIgnorer(projectPath, [
+			path.join(projectPath, '.dockerignore'),
+			path.join(projectPath, 'api', '.gitignore'),
+			path.join(projectPath, 'api', 'index.js'),
+		]);
+		const affected = (...files: string[]) =>
+			getAffectedServices(
+				projectPath,
+				composition,
+				files.map(file => path.join(projectPath, file)),
+				ignorer,
+			);
+		expect(affected('api/index.js')).to.deep.equal(['main', 'api']);
+		expect(affected('main.js')).to.deep.equal(['main']);
+		expect(affected('README.md', 'api/tmp/cache')).to.deep.equal([]);
+		expect(affected('api/Dockerfile.template')).to.deep.equal(['main', 'api']);
+	});
+});
+
+describe('addDependentServices() function', function() {
+	const files: Array<[string, string]> = [
+		['base/Dockerfile', 'FROM alpine\n'],
+		['api/Dockerfile.template', 'FROM test_base\nCOPY . .\n'],
+		['tool/Dockerfile', 'ARG TAG=1.0\nFROM registry.local/tool:${TAG}\n'],
+		['worker/Dockerfile', 'FROM test_api:latest AS build\nFROM build\n'],
+	];
+	let projectPath: string;
+
+	before(async () => {
+		projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'build-watch-'));
+		for (const [name, contents] of files) {
+			await fs.mkdir(path.join(projectPath, path.dirname(name)));
+			await fs.writeFile(path.join(projectPath, name), contents);
+		}
+	});
+
+	after(async () => {
+		for (const [name] of files) {
+			await fs.unlink(path.join(projectPath, name));
+			await fs.rmdir(path.join(projectPath, path.dirname(name)));
+		}
+		await fs.rmdir(projectPath);
+	});
+
+	it('should add the services that build from or depend on the given services', async () => {
+		const composition: any = {
+			version: '2.1',
+			services: {
+				base: { build: './base' },
+				api: { build: { context: './api' } },
+				tool: { build: './tool', image: 'registry.local/tool:1.0' },
+				worker: { build: './worker' },
+				cli: { build: './tool', depends_on: ['tool'] },
+				db: { image: 'postgres', depends_on: ['api'] },
+			},
+		};
+		const dependents = (serviceNames: string[], dependencyOrder = false) =>
+			addDependentServices(
+				projectPath,
+				'test',
+				composition,
+				serviceNames,
+				dependencyOrder,
+			);
+		expect(await dependents(['base'])).to.deep.equal(['base', 'api', 'worker']);
+		expect(await dependents(['worker'])).to.deep.equal(['worker']);
+		expect(await dependents(['tool'])).to.deep.equal(['tool', 'cli']);
+		expect(await dependents(['api'], true)).to.deep.equal([
+			'api',
+			'worker',
+			'db',
+		]);
+		expect(await dependents(['tool'], true)).to.deep.equal(['tool', 'cli']);
+	});
+});
+
+describe('getChangedServices() function', function() {
+	it('should list services that were added or changed', () => {
+		const before: any = {
+			services: { api: { build: '.' }, db: { image: 'postgres:11' } },
+		};
+		const after: any = {
+			services: {
+				api: { build: '.' },
+				db: { image: 'postgres:12' },
+				cache: { image: 'redis' },
+			},
+		};
+		expect(getChangedServices(before, after)).to.deep.equal(['db', 'cache']);
+	});
+});
+
+describe('ProjectWatcher class', function() {
+	it('should debounce changes and not overlap handler calls', async () => {
+		const calls: string[][] = [];
+		let finishHandler = () => undefined as void;
+		const watcher = new ProjectWatcher(
+			'/project',
+			async changedPaths => {
+				calls.push(changedPaths.sort());
+				await new Promise(resolve => (finishHandler = resolve));
+			},
+			20,
+		);
+		watcher.addChange('/project/a');
+		await delay(5);
+		watcher.addChange('/project/b');
+		watcher.addChange('/project/a');
+		await delay(50);
+		expect(calls).to.deep.equal([['/project/a', '/project/b']]);
+
+		// changes while the handler runs are handled once it completes
+		watcher.addChange('/project/c');
+		await delay(50);
+		expect(calls).to.have.lengthOf(1);
+		finishHandler();
+		await delay(50);
+		expect(calls).to.deep.equal([['/project/a', '/project/b'], ['/project/c']]);
+		finishHandler();
+		watcher.stop();
+	});
+});
@@ -0,0 +1,123 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import {
+	interpolateComposition,
+	interpolateString,
+	mergeCompositions,
+	parseDotEnv,
+} from '../../build/utils/compose-config';
+
+describe('parseDotEnv() function', function() {
+	it('should parse KEY=value lines, ignoring comments and quotes', () => {
+		expect(
+			parseDotEnv(
+				'# comment\nTAG=1.0\n\nNAME = "my app"\nEMPTY=\nQUOTED=\'a=b\'\n',
+			),
+		).to.deep.equal({
+			TAG: '1.0',
+			NAME: 'my app',
+			EMPTY: '',
+			QUOTED: 'a=b',
+		});
+	});
+});
+
+describe('interpolateString() function', function() {
+	const env = { TAG: '1.0', EMPTY: '' };
+
+	it('should substitute $VAR and ${VAR}', () => {
+		expect(interpolateString('img:$TAG ${TAG}', env)).to.equal('img:1.0 1.0');
+		expect(interpolateString('${UNSET}', env)).to.equal('');
+		expect(interpolateString('$$TAG', env)).to.equal('$TAG');
+	});
+
+	it('should support default values', () => {
+		expect(interpolateString('${UNSET:-latest}', env)).to.equal('latest');
+		expect(interpolateString('${EMPTY:-latest}', env)).to.equal('latest');
+		expect(interpolateString('${EMPTY-latest}', env)).to.equal('');
+		expect(interpolateString('${TAG:-latest}', env)).to.equal('1.0');
+	});
+
+	it('should fail on missing required variables', () => {
+		expect(() => interpolateString('${UNSET:?TAG is required}', env)).to.throw(
+			"Required variable 'UNSET' is missing a value: TAG is required",
+		);
+		expect(interpolateString('${EMPTY?unused}', env)).to.equal('');
+	});
+
+	it('should interpolate values but not keys of a composition', () => {
+		expect(
+			interpolateComposition(
+				{ services: { $TAG: { image: 'app:$TAG', ports: ['${TAG}'] } } },
+				env,
+			),
+		).to.deep.equal({
+			services: { $TAG: { image: 'app:1.0', ports: ['1.0'] } },
+		});
+	});
+});
+
+describe('mergeCompositions() function', function() {
+	it('should merge services following the Docker Compose rules', () => {
+		const merged = mergeCompositions([
+			{
+				version: '2',
+				services: {
+					api: {
+						build: '.',
+						ports: ['80:80'],
+						environment: ['A=1', 'B=2'],
+						volumes: ['data:/data', '/tmp:/tmp'],
+					},
+					db: { image: 'postgres' },
+				},
+				volumes: { data: {} },
+			},
+			{
+				version: '2.1',
+				services: {
+					api: {
+						build: { args: { DEBUG: '1' } },
+						ports: ['443:443'],
+						environment: { B: '3' },
+						volumes: ['/var/tmp:/tmp'],
+						privileged: 'true',
+					},
+					cache: { image: 'redis' },
+				},
+			},
+		]);
+		expect(merged).to.deep.equal({
+			version: '2.1',
+			services: {
+				api: {
+					build: { context: '.', args: { DEBUG: '1' } },
+					ports: ['80:80', '443:443'],
+					environment: { A: '1', B: '3' },
+					volumes: ['data:/data', '/var/tmp:/tmp'],
+					privileged: 'true',
+				},
+				db: { image: 'postgres' },
+				cache: { image: 'redis' },
+			},
+			volumes: { data: {} },
+		});
+	});
+});
@@ -0,0 +1,209 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import {
+	formatLintReport,
+	lintComposeFiles,
+	loadYamlWithLines,
+} from '../../build/utils/compose-lint';
+
+describe('loadYamlWithLines() function', function() {
+	it('should return the line numbers of keys and sequence items', () => {
+		const { doc, lineOf } = loadYamlWithLines(
+			[
+				"version: '2.1'",
+				'services:',
+				'  # the API server',
+				'  api:',
+				'    build: .',
+				'    volumes:',
+				'      - data:/data',
+				'      - logs:/logs',
+				'  db: { image: postgres }',
+			].join('\n'),
+		);
+		expect(doc.services.db.image).to.equal('postgres');
+		expect(lineOf(['version'])).to.equal(1);
+		expect(lineOf(['services', 'api'])).to.equal(4);
+		expect(lineOf(['services', 'api', 'volumes'])).to.equal(6);
+		expect(lineOf(['services', 'api', 'volumes', 1])).to.equal(8);
+		expect(lineOf(['services', 'db', 'image'])).to.equal(9);
+		// closest ancestor
+		expect(lineOf(['services', 'api', 'privileged'])).to.equal(4);
+	});
+});
+
+describe('lintComposeFiles() function', function() {
+	const lint = (...lines: string[]) =>
+		lintComposeFiles([
+			{ name: 'docker-compose.yml', contents: lines.join('\n') },
+		]).map(i => `${i.line} ${i.severity}: ${i.message}`);
+
+	it('should accept a supported composition', () => {
+		expect(
+			lint(
+				"version: '2.1'",
+				'x-defaults: &defaults',
+				'  restart: always',
+				'volumes:',
+				'  data:',
+				'services:',
+				'  api:',
+				'    <<: *defaults',
+				'    build: { context: ., args: { VERSION: 3 } }',
+				'    volumes: [data:/data]',
+				'    labels:',
+				'      io.balena.features.dbus: 1',
+			),
+		).to.deep.equal([]);
+	});
+
+	it('should report unsupported and rejected keys', () => {
+		expect(
+			lint(
+				"version: '3.7'",
+				'secrets: {}',
+				'volumes:',
+				'  data:',
+				'    external: true',
+				'services:',
+				'  api:',
+				'    image: api',
+				'    container_name: my-api',
+				'    scale: 2',
+				'  worker:',
+				'    build:',
+				'      context: .',
+				'      isolation: hyperv',
+			),
+		).to.deep.equal([
+			"1 error: Compose file version '3.7' is not supported: use version 2.x",
+			"2 warning: Top-level key 'secrets' is not supported and will be ignored",
+			"5 warning: Key 'external' of volume 'data' is not supported and will be ignored",
+			"9 warning: Service 'api': 'container_name' is not supported and will be ignored",
+			"10 error: Service 'api': 'scale' is not allowed",
+			"14 error: Service 'worker': 'build.isolation' is not allowed",
+		]);
+	});
+
+	it('should report volumes that are not named volumes', () => {
+		expect(
+			lint(
+				'version: "2"',
+				'services:',
+				'  main:',
+				'    image: main',
+				'    labels: [io.balena.features.kernel-modules=1]',
+				'    volumes:',
+				'      - /data',
+				'      - ./config:/config',
+				'      - /var/run/balena-engine.sock:/var/run/balena-engine.sock',
+				'      - /lib/modules:/lib/modules',
+				'      - cache:/cache',
+			),
+		).to.deep.equal([
+			"7 error: Service 'main': Anonymous volume '/data' is not supported: use a named volume, e.g. 'myvolume:/data'",
+			"8 error: Service 'main': Bind mount of './config' is not supported: use a named volume",
+			"9 error: Service 'main': Bind mount of '/var/run/balena-engine.sock' is not supported: use the 'io.balena.features.balena-socket' label instead",
+			"10 error: Service 'main': Bind mount of '/lib/modules' is not supported: remove it, as the 'io.balena.features.kernel-modules' label already provides it",
+			"11 error: Service 'main': Volume 'cache' is not defined in the top-level 'volumes' section",
+		]);
+	});
+
+	it('should report privileged services and network_mode usage', () => {
+		expect(
+			lint(
+				'version: "2"',
+				'services:',
+				'  main:',
+				'    image: main',
+				'    privileged: true',
+				'    network_mode: host',
+				'    ports: ["80:80"]',
+				'  sidecar:',
+				'    image: sidecar',
+				'    network_mode: service:mian',
+				'    networks: [default]',
+			),
+		).to.deep.equal([
+			"5 warning: Service 'main' is privileged, with full access to the host device: consider using 'cap_add' and 'devices' instead",
+			"6 warning: Service 'main' uses the host network, so its 'ports' are ignored",
+			"10 error: Service 'sidecar': 'network_mode' cannot be combined with 'networks'",
+			"10 error: Service 'sidecar': network_mode refers to unknown service 'mian'",
+		]);
+	});
+
+	it('should report conflicting service names across files', () => {
+		const issues = lintComposeFiles([
+			{
+				name: 'docker-compose.yml',
+				contents: 'version: "2"\nservices:\n  api:\n    image: api\n',
+			},
+			{
+				name: 'docker-compose.override.yml',
+				contents:
+					'version: "2"\nservices:\n  api:\n    restart: always\n  API:\n    image: api2\n  bad/name:\n    image: x\n',
+			},
+		]);
+		expect(issues).to.deep.equal([
+			{
+				file: 'docker-compose.override.yml',
+				line: 5,
+				severity: 'error',
+				message:
+					"Service name 'API' conflicts with service 'api' (image names are lowercase)",
+			},
+			{
+				file: 'docker-compose.override.yml',
+				line: 7,
+				severity: 'error',
+				message:
+					"Invalid service name 'bad/name': only letters, digits, '_', '.' and '-' are allowed",
+			},
+		]);
+	});
+
+	it('should report YAML errors with line numbers', () => {
+		expect(
+			lint('version: "2"', 'services:', '  api:', '    image: a', '  api:'),
+		).to.deep.equal(['5 error: duplicated mapping key']);
+	});
+});
+
+describe('formatLintReport() function', function() {
+	it('should list the issues by file and line, and count them', () => {
+		expect(
+			formatLintReport([
+				{ file: 'a.yml', line: 9, severity: 'warning', message: 'w1' },
+				{ file: 'b.yml', line: 1, severity: 'error', message: 'e1' },
+				{ file: 'a.yml', line: 2, severity: 'error', message: 'e2' },
+				{ file: 'a.yml, b.yml', severity: 'error', message: 'e3' },
+			]),
+		).to.equal(
+			[
+				'a.yml:2: error: e2',
+				'a.yml:9: warning: w1',
+				'b.yml:1: error: e1',
+				'a.yml, b.yml: error: e3',
+				'3 errors and 1 warning',
+			].join('\n'),
+		);
+		expect(formatLintReport([])).to.equal('No issues found');
+	});
+});
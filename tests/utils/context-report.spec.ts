@@ -0,0 +1,83 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// getContextItems() expects 'stream-to-promise' to return Bluebird promises,
+// as registered by the CLI at startup (lib/app-common.ts)
+import 'any-promise/register/bluebird';
+
+import { expect } from 'chai';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+
+import { createProject } from '../../build/utils/compose';
+import { makeContextReport } from '../../build/utils/context-report';
+
+describe('makeContextReport() function', function() {
+	const files: Array<[string, string]> = [
+		['.dockerignore', '# logs\n**/*.log\n'],
+		['api/Dockerfile', 'FROM alpine\n'],
+		['api/debug.log', 'debug'],
+		['worker/Dockerfile', 'FROM alpine\n'],
+	];
+	let dir: string;
+
+	before(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), 'context-report-'));
+		for (const [name, contents] of files) {
+			await fs.mkdir(path.join(dir, path.dirname(name))).catch(() => undefined);
+			await fs.writeFile(path.join(dir, name), contents);
+		}
+	});
+
+	after(async () => {
+		for (const [name] of files) {
+			await fs.unlink(path.join(dir, name));
+		}
+		await fs.rmdir(path.join(dir, 'api'));
+		await fs.rmdir(path.join(dir, 'worker'));
+		await fs.rmdir(dir);
+	});
+
+	it('should list included and ignored files per service', async () => {
+		const project = createProject(
+			dir,
+			`
+version: '2'
+services:
+  api:
+    build: ./api
+  worker:
+    build: ./worker
+  db:
+    image: postgres
+`,
+			'test',
+		);
+		const report = await makeContextReport(project, ['api', 'db']);
+		expect(report.split('\n')).to.deep.equal([
+			"Service 'api', build context 'api':",
+			'    12 bytes  api/Dockerfile',
+			"     ignored  api/debug.log (.dockerignore:2 '**/*.log')",
+			'  1 file, 12 bytes (1 file ignored)',
+			'',
+			"Service 'db': image 'postgres' (no build context)",
+			'',
+			'Total build context size: 3 files, 40 bytes (1 file ignored)',
+		]);
+	});
+});
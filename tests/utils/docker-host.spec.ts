@@ -0,0 +1,259 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import * as crypto from 'crypto';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+
+import {
+	connectToDockerHost,
+	getDefaultDockerConnectOpts,
+	getDockerContext,
+	getEnvTlsOpts,
+	openSshTunnel,
+	parseDockerHost,
+} from '../../build/utils/docker-host';
+
+describe('parseDockerHost() function', function() {
+	it('should parse socket, TCP and SSH addresses', () => {
+		expect(
+			parseDockerHost('unix:///var/run/balena-engine.sock'),
+		).to.deep.equal({ socketPath: '/var/run/balena-engine.sock' });
+		expect(parseDockerHost('npipe:////./pipe/docker_engine')).to.deep.equal({
+			socketPath: '//./pipe/docker_engine',
+		});
+		expect(parseDockerHost('tcp://192.168.1.10:2375')).to.deep.equal({
+			host: '192.168.1.10',
+			port: 2375,
+		});
+		expect(parseDockerHost('ssh://builder@build-box:2222')).to.deep.equal({
+			ssh: {
+				user: 'builder',
+				host: 'build-box',
+				port: 2222,
+				socketPath: '/var/run/docker.sock',
+			},
+		});
+		expect(
+			parseDockerHost('ssh://build-box/var/run/balena-engine.sock'),
+		).to.deep.equal({
+			ssh: {
+				user: undefined,
+				host: 'build-box',
+				port: undefined,
+				socketPath: '/var/run/balena-engine.sock',
+			},
+		});
+	});
+
+	it('should reject invalid addresses', () => {
+		for (const dockerHost of ['build-box:2375', 'http://build-box', 'ssh://']) {
+			expect(() => parseDockerHost(dockerHost)).to.throw(
+				`Invalid Docker host "${dockerHost}"`,
+			);
+		}
+	});
+});
+
+describe('docker CLI configuration functions', function() {
+	let configDir: string;
+	const contextId = crypto
+		.createHash('sha256')
+		.update('remote')
+		.digest('hex');
+	const contextTlsDir = () =>
+		path.join(configDir, 'contexts', 'tls', contextId, 'docker');
+
+	before(async () => {
+		configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docker-host-'));
+		const metaDir = path.join(configDir, 'contexts', 'meta', contextId);
+		await fs.mkdir(path.join(configDir, 'contexts'));
+		await fs.mkdir(path.join(configDir, 'contexts', 'meta'));
+		await fs.mkdir(metaDir);
+		await fs.writeFile(
+			path.join(metaDir, 'meta.json'),
+			JSON.stringify({
+				Name: 'remote',
+				Endpoints: {
+					docker: { Host: 'tcp://10.0.0.2:2376', SkipTLSVerify: false },
+				},
+			}),
+		);
+		await fs.mkdir(path.join(configDir, 'contexts', 'tls'));
+		await fs.mkdir(path.join(configDir, 'contexts', 'tls', contextId));
+		await fs.mkdir(contextTlsDir());
+		for (const name of ['ca', 'cert', 'key']) {
+			await fs.writeFile(path.join(contextTlsDir(), `${name}.pem`), name);
+			await fs.writeFile(path.join(configDir, `${name}.pem`), `env-${name}`);
+		}
+		await fs.writeFile(
+			path.join(configDir, 'config.json'),
+			JSON.stringify({ currentContext: 'remote' }),
+		);
+	});
+
+	after(async () => {
+		for (const name of ['ca', 'cert', 'key']) {
+			await fs.unlink(path.join(contextTlsDir(), `${name}.pem`));
+			await fs.unlink(path.join(configDir, `${name}.pem`));
+		}
+		await fs.rmdir(contextTlsDir());
+		await fs.rmdir(path.join(configDir, 'contexts', 'tls', contextId));
+		await fs.rmdir(path.join(configDir, 'contexts', 'tls'));
+		await fs.unlink(
+			path.join(configDir, 'contexts', 'meta', contextId, 'meta.json'),
+		);
+		await fs.rmdir(path.join(configDir, 'contexts', 'meta', contextId));
+		await fs.rmdir(path.join(configDir, 'contexts', 'meta'));
+		await fs.rmdir(path.join(configDir, 'contexts'));
+		await fs.unlink(path.join(configDir, 'config.json'));
+		await fs.rmdir(configDir);
+	});
+
+	it('should read the current docker context', async () => {
+		const expected = {
+			name: 'remote',
+			host: 'tcp://10.0.0.2:2376',
+			tls: { protocol: 'https', ca: 'ca', cert: 'cert', key: 'key' },
+		};
+		expect(await getDockerContext({ DOCKER_CONFIG: configDir })).to.deep.equal(
+			expected,
+		);
+		expect(
+			await getDockerContext({
+				DOCKER_CONFIG: configDir,
+				DOCKER_CONTEXT: 'remote',
+			}),
+		).to.deep.equal(expected);
+		expect(
+			await getDockerContext({
+				DOCKER_CONFIG: configDir,
+				DOCKER_CONTEXT: 'default',
+			}),
+		).to.be.undefined;
+		try {
+			await getDockerContext({
+				DOCKER_CONFIG: configDir,
+				DOCKER_CONTEXT: 'missing',
+			});
+			throw new Error('should not be reached');
+		} catch (err) {
+			expect(err.message).to.match(/^Docker context "missing" not found/);
+		}
+	});
+
+	it('should read TLS settings from the environment', async () => {
+		expect(await getEnvTlsOpts({ DOCKER_CERT_PATH: configDir })).to.deep.equal(
+			{},
+		);
+		expect(
+			await getEnvTlsOpts({
+				DOCKER_TLS_VERIFY: '1',
+				DOCKER_CERT_PATH: configDir,
+			}),
+		).to.deep.equal({
+			protocol: 'https',
+			ca: 'env-ca',
+			cert: 'env-cert',
+			key: 'env-key',
+		});
+	});
+
+	it('should prefer DOCKER_HOST over the docker context', async () => {
+		expect(
+			await getDefaultDockerConnectOpts({
+				DOCKER_CONFIG: configDir,
+				DOCKER_HOST: 'tcp://10.0.0.3',
+			}),
+		).to.deep.equal({ host: '10.0.0.3', port: 2375 });
+		expect(
+			await getDefaultDockerConnectOpts({ DOCKER_CONFIG: configDir }),
+		).to.deep.equal({
+			host: '10.0.0.2',
+			port: 2376,
+			protocol: 'https',
+			ca: 'ca',
+			cert: 'cert',
+			key: 'key',
+		});
+		expect(
+			await getDefaultDockerConnectOpts({
+				DOCKER_CONFIG: path.join(configDir, 'missing'),
+			}),
+		).to.be.undefined;
+	});
+
+	it('should connect to socket addresses directly', async () => {
+		expect(await connectToDockerHost('unix:///tmp/docker.sock')).to.deep.equal({
+			socketPath: '/tmp/docker.sock',
+		});
+	});
+});
+
+describe('openSshTunnel() function', function() {
+	let binDir: string;
+	const originalPath = process.env.PATH;
+
+	before(async () => {
+		// fake ssh command that records its arguments and fails
+		binDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docker-host-'));
+		await fs.writeFile(
+			path.join(binDir, 'ssh'),
+			`#!/bin/sh\necho "$@" > "${binDir}/args"\nexit 255\n`,
+		);
+		await fs.chmod(path.join(binDir, 'ssh'), 0o755);
+		process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+	});
+
+	after(async () => {
+		process.env.PATH = originalPath;
+		await fs.unlink(path.join(binDir, 'ssh'));
+		await fs.unlink(path.join(binDir, 'args'));
+		await fs.rmdir(binDir);
+	});
+
+	it('should forward a socket in a private directory and remove it on failure', async function() {
+		if (process.platform === 'win32') {
+			this.skip();
+		}
+		try {
+			await openSshTunnel({
+				user: 'builder',
+				host: 'build-box',
+				socketPath: '/var/run/docker.sock',
+			});
+			throw new Error('should not be reached');
+		} catch (err) {
+			expect(err.message).to.equal(
+				'The SSH tunnel to the Docker daemon of "build-box" failed (ssh exit code 255)',
+			);
+		}
+		const args = (await fs.readFile(path.join(binDir, 'args'), 'utf8'))
+			.trim()
+			.split(' ');
+		// e.g. '/tmp/balena-docker-abc123/docker.sock:/var/run/docker.sock'
+		const forward = args[args.indexOf('-L') + 1];
+		const [, tunnelDir] =
+			/^(.*balena-docker-[^/]+)\/docker\.sock:\/var\/run\/docker\.sock$/.exec(
+				forward,
+			) ?? [];
+		expect(tunnelDir, forward).to.be.a('string');
+		expect(await fs.exists(tunnelDir)).to.be.false;
+	});
+});
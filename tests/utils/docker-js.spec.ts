@@ -0,0 +1,50 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import * as os from 'os';
+import * as path from 'path';
+
+import { generateConnectOpts } from '../../build/utils/docker-js';
+
+describe('generateConnectOpts() function', function() {
+	const envVars = ['DOCKER_HOST', 'DOCKER_TLS_VERIFY', 'DOCKER_CERT_PATH'];
+	const originalEnv = envVars.map(name => process.env[name]);
+
+	before(() => {
+		// TLS settings of another daemon, with missing certificate files
+		delete process.env.DOCKER_HOST;
+		process.env.DOCKER_TLS_VERIFY = '1';
+		process.env.DOCKER_CERT_PATH = path.join(os.tmpdir(), 'missing-certs');
+	});
+
+	after(() => {
+		envVars.forEach((name, i) => {
+			if (originalEnv[i] == null) {
+				delete process.env[name];
+			} else {
+				process.env[name] = originalEnv[i];
+			}
+		});
+	});
+
+	it('should not apply the TLS env vars to the --dockerHost option', async () => {
+		expect(
+			await generateConnectOpts({ dockerHost: '10.0.0.5', dockerPort: 2375 }),
+		).to.deep.equal({ host: '10.0.0.5', port: 2375 });
+	});
+});
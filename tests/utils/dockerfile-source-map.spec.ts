@@ -0,0 +1,112 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import {
+	formatBuildFailure,
+	getInstructionLines,
+	makeSourceMap,
+} from '../../build/utils/dockerfile-source-map';
+
+const template = [
+	'# escape=`',
+	'FROM balenalib/%%BALENA_MACHINE_NAME%%-debian',
+	'',
+	'# install build tools',
+	'RUN install_packages `',
+	'    # compilers',
+	'    build-essential',
+	'ENV MOTD="%%MOTD%%"',
+	'RUN make %%BALENA_MACHINE_NAME%%',
+	'CMD ["./app"]',
+].join('\n');
+
+const resolved = [
+	'# escape=`',
+	'FROM balenalib/raspberrypi3-debian',
+	'',
+	'# install build tools',
+	'RUN install_packages `',
+	'    # compilers',
+	'    build-essential',
+	'ENV MOTD="hello',
+	'world"',
+	'RUN make raspberrypi3',
+	'CMD ["./app"]',
+].join('\n');
+
+describe('getInstructionLines() function', function() {
+	it('should find instructions spanning several lines', () => {
+		expect(getInstructionLines(resolved)).to.deep.equal([
+			[2, 2],
+			[5, 7],
+			[8, 8],
+			[9, 9],
+			[10, 10],
+			[11, 11],
+		]);
+	});
+});
+
+describe('makeSourceMap() function', function() {
+	it('should map resolved lines back to template lines', () => {
+		expect(makeSourceMap(template, resolved)).to.deep.equal([
+			1,
+			2,
+			3,
+			4,
+			5,
+			6,
+			7,
+			8,
+			8,
+			9,
+			10,
+		]);
+	});
+});
+
+describe('formatBuildFailure() function', function() {
+	it('should show the failing template lines and the end of the log', () => {
+		expect(
+			formatBuildFailure({
+				serviceName: 'api',
+				dockerfile: 'FROM alpine\n\nRUN make all\n',
+				dockerfilePath: 'api/Dockerfile.template',
+				template: 'FROM alpine\n\nRUN make %%A%%\n',
+				logBuffer: [
+					'Step 1/2 : FROM alpine',
+					'Step 2/2 : RUN make all',
+					'make: *** No rule to make target',
+				],
+			}),
+		).to.equal(
+			[
+				"Build failed for service 'api' at step 2/2 (api/Dockerfile.template line 3):",
+				'    1 | FROM alpine',
+				'    2 |',
+				'  > 3 | RUN make %%A%%',
+				'    4 |',
+				"Last lines of the build log of service 'api':",
+				'  Step 1/2 : FROM alpine',
+				'  Step 2/2 : RUN make all',
+				'  make: *** No rule to make target',
+			].join('\n'),
+		);
+	});
+});
@@ -0,0 +1,127 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import { execFileSync } from 'child_process';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+import * as rimraf from 'rimraf';
+
+import {
+	checkoutGitRevision,
+	resolveGitRef,
+} from '../../build/utils/git-revision';
+
+describe('git revision functions', function() {
+	let repoPath: string;
+	let commit: string;
+
+	const git = (...args: string[]) =>
+		execFileSync(
+			'git',
+			['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+			{ cwd: repoPath },
+		)
+			.toString()
+			.trim();
+
+	before(async () => {
+		repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'git-revision-'));
+		await fs.mkdir(path.join(repoPath, 'app'));
+		await fs.writeFile(path.join(repoPath, 'README.md'), 'readme\n');
+		await fs.writeFile(
+			path.join(repoPath, 'app', 'Dockerfile'),
+			'FROM busybox\n',
+		);
+		await fs.writeFile(path.join(repoPath, 'app', 'run.sh'), 'echo hi\n', {
+			mode: 0o755,
+		});
+		git('init', '-q');
+		git('add', '.');
+		git('commit', '-q', '-m', 'Initial commit');
+		git('tag', 'v1.0.0');
+		commit = git('rev-parse', 'HEAD');
+
+		// uncommitted and untracked changes
+		await fs.writeFile(
+			path.join(repoPath, 'app', 'Dockerfile'),
+			'FROM alpine\n',
+		);
+		await fs.writeFile(path.join(repoPath, 'app', 'secret.env'), 'KEY=1\n');
+	});
+
+	after(() => rimraf.sync(repoPath));
+
+	it('should resolve tags and commits of the repository', async () => {
+		expect(await resolveGitRef(repoPath, 'v1.0.0')).to.deep.equal({
+			commit,
+			prefix: '',
+		});
+		expect(
+			await resolveGitRef(path.join(repoPath, 'app'), commit.slice(0, 8)),
+		).to.deep.equal({ commit, prefix: 'app/' });
+	});
+
+	it('should reject revisions that start with a dash', async () => {
+		try {
+			await resolveGitRef(repoPath, '--output=/tmp/x');
+			throw new Error('should not be reached');
+		} catch (err) {
+			expect(err.message).to.equal(
+				`Invalid git revision '--output=/tmp/x': must not start with '-'`,
+			);
+		}
+	});
+
+	it('should reject unknown revisions', async () => {
+		try {
+			await resolveGitRef(repoPath, 'v2.0.0');
+			throw new Error('should not be reached');
+		} catch (err) {
+			expect(err.message).to.equal(
+				`Could not find git revision 'v2.0.0' in the repository of "${repoPath}"`,
+			);
+		}
+	});
+
+	it('should export the committed files of the project directory', async () => {
+		const checkout = await checkoutGitRevision(
+			path.join(repoPath, 'app'),
+			'v1.0.0',
+		);
+		try {
+			expect(checkout.commit).to.equal(commit);
+			expect(checkout.projectName).to.equal('app');
+			expect((await fs.readdir(checkout.path)).sort()).to.deep.equal([
+				'Dockerfile',
+				'run.sh',
+			]);
+			expect(
+				await fs.readFile(path.join(checkout.path, 'Dockerfile'), 'utf8'),
+			).to.equal('FROM busybox\n');
+			if (process.platform !== 'win32') {
+				const { mode } = await fs.stat(path.join(checkout.path, 'run.sh'));
+				// owner execute permission
+				expect(Math.floor(mode / 0o100) % 2).to.equal(1);
+			}
+		} finally {
+			await checkout.remove();
+		}
+		expect(await fs.exists(checkout.path)).to.be.false;
+	});
+});
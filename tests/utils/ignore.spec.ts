@@ -61,6 +61,24 @@ describe('File ignorer', function() {
 		]);
 	});
 
+	it('should return the ignore file line that excludes a file', function() {
+		const ignore = new FileIgnorer(`.${path.sep}`);
+		ignore['dockerIgnoreEntries'] = [
+			{ pattern: '*.log', filePath: '.dockerignore', lineNumber: 1 },
+			{ pattern: '!keep.log', filePath: '.dockerignore', lineNumber: 2 },
+			{ pattern: 'debug*', filePath: '.dockerignore', lineNumber: 3 },
+		];
+
+		expect(ignore.getIgnoreRule('a.log')).to.deep.equal({
+			pattern: '*.log',
+			filePath: '.dockerignore',
+			lineNumber: 1,
+		});
+		expect(ignore.getIgnoreRule('debug.log')).to.have.property('lineNumber', 3);
+		expect(ignore.getIgnoreRule('keep.log')).to.equal(null);
+		expect(ignore.getIgnoreRule('a.txt')).to.equal(null);
+	});
+
 	return it('should filter files from subdirectories', function() {
 		const ignore = new FileIgnorer(`.${path.sep}`);
 		ignore['gitIgnoreEntries'] = [
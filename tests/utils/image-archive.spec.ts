@@ -0,0 +1,136 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+import { PassThrough } from 'stream';
+
+import {
+	exportImages,
+	loadImageArchive,
+} from '../../build/utils/image-archive';
+
+const streamOf = (data: string) => {
+	const stream = new PassThrough();
+	stream.end(data);
+	return stream;
+};
+
+describe('exportImages() and loadImageArchive() functions', function() {
+	const logger: any = { logInfo: () => undefined };
+	const loaded: string[] = [];
+	const docker: any = {
+		getImage: (name: string) => ({
+			inspect: async () => ({ Id: `sha256:id-of-${name}`, Size: 42 }),
+			get: async () => streamOf(`contents of ${name}`),
+		}),
+		loadImage: async (stream: NodeJS.ReadableStream) => {
+			for await (const chunk of stream) {
+				loaded.push(chunk.toString());
+			}
+			return streamOf('{"stream":"Loaded image: myproject_api:latest\\n"}\n');
+		},
+	};
+	const composition: any = { version: '2', services: { api: { build: '.' } } };
+	let dir: string;
+
+	before(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-archive-'));
+	});
+
+	after(async () => {
+		for (const file of await fs.readdir(dir)) {
+			await fs.unlink(path.join(dir, file));
+		}
+		await fs.rmdir(dir);
+	});
+
+	it('should save images with a manifest and load them back', async () => {
+		const startTime = new Date('2020-05-01T10:00:00Z');
+		await exportImages(
+			docker,
+			logger,
+			dir,
+			[
+				{
+					serviceName: 'api',
+					name: 'myproject_api',
+					logs: 'Step 1/1 : FROM alpine',
+					props: { projectType: 'Standard Dockerfile', startTime },
+				},
+			],
+			{
+				projectName: 'myproject',
+				arch: 'amd64',
+				deviceType: 'nuc',
+				composition,
+			},
+		);
+		expect(await fs.readFile(path.join(dir, 'api.tar'), 'utf8')).to.equal(
+			'contents of myproject_api',
+		);
+
+		const { manifest, images } = await loadImageArchive(docker, logger, dir);
+		expect(loaded).to.deep.equal(['contents of myproject_api']);
+		expect(manifest.images[0].id).to.equal('sha256:id-of-myproject_api');
+		expect(manifest.composition).to.deep.equal(composition);
+		expect(images).to.deep.equal([
+			{
+				serviceName: 'api',
+				name: 'myproject_api',
+				logs: 'Step 1/1 : FROM alpine',
+				props: {
+					projectType: 'Standard Dockerfile',
+					size: 42,
+					startTime,
+					endTime: undefined,
+				},
+			},
+		]);
+	});
+
+	it('should detect corrupted archive files', async () => {
+		await fs.writeFile(path.join(dir, 'api.tar'), 'corrupted');
+		let error: Error | undefined;
+		try {
+			await loadImageArchive(docker, logger, dir);
+		} catch (err) {
+			error = err;
+		}
+		expect(error?.message).to.include('does not match its digest');
+	});
+
+	it('should reject manifests with files outside the archive directory', async () => {
+		const manifestPath = path.join(dir, 'manifest.json');
+		const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+		for (const file of ['../api.tar', path.join(os.tmpdir(), 'api.tar')]) {
+			manifest.images[0].file = file;
+			await fs.writeFile(manifestPath, JSON.stringify(manifest));
+			let error: Error | undefined;
+			try {
+				await loadImageArchive(docker, logger, dir);
+			} catch (err) {
+				error = err;
+			}
+			expect(error?.message).to.include(
+				`image file '${file}' is not inside the archive directory`,
+			);
+		}
+	});
+});
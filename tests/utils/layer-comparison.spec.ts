@@ -0,0 +1,78 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import {
+	compareLayers,
+	formatInstruction,
+	formatLayerComparison,
+	fromDockerHistory,
+} from '../../build/utils/layer-comparison';
+
+const MB = 1024 * 1024;
+
+describe('formatInstruction() function', function() {
+	it('should convert history entries to Dockerfile instructions', () => {
+		expect(formatInstruction('/bin/sh -c #(nop)  CMD ["node"]')).to.equal(
+			'CMD ["node"]',
+		);
+		expect(formatInstruction('|1 VERSION=3 /bin/sh -c make')).to.equal(
+			'RUN make',
+		);
+		expect(
+			formatInstruction(
+				'/tmp/qemu-execve -execve /bin/sh /bin/sh -c apt-get update',
+			),
+		).to.equal('RUN apt-get update');
+	});
+});
+
+describe('compareLayers() function', function() {
+	it('should match layers by instruction and pair changed layers', () => {
+		const layers = fromDockerHistory([
+			{ CreatedBy: '/bin/sh -c #(nop) COPY file:bbb in /app', Size: 2 * MB },
+			{ CreatedBy: '/bin/sh -c apt-get install curl', Size: 80 * MB },
+			{ CreatedBy: '/bin/sh -c #(nop) ADD file:base in /', Size: 5 * MB },
+		]);
+		const releaseLayers = fromDockerHistory([
+			{ CreatedBy: '/bin/sh -c #(nop)  CMD ["app"]', Size: 0 },
+			{ CreatedBy: '/bin/sh -c #(nop) COPY file:aaa in /app', Size: MB },
+			{ CreatedBy: '/bin/sh -c #(nop) ADD file:base in /', Size: 5 * MB },
+		]);
+		const comparisons = compareLayers(layers, releaseLayers);
+		expect(comparisons).to.deep.equal([
+			{ instruction: 'ADD file:base in /', size: 5 * MB, releaseSize: 5 * MB },
+			{ instruction: 'RUN apt-get install curl', size: 80 * MB },
+			{ instruction: 'COPY file:bbb in /app', size: 2 * MB, releaseSize: MB },
+			{ instruction: 'CMD ["app"]', releaseSize: 0 },
+		]);
+		expect(formatLayerComparison('api', comparisons, '0123456789')).to.equal(
+			[
+				"Service 'api' compared to release 0123456:",
+				'        SIZE     RELEASE        DELTA  INSTRUCTION',
+				'     5.00 MB     5.00 MB            -  ADD file:base in /',
+				'    80.00 MB           -    +80.00 MB  RUN apt-get install curl',
+				'     2.00 MB     1.00 MB     +1.00 MB  COPY file:bbb in /app',
+				'  Total: 87.00 MB (release: 6.00 MB, +81.00 MB)',
+				'  Instructions that added weight:',
+				'      +80.00 MB  RUN apt-get install curl',
+				'       +1.00 MB  COPY file:bbb in /app',
+			].join('\n'),
+		);
+	});
+});
@@ -0,0 +1,169 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+import * as os from 'os';
+
+import {
+	makeHookEnv,
+	parseProjectConfig,
+	runProjectHook,
+} from '../../build/utils/project-config';
+
+describe('parseProjectConfig() function', function() {
+	it('should parse the defaults and hooks sections', () => {
+		expect(
+			parseProjectConfig(
+				{
+					'build-variables': { global: ['A=1'] },
+					defaults: {
+						deviceType: 'raspberrypi3',
+						arch: 'armv7hf',
+						buildArgs: ['VERSION=3', 'api:DEBUG=1'],
+						registrySecrets: 'secrets.yml',
+					},
+					hooks: { 'pre-build': 'npm run lint' },
+				},
+				'.balena/balena.yml',
+			),
+		).to.deep.equal({
+			deviceType: 'raspberrypi3',
+			arch: 'armv7hf',
+			buildArgs: {
+				all: { VERSION: '3' },
+				services: { api: { DEBUG: '1' } },
+			},
+			dockerfile: undefined,
+			registrySecrets: 'secrets.yml',
+			hooks: {
+				'pre-build': 'npm run lint',
+				'post-build': undefined,
+				'pre-deploy': undefined,
+			},
+		});
+		expect(
+			parseProjectConfig(
+				{ defaults: { buildArgs: { VERSION: 3, 'api:EMPTY': null } } },
+				'balena.yml',
+			).buildArgs,
+		).to.deep.equal({
+			all: { VERSION: '3' },
+			services: { api: { EMPTY: '' } },
+		});
+		expect(parseProjectConfig({}, '').hooks).to.deep.equal({
+			'pre-build': undefined,
+			'post-build': undefined,
+			'pre-deploy': undefined,
+		});
+	});
+
+	it('should reject invalid configuration', () => {
+		const parse = (metadata: any) => () =>
+			parseProjectConfig(metadata, 'balena.yml');
+		expect(parse({ defaults: { device: 'rpi' } })).to.throw(
+			`Error in file "balena.yml": unknown key 'device' in 'defaults'`,
+		);
+		expect(parse({ hooks: { 'post-deploy': 'x' } })).to.throw(
+			`unknown key 'post-deploy' in 'hooks'`,
+		);
+		expect(parse({ hooks: ['x'] })).to.throw(`'hooks' must be a mapping`);
+		expect(parse({ defaults: { arch: 7 } })).to.throw(
+			`'defaults.arch' must be a string`,
+		);
+		expect(parse({ defaults: { buildArgs: ['VERSION'] } })).to.throw(
+			`Could not parse build argument: 'VERSION'`,
+		);
+	});
+});
+
+describe('makeHookEnv() function', function() {
+	it('should describe the services, images and release', () => {
+		expect(
+			makeHookEnv({
+				projectName: 'myproject',
+				projectPath: '/src/myproject',
+				arch: 'armv7hf',
+				deviceType: 'raspberrypi3',
+				app: { id: 123, app_name: 'MyApp' },
+				services: ['api', 'my-db'],
+				images: [
+					{ serviceName: 'api', name: 'myproject_api' },
+					{ serviceName: 'my-db', name: 'postgres' },
+				],
+				release: { id: 456, commit: 'abcdef' },
+			}),
+		).to.deep.equal({
+			BALENA_PROJECT_NAME: 'myproject',
+			BALENA_PROJECT_PATH: '/src/myproject',
+			BALENA_ARCH: 'armv7hf',
+			BALENA_DEVICE_TYPE: 'raspberrypi3',
+			BALENA_APP_ID: '123',
+			BALENA_APP_NAME: 'MyApp',
+			BALENA_SERVICES: 'api,my-db',
+			BALENA_RELEASE_ID: '456',
+			BALENA_RELEASE_COMMIT: 'abcdef',
+			BALENA_SERVICE_API_IMAGE: 'myproject_api',
+			BALENA_SERVICE_MY_DB_IMAGE: 'postgres',
+		});
+		expect(makeHookEnv({ services: [] })).to.deep.equal({
+			BALENA_SERVICES: '',
+		});
+	});
+});
+
+describe('runProjectHook() function', function() {
+	const messages: string[] = [];
+	const logger: any = { logInfo: (msg: string) => messages.push(msg) };
+	const metadata = { projectPath: os.tmpdir(), services: ['api'] };
+
+	it('should run the hook command with the metadata environment', async () => {
+		const config = {
+			hooks: { 'pre-build': 'test "$BALENA_SERVICES" = api' },
+		};
+		await runProjectHook(logger, config, 'pre-build', metadata, { run: true });
+		expect(messages).to.deep.equal([
+			'Running pre-build hook: test "$BALENA_SERVICES" = api',
+		]);
+		// hooks that are not defined are skipped
+		await runProjectHook(logger, config, 'post-build', metadata, { run: true });
+		expect(messages).to.have.lengthOf(1);
+	});
+
+	it('should fail if the hook command fails', async () => {
+		const config = { hooks: { 'pre-deploy': 'exit 3' } };
+		let error: Error | undefined;
+		try {
+			await runProjectHook(logger, config, 'pre-deploy', metadata, {
+				run: true,
+			});
+		} catch (err) {
+			error = err;
+		}
+		expect(error?.message).to.equal(
+			'The pre-deploy hook failed with exit code 3: exit 3',
+		);
+	});
+
+	it('should only log the hook command without the run option', async () => {
+		messages.length = 0;
+		const config = { hooks: { 'pre-deploy': 'exit 3' } };
+		await runProjectHook(logger, config, 'pre-deploy', metadata);
+		expect(messages).to.deep.equal([
+			'Skipping pre-deploy hook (use --hooks to run it): exit 3',
+		]);
+	});
+});
@@ -24,3 +24,25 @@ describe('resin-multibuild consistency', function() {
 		expect(QEMU_BIN_NAME).to.equal(MQEMU_BIN_NAME);
 	});
 });
+
+describe('archNeedsEmulation() function', function() {
+	const dockerWithArch = (Architecture: string): any => ({
+		info: async () => ({ Architecture }),
+	});
+
+	it('should not require emulation for natively supported architectures', async () => {
+		const { archNeedsEmulation } = await import('../../build/utils/qemu');
+		expect(await archNeedsEmulation(dockerWithArch('x86_64'), 'amd64')).to.be
+			.false;
+		expect(await archNeedsEmulation(dockerWithArch('aarch64'), 'armv7hf')).to.be
+			.false;
+	});
+
+	it('should require emulation for other architectures', async () => {
+		const { archNeedsEmulation } = await import('../../build/utils/qemu');
+		expect(await archNeedsEmulation(dockerWithArch('x86_64'), 'armv7hf')).to.be
+			.true;
+		expect(await archNeedsEmulation(dockerWithArch('armv7l'), 'aarch64')).to.be
+			.true;
+	});
+});
@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import {
+	formatRenderedDockerfile,
+	getBaseImages,
+} from '../../build/utils/render-dockerfile';
+
+describe('getBaseImages() function', function() {
+	it('should list the images of FROM instructions, skipping build stages', () => {
+		const dockerfile = [
+			'ARG NODE_VERSION=12',
+			'ARG VARIANT',
+			'FROM balenalib/raspberrypi3-node:${NODE_VERSION}-${VARIANT:-build} AS build',
+			'RUN npm ci',
+			'FROM --platform=linux/arm/v7 \\',
+			'  balenalib/raspberrypi3-node:$NODE_VERSION-run',
+			'COPY --from=build /usr/src/app /usr/src/app',
+			'FROM build AS test',
+			'FROM scratch',
+		].join('\n');
+		expect(getBaseImages(dockerfile)).to.deep.equal([
+			'balenalib/raspberrypi3-node:12-build',
+			'balenalib/raspberrypi3-node:12-run',
+		]);
+		expect(
+			getBaseImages(dockerfile, { NODE_VERSION: '14', VARIANT: 'debian' }),
+		).to.deep.equal([
+			'balenalib/raspberrypi3-node:14-debian',
+			'balenalib/raspberrypi3-node:14-run',
+		]);
+	});
+});
+
+describe('formatRenderedDockerfile() function', function() {
+	const target = { arch: 'armv7hf', deviceType: 'raspberrypi3' };
+
+	it('should precede the Dockerfile with its base images and build args', () => {
+		expect(
+			formatRenderedDockerfile(
+				{
+					serviceName: 'api',
+					dockerfile: 'FROM balenalib/raspberrypi3-node\nRUN make\n\n',
+					projectType: 'Dockerfile.template',
+					baseImages: ['balenalib/raspberrypi3-node'],
+					buildArgs: { VERSION: '3', DEBUG: '' },
+				},
+				target,
+			),
+		).to.equal(
+			[
+				'# Service: api',
+				'# Target: raspberrypi3 (armv7hf)',
+				'# Project type: Dockerfile.template',
+				'# Base images: balenalib/raspberrypi3-node',
+				'# Build args:',
+				'#   DEBUG=',
+				'#   VERSION=3',
+				'FROM balenalib/raspberrypi3-node',
+				'RUN make',
+				'',
+			].join('\n'),
+		);
+	});
+
+	it('should describe services that use an image', () => {
+		expect(
+			formatRenderedDockerfile(
+				{
+					serviceName: 'db',
+					image: 'postgres:12',
+					baseImages: [],
+					buildArgs: {},
+				},
+				target,
+			),
+		).to.equal(
+			'# Service: db\n# Target: raspberrypi3 (armv7hf)\n# Image: postgres:12 (not built)\n',
+		);
+	});
+});
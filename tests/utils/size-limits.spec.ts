@@ -0,0 +1,79 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai';
+
+import {
+	formatSizeLimitError,
+	getServiceSizeLimits,
+	parseSize,
+	parseSizeLimitOptions,
+} from '../../build/utils/size-limits';
+
+const MB = 1024 * 1024;
+
+describe('parseSize() function', function() {
+	it('should parse sizes with units', () => {
+		expect(parseSize('1024')).to.equal(1024);
+		expect(parseSize('300MB')).to.equal(300 * MB);
+		expect(parseSize('1.5 GiB')).to.equal(1536 * MB);
+		expect(parseSize('2k')).to.equal(2048);
+		expect(() => parseSize('big')).to.throw("Invalid size 'big'");
+	});
+});
+
+describe('getServiceSizeLimits() function', function() {
+	it('should give precedence to service options, then labels', () => {
+		const composition = {
+			services: {
+				api: { labels: { 'io.balena.size-limit': '200MB' } },
+				db: { labels: ['io.balena.size-limit=100MB'] },
+				worker: {},
+			},
+		};
+		expect(
+			getServiceSizeLimits(
+				composition,
+				parseSizeLimitOptions(['300MB', 'api=250MB']),
+			),
+		).to.deep.equal({ api: 250 * MB, db: 100 * MB, worker: 300 * MB });
+		expect(getServiceSizeLimits(composition)).to.deep.equal({
+			api: 200 * MB,
+			db: 100 * MB,
+		});
+	});
+});
+
+describe('formatSizeLimitError() function', function() {
+	it('should show the size delta compared to the previous release', () => {
+		expect(
+			formatSizeLimitError(
+				[
+					{ serviceName: 'api', size: 350 * MB, limit: 300 * MB },
+					{ serviceName: 'db', size: 120 * MB, limit: 100 * MB },
+				],
+				{ commit: '0123456789abcdef', sizes: { api: 290 * MB } },
+			),
+		).to.equal(
+			[
+				'Image size limit exceeded:',
+				'  api: 350.00 MB exceeds the limit of 300.00 MB (+60.00 MB compared to release 0123456)',
+				'  db: 120.00 MB exceeds the limit of 100.00 MB (not in release 0123456)',
+			].join('\n'),
+		);
+	});
+});
@@ -0,0 +1,211 @@
+/**
+ * @license
+ * Copyright 2020 Balena Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// tarDirectory() expects 'stream-to-promise' to return Bluebird promises,
+// as registered by the CLI at startup (lib/app-common.ts)
+import 'any-promise/register/bluebird';
+
+import { expect } from 'chai';
+import * as crypto from 'crypto';
+import { fs } from 'mz';
+import * as os from 'os';
+import * as path from 'path';
+import { Readable } from 'stream';
+import * as tar from 'tar-stream';
+import { streamToBuffer } from 'tar-utils';
+
+import { tarDirectory } from '../../build/utils/compose';
+
+async function makeProject(
+	files: Array<[string, string]>,
+	mtime: Date,
+): Promise<string> {
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tar-directory-'));
+	for (const [name, contents] of files) {
+		const filePath = path.join(dir, name);
+		await fs.mkdir(path.dirname(filePath)).catch(() => undefined);
+		await fs.writeFile(filePath, contents);
+		await fs.utimes(filePath, mtime, mtime);
+	}
+	return dir;
+}
+
+async function removeProject(dir: string, files: Array<[string, string]>) {
+	for (const [name] of files) {
+		await fs.unlink(path.join(dir, name));
+	}
+	await fs.rmdir(path.join(dir, 'src'));
+	await fs.rmdir(dir);
+}
+
+describe('tarDirectory() function', function() {
+	const files: Array<[string, string]> = [
+		['Dockerfile', 'FROM alpine\nCOPY . /usr/src/\n'],
+		['src/b.txt', 'b'],
+		['src/a.txt', 'a'],
+		['.dockerignore', 'ignored.txt\n'],
+		['ignored.txt', 'ignored'],
+	];
+	let dir1: string;
+	let dir2: string;
+
+	before(async () => {
+		dir1 = await makeProject(files, new Date('2020-01-01'));
+		dir2 = await makeProject(files.slice().reverse(), new Date('2020-06-01'));
+	});
+
+	after(async () => {
+		await removeProject(dir1, files);
+		await removeProject(dir2, files);
+	});
+
+	it('should produce identical tar streams with the reproducible option', async () => {
+		const hashes: string[] = [];
+		const buffers: Buffer[] = [];
+		for (const dir of [dir1, dir2]) {
+			const tarStream: Readable = await tarDirectory(dir, {
+				reproducible: true,
+			});
+			tarStream.on('context-hash', (hash: string) => hashes.push(hash));
+			buffers.push(await streamToBuffer(tarStream));
+		}
+		expect(buffers[0].equals(buffers[1])).to.be.true;
+		const expectedHash = crypto
+			.createHash('sha256')
+			.update(buffers[0])
+			.digest('hex');
+		expect(hashes).to.deep.equal([expectedHash, expectedHash]);
+	});
+});
+
+async function listEntries(tarStream: Readable) {
+	const entries: Array<[string, string, string | null]> = [];
+	const extract = tar.extract();
+	extract.on('entry', (header, stream, next) => {
+		entries.push([header.name, header.type!, header.linkname ?? null]);
+		stream.on('end', next);
+		stream.resume();
+	});
+	await new Promise((resolve, reject) => {
+		extract.on('finish', resolve);
+		extract.on('error', reject);
+		tarStream.pipe(extract);
+	});
+	return entries;
+}
+
+describe('tarDirectory() function with symlinks and empty directories', function() {
+	let dir: string;
+
+	beforeEach(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tar-directory-'));
+		await fs.mkdir(path.join(dir, 'src'));
+		await fs.mkdir(path.join(dir, 'empty'));
+		await fs.writeFile(path.join(dir, 'src', 'a.txt'), 'a');
+		await fs.symlink('src/a.txt', path.join(dir, 'link.txt'));
+	});
+
+	afterEach(async () => {
+		for (const name of ['link.txt', 'outside.txt', 'src/a.txt']) {
+			await fs.unlink(path.join(dir, name)).catch(() => undefined);
+		}
+		await fs.rmdir(path.join(dir, 'src'));
+		await fs.rmdir(path.join(dir, 'empty'));
+		await fs.rmdir(dir);
+	});
+
+	it('should follow symlinks and skip empty directories by default', async () => {
+		const entries = await listEntries(
+			await tarDirectory(dir, { reproducible: true }),
+		);
+		expect(entries).to.deep.equal([
+			['link.txt', 'file', null],
+			['src/a.txt', 'file', null],
+		]);
+	});
+
+	it('should preserve symlinks and empty directories', async () => {
+		const entries = await listEntries(
+			await tarDirectory(dir, {
+				reproducible: true,
+				preserveSymlinks: true,
+				emptyDirs: true,
+			}),
+		);
+		expect(entries).to.deep.equal([
+			['empty', 'directory', null],
+			['link.txt', 'symlink', 'src/a.txt'],
+			['src/a.txt', 'file', null],
+		]);
+	});
+
+	it('should reject symlinks pointing outside the project', async () => {
+		await fs.symlink('../outside.txt', path.join(dir, 'outside.txt'));
+		let error: Error | undefined;
+		try {
+			await tarDirectory(dir, { preserveSymlinks: true });
+		} catch (err) {
+			error = err;
+		}
+		expect(error?.message).to.equal(
+			"Symbolic link 'outside.txt' points outside the project directory: '../outside.txt'",
+		);
+	});
+});
+
+describe('tarDirectory() function with large files', function() {
+	// sparse file, so that it does not use disk space
+	const largeFileSize = 3 * 1024 * 1024 * 1024;
+	let dir: string;
+
+	before(async () => {
+		dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tar-directory-'));
+		const fd = await fs.open(path.join(dir, 'large.bin'), 'w');
+		await fs.ftruncate(fd, largeFileSize);
+		await fs.close(fd);
+	});
+
+	after(async () => {
+		await fs.unlink(path.join(dir, 'large.bin'));
+		await fs.rmdir(dir);
+	});
+
+	it('should stream file contents without buffering them', async function() {
+		this.timeout(300000);
+		const rssBefore = process.memoryUsage().rss;
+		let maxRss = rssBefore;
+		const sizes: { [name: string]: number } = {};
+		const tarStream: Readable = await tarDirectory(dir);
+		const extract = tar.extract();
+		extract.on('entry', (header, stream, next) => {
+			sizes[header.name] = 0;
+			stream.on('data', (chunk: Buffer) => {
+				sizes[header.name] += chunk.length;
+				maxRss = Math.max(maxRss, process.memoryUsage().rss);
+			});
+			stream.on('end', next);
+		});
+		await new Promise((resolve, reject) => {
+			extract.on('finish', resolve);
+			extract.on('error', reject);
+			tarStream.on('error', reject);
+			tarStream.pipe(extract);
+		});
+		expect(sizes).to.deep.equal({ 'large.bin': largeFileSize });
+		expect(maxRss - rssBefore).to.be.below(256 * 1024 * 1024);
+	});
+});